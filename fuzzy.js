@@ -1,10 +1,27 @@
 /**
  * FuzzySearch — Self-contained fuzzy search module for label matching.
- * Combines exact, prefix, substring, subsequence, and Levenshtein matching.
- * Returns scored results with match ranges for highlighting.
+ * Combines exact, prefix, substring, subsequence, and edit-distance matching.
+ * Queries of several words match word by word, in any order. Matching
+ * ignores case and diacritics ("resume" finds "Résumé").
+ * Returns scored results with match ranges for highlighting. For long
+ * label lists, build an index once with createIndex() and search that.
  */
 var FuzzySearch = (function () {
 
+  // Largest score bonus a frequently used label can get over a rarely used one
+  var USAGE_BOOST = 0.1;
+
+  // A multi-word match ranks just below the same words typed as one phrase
+  var TOKEN_PENALTY = 0.95;
+
+  // An alias hit ranks just below the same hit on the label's own name
+  var ALIAS_PENALTY = 0.98;
+
+  var COMBINING_MARKS = /[\u0300-\u036f]/g;
+  var WORD_PATTERN = /[^\s\-_\/]+/g;
+
+  var NO_MATCH = { score: 0, matchType: 'none', matchRanges: [] };
+
   /**
    * Levenshtein distance between two strings.
    */
@@ -35,6 +52,158 @@ var FuzzySearch = (function () {
     return matrix[b.length][a.length];
   }
 
+  /**
+   * Optimal string alignment distance: Levenshtein plus swaps of two
+   * adjacent characters, so "invocies" is one edit from "invoices".
+   * With maxDistance, only a band of the matrix around the diagonal is
+   * filled and the search stops as soon as the distance must exceed it;
+   * any distance above the bound comes back as maxDistance + 1.
+   * A cell can only lead to the end at a cost of at least the difference in
+   * remaining lengths, which is what lets most candidates stop early.
+   */
+  function damerauLevenshtein(a, b, maxDistance) {
+    var limit = maxDistance === undefined ? Math.max(a.length, b.length) : maxDistance;
+    var over = limit + 1;
+    if (Math.abs(a.length - b.length) > limit) return over;
+    if (maxDistance !== undefined && missingCharCount(a, b) > limit) return over;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    // Three reused rows: i - 2, i - 1 and i
+    var width = b.length + 1;
+    var prevPrev = new Array(width);
+    var prev = new Array(width);
+    var row = new Array(width);
+    for (var j = 0; j < width; j++) prev[j] = j <= limit ? j : over;
+    var prevBest = 0;
+
+    for (var i = 1; i <= a.length; i++) {
+      var ca = a.charCodeAt(i - 1);
+      var from = Math.max(1, i - limit);
+      var to = Math.min(b.length, i + limit);
+      row[0] = i <= limit ? i : over;
+      var best = row[0] + Math.abs(a.length - i - b.length);
+      for (var j = 1; j < from; j++) row[j] = over;
+      for (var j = from; j <= to; j++) {
+        var cb = b.charCodeAt(j - 1);
+        var d = prev[j - 1] + (ca === cb ? 0 : 1);
+        if (prev[j] + 1 < d) d = prev[j] + 1;
+        if (row[j - 1] + 1 < d) d = row[j - 1] + 1;
+        if (i > 1 && j > 1 && ca === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === cb &&
+            prevPrev[j - 2] + 1 < d) {
+          d = prevPrev[j - 2] + 1;
+        }
+        row[j] = d < over ? d : over;
+        var reach = row[j] + Math.abs(a.length - i - (b.length - j));
+        if (reach < best) best = reach;
+      }
+      for (var j = to + 1; j < width; j++) row[j] = over;
+      // Every path to the end crosses this row or jumps it by a swap from
+      // the previous one
+      if (best > limit && prevBest > limit) return over;
+      prevBest = best;
+      var recycled = prevPrev;
+      prevPrev = prev;
+      prev = row;
+      row = recycled;
+    }
+    return prev[b.length];
+  }
+
+  // Characters of `a` that do not occur in `b` at all. Each one costs at
+  // least one edit, so this is a cheap lower bound on the distance.
+  function missingCharCount(a, b) {
+    var missing = 0;
+    for (var i = 0; i < a.length; i++) {
+      if (b.indexOf(a.charAt(i)) === -1) missing++;
+    }
+    return missing;
+  }
+
+  // Largest distance between strings of these lengths whose similarity is
+  // still above `similarity`; anything further away need not be measured
+  function maxUsefulDistance(similarity, lengthA, lengthB) {
+    return Math.max(0, Math.ceil((1 - similarity) * Math.max(lengthA, lengthB) - 1e-9) - 1);
+  }
+
+  /**
+   * Lowercase and strip diacritics, keeping a map back to the original:
+   * folded character i came from text.substring(starts[i], ends[i]).
+   */
+  function foldWithMap(text) {
+    var folded = '';
+    var starts = [];
+    var ends = [];
+    for (var i = 0; i < text.length;) {
+      var code = text.charCodeAt(i);
+      var size = code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length ? 2 : 1;
+      var lower = text.substr(i, size).toLowerCase();
+      var part = typeof lower.normalize === 'function'
+        ? lower.normalize('NFD').replace(COMBINING_MARKS, '')
+        : lower;
+      if (part.length === 0 && ends.length > 0) {
+        ends[ends.length - 1] = i + size; // A lone accent belongs to its letter
+      }
+      for (var k = 0; k < part.length; k++) {
+        starts.push(i);
+        ends.push(i + size);
+      }
+      folded += part;
+      i += size;
+    }
+    return { text: folded, starts: starts, ends: ends };
+  }
+
+  function fold(text) {
+    return foldWithMap(text).text;
+  }
+
+  // Translate ranges over the folded text back to the original text
+  function mapRanges(ranges, map) {
+    return ranges.map(function (range) {
+      return [map.starts[range[0]], map.ends[range[1] - 1]];
+    });
+  }
+
+  // Words of a (folded) candidate with their offsets
+  function splitWords(text) {
+    var words = [];
+    var match;
+    WORD_PATTERN.lastIndex = 0;
+    while ((match = WORD_PATTERN.exec(text)) !== null) {
+      words.push({ text: match[0], start: match.index });
+    }
+    return words;
+  }
+
+  // Shorter queries need closer matches
+  function fuzzyThreshold(query) {
+    return query.length <= 3 ? 0.5 : 0.4;
+  }
+
+  /**
+   * Closest word by edit distance: { similarity, range }. Label names share
+   * most of their words, so similarities are kept in `cache` (one object per
+   * search) and each distinct word is compared once.
+   */
+  function bestWordSimilarity(query, words, cache) {
+    var best = { similarity: 0, range: null };
+    var known = cache[query] || (cache[query] = Object.create(null));
+    words.forEach(function (word) {
+      if (word.text.length < 2) return;
+      var similarity = known[word.text];
+      if (similarity === undefined) {
+        var limit = maxUsefulDistance(fuzzyThreshold(query), query.length, word.text.length);
+        var dist = damerauLevenshtein(query, word.text, limit);
+        similarity = known[word.text] = 1 - (dist / Math.max(query.length, word.text.length));
+      }
+      if (similarity > best.similarity) {
+        best = { similarity: similarity, range: [word.start, word.start + word.text.length] };
+      }
+    });
+    return best;
+  }
+
   /**
    * Check if all query chars appear in candidate in order (subsequence).
    * Returns { score, ranges } where ranges are [start, end] pairs.
@@ -42,10 +211,9 @@ var FuzzySearch = (function () {
   function subsequenceMatch(query, candidate) {
     var qi = 0;
     var ranges = [];
-    var candidateLower = candidate.toLowerCase();
 
     for (var ci = 0; ci < candidate.length && qi < query.length; ci++) {
-      if (candidateLower[ci] === query[qi]) {
+      if (candidate[ci] === query[qi]) {
         ranges.push([ci, ci + 1]);
         qi++;
       }
@@ -81,23 +249,13 @@ var FuzzySearch = (function () {
   }
 
   /**
-   * Score a candidate against a query.
-   * Returns { score, matchType, matchRanges }
-   *   score: 0 (no match) to 1 (perfect)
-   *   matchType: 'exact' | 'prefix' | 'substring' | 'fuzzy' | 'none'
-   *   matchRanges: [[start, end], ...] for highlighting
+   * Score a folded query as one phrase against a folded candidate.
+   * Ranges are over the folded candidate.
    */
-  function score(query, candidate) {
-    if (!query || !candidate) return { score: 0, matchType: 'none', matchRanges: [] };
-
-    var q = query.toLowerCase().trim();
-    var c = candidate.toLowerCase();
-
-    if (!q) return { score: 0, matchType: 'none', matchRanges: [] };
-
+  function scorePhrase(q, c, words, cache) {
     // Exact match
     if (q === c) {
-      return { score: 1.0, matchType: 'exact', matchRanges: [[0, candidate.length]] };
+      return { score: 1.0, matchType: 'exact', matchRanges: [[0, c.length]] };
     }
 
     // Prefix match
@@ -120,77 +278,282 @@ var FuzzySearch = (function () {
     }
 
     // Word-start match: check if query matches the start of any word in the candidate
-    var words = c.split(/[\s\-_\/]+/);
-    var wordOffset = 0;
     for (var w = 0; w < words.length; w++) {
-      // Recalculate offset by finding the word in the remaining string
-      var wIdx = c.indexOf(words[w], wordOffset);
-      if (words[w].startsWith(q)) {
+      if (words[w].text.startsWith(q)) {
         return {
           score: 0.8 + (0.1 * q.length / c.length),
           matchType: 'prefix',
-          matchRanges: [[wIdx, wIdx + q.length]]
+          matchRanges: [[words[w].start, words[w].start + q.length]]
         };
       }
-      wordOffset = wIdx + words[w].length;
     }
 
-    // Fuzzy match (only for queries >= 2 chars)
+    // Fuzzy match (only for queries >= 2 chars): against the whole name,
+    // a single word of it, or as a subsequence
     if (q.length >= 2) {
-      var dist = levenshtein(q, c);
-      var maxLen = Math.max(q.length, c.length);
-      var similarity = 1 - (dist / maxLen);
-
-      var seqResult = subsequenceMatch(q, candidate);
-      var fuzzyScore = Math.max(similarity, seqResult.score);
+      var word = bestWordSimilarity(q, words, cache);
+      var seqResult = subsequenceMatch(q, c);
+      // The whole name only matters if it beats both
+      var toBeat = Math.max(fuzzyThreshold(q), word.similarity, seqResult.score);
+      var dist = damerauLevenshtein(q, c, maxUsefulDistance(toBeat, q.length, c.length));
+      var similarity = 1 - (dist / Math.max(q.length, c.length));
+      var fuzzyScore = Math.max(similarity, word.similarity, seqResult.score);
 
-      // Dynamic threshold: shorter queries need closer matches
-      var threshold = q.length <= 3 ? 0.5 : 0.4;
-
-      if (fuzzyScore > threshold) {
+      if (fuzzyScore > fuzzyThreshold(q)) {
+        var ranges = seqResult.ranges;
+        if (word.similarity === fuzzyScore && word.similarity > seqResult.score) ranges = [word.range];
         return {
           score: fuzzyScore * 0.65,
           matchType: 'fuzzy',
-          matchRanges: seqResult.ranges.length > 0 ? seqResult.ranges : []
+          matchRanges: ranges
         };
       }
     }
 
-    return { score: 0, matchType: 'none', matchRanges: [] };
+    return NO_MATCH;
   }
 
   /**
-   * Search a list of categories against a query.
-   * Returns sorted array of { category, score, matchType, matchRanges }.
+   * Score one word of a multi-word query. Each word has to match on its
+   * own: a whole word, the start of a word, anywhere, or a close typo of a
+   * word.
    */
-  function search(query, categories) {
+  function scoreToken(token, c, words, cache) {
+    for (var w = 0; w < words.length; w++) {
+      if (words[w].text === token) {
+        return { score: 0.95, matchType: 'prefix', matchRanges: [[words[w].start, words[w].start + token.length]] };
+      }
+    }
+    for (var w2 = 0; w2 < words.length; w2++) {
+      if (words[w2].text.startsWith(token)) {
+        return {
+          score: 0.85 + (0.1 * token.length / words[w2].text.length),
+          matchType: 'prefix',
+          matchRanges: [[words[w2].start, words[w2].start + token.length]]
+        };
+      }
+    }
+    var subIdx = c.indexOf(token);
+    if (subIdx !== -1) {
+      return {
+        score: 0.7 + (0.1 * token.length / c.length),
+        matchType: 'substring',
+        matchRanges: [[subIdx, subIdx + token.length]]
+      };
+    }
+    if (token.length >= 2) {
+      var word = bestWordSimilarity(token, words, cache);
+      if (word.similarity > fuzzyThreshold(token)) {
+        return { score: word.similarity * 0.65, matchType: 'fuzzy', matchRanges: [word.range] };
+      }
+    }
+    return NO_MATCH;
+  }
+
+  var MATCH_TYPE_RANK = { exact: 3, prefix: 2, substring: 1, fuzzy: 0 };
+
+  // Every token must match; the result is as good as the average token and
+  // as loose as the loosest one
+  function scoreTokens(tokens, c, words, cache) {
+    var total = 0;
+    var ranges = [];
+    var matchType = 'prefix';
+    for (var i = 0; i < tokens.length; i++) {
+      var result = scoreToken(tokens[i], c, words, cache);
+      if (result.score === 0) return NO_MATCH;
+      total += result.score;
+      ranges = ranges.concat(result.matchRanges);
+      if (MATCH_TYPE_RANK[result.matchType] < MATCH_TYPE_RANK[matchType]) matchType = result.matchType;
+    }
+    return {
+      score: (total / tokens.length) * TOKEN_PENALTY,
+      matchType: matchType,
+      matchRanges: ranges
+    };
+  }
+
+  // Folded query: the whole phrase plus its words
+  function prepareQuery(query) {
+    var q = fold(query).trim().replace(/\s+/g, ' ');
+    return { text: q, tokens: q ? q.split(' ') : [], similarities: Object.create(null) };
+  }
+
+  // Folded candidate with its words; the costly part of scoring a label
+  function prepareText(text) {
+    var map = foldWithMap(text);
+    return { map: map, words: splitWords(map.text) };
+  }
+
+  function scorePrepared(query, target) {
+    var c = target.map.text;
+    var result = scorePhrase(query.text, c, target.words, query.similarities);
+    if (query.tokens.length > 1) {
+      var byToken = scoreTokens(query.tokens, c, target.words, query.similarities);
+      if (byToken.score > result.score) result = byToken;
+    }
+    if (result.score === 0) return NO_MATCH;
+
+    return {
+      score: result.score,
+      matchType: result.matchType,
+      matchRanges: mapRanges(result.matchRanges, target.map)
+    };
+  }
+
+  /**
+   * Score a candidate against a query.
+   * Returns { score, matchType, matchRanges }
+   *   score: 0 (no match) to 1 (perfect)
+   *   matchType: 'exact' | 'prefix' | 'substring' | 'fuzzy' | 'none'
+   *   matchRanges: [[start, end], ...] for highlighting, over the original
+   *     candidate (one or more per query word)
+   */
+  function score(query, candidate) {
+    if (!query || !candidate) return NO_MATCH;
+    var prepared = prepareQuery(query);
+    if (!prepared.text) return NO_MATCH;
+    return scorePrepared(prepared, prepareText(candidate));
+  }
+
+  // Best match over a label's name and its aliases; an alias hit carries
+  // the alias, and its ranges are over the alias text
+  function scoreEntry(query, entry) {
+    var best = scorePrepared(query, entry);
+    for (var i = 0; i < entry.aliases.length; i++) {
+      var alias = entry.aliases[i];
+      var result = scorePrepared(query, alias);
+      if (result.score * ALIAS_PENALTY > best.score) {
+        best = {
+          score: result.score * ALIAS_PENALTY,
+          matchType: result.matchType,
+          matchRanges: result.matchRanges,
+          alias: alias.text
+        };
+      }
+    }
+    return best;
+  }
+
+  // --- Search index ---
+  //
+  // Folding and splitting label names happens once per label instead of on
+  // every keystroke. updateIndex() re-prepares only names it has not seen.
+
+  function createEntry(category, aliases) {
+    var entry = prepareText(category.displayName);
+    entry.category = category;
+    entry.key = category.displayName.toLowerCase();
+    entry.aliases = (aliases || []).map(function (alias) {
+      var prepared = prepareText(alias);
+      prepared.text = alias;
+      return prepared;
+    });
+    entry.aliasKey = (aliases || []).join('\n');
+    return entry;
+  }
+
+  /**
+   * `aliases` (optional, also for updateIndex and search):
+   * { lowercased displayName: [alias, ...] }
+   */
+  function createIndex(categories, aliases) {
+    return updateIndex({ entries: [], byName: {} }, categories || [], aliases);
+  }
+
+  /**
+   * Bring the index in line with a new category list, reusing the entries of
+   * unchanged names (a recolored label keeps its entry). Returns the index.
+   */
+  function updateIndex(index, categories, aliases) {
+    var entries = [];
+    var byName = {};
+    aliases = aliases || {};
+    categories.forEach(function (cat) {
+      var own = aliases[cat.displayName.toLowerCase()];
+      var entry = !byName[cat.displayName] && index.byName[cat.displayName];
+      if (entry && entry.aliasKey === (own || []).join('\n')) {
+        entry.category = cat;
+      } else {
+        entry = createEntry(cat, own);
+      }
+      byName[cat.displayName] = entry;
+      entries.push(entry);
+    });
+    index.entries = entries;
+    index.byName = byName;
+    return index;
+  }
+
+  function isIndex(value) {
+    return !!value && Array.isArray(value.entries);
+  }
+
+  /**
+   * Search categories against a query. `categories` is a category list or,
+   * for large lists, an index from createIndex().
+   * Returns sorted array of { category, score, matchType, matchRanges, alias };
+   * with usage boosts a score can exceed 1. `alias` is set when the best
+   * match was on an alias, and matchRanges are then over the alias.
+   * options.usage: optional map of lowercased displayName -> usage weight
+   * (0 to 1). Frequently used labels rank higher among similar matches;
+   * exact matches always come first.
+   * options.limit: optional maximum number of results.
+   * options.filter: optional predicate; categories it rejects are skipped.
+   * options.aliases: aliases to match when `categories` is a plain list.
+   */
+  function search(query, categories, options) {
     if (!query || !query.trim()) return [];
+    var usage = (options && options.usage) || {};
+    var limit = options && options.limit;
+    var filter = options && options.filter;
+    var aliases = (options && options.aliases) || {};
+    var prepared = prepareQuery(query);
+    if (!prepared.text) return [];
+    var entries = isIndex(categories)
+      ? categories.entries
+      : categories.map(function (cat) { return createEntry(cat, aliases[cat.displayName.toLowerCase()]); });
 
     var results = [];
-    for (var i = 0; i < categories.length; i++) {
-      var cat = categories[i];
-      var result = score(query, cat.displayName);
+    for (var i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+      if (filter && !filter(entry.category)) continue;
+      var result = scoreEntry(prepared, entry);
       if (result.score > 0) {
+        var weight = usage[entry.key] || 0;
         results.push({
-          category: cat,
-          score: result.score,
+          category: entry.category,
+          score: result.score + USAGE_BOOST * weight,
           matchType: result.matchType,
-          matchRanges: result.matchRanges
+          matchRanges: result.matchRanges,
+          alias: result.alias
         });
       }
     }
 
-    results.sort(function (a, b) { return b.score - a.score; });
-    return results;
+    results.sort(function (a, b) {
+      var aExact = a.matchType === 'exact' ? 1 : 0;
+      var bExact = b.matchType === 'exact' ? 1 : 0;
+      return (bExact - aExact) || (b.score - a.score);
+    });
+    return limit ? results.slice(0, limit) : results;
   }
 
   /**
-   * Check if query exactly matches any category name (case-insensitive).
+   * Check if query exactly matches any category name (case-insensitive),
+   * or, given `aliases` ({ lowercased displayName: [alias, ...] }), any
+   * alias of one.
    */
-  function hasExactMatch(query, categories) {
+  function hasExactMatch(query, categories, aliases) {
     var q = query.toLowerCase().trim();
     for (var i = 0; i < categories.length; i++) {
-      if (categories[i].displayName.toLowerCase() === q) return true;
+      var name = categories[i].displayName.toLowerCase();
+      if (name === q) return true;
+      var own = aliases && aliases[name];
+      if (own) {
+        for (var j = 0; j < own.length; j++) {
+          if (own[j].toLowerCase().trim() === q) return true;
+        }
+      }
     }
     return false;
   }
@@ -198,8 +561,12 @@ var FuzzySearch = (function () {
   return {
     search: search,
     score: score,
+    createIndex: createIndex,
+    updateIndex: updateIndex,
     hasExactMatch: hasExactMatch,
     mergeRanges: mergeRanges,
-    levenshtein: levenshtein
+    levenshtein: levenshtein,
+    damerauLevenshtein: damerauLevenshtein,
+    fold: fold
   };
 })();
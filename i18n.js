@@ -0,0 +1,149 @@
+/**
+ * LabelI18n — Message catalog for the task pane.
+ * Each locale file (locales/<language>.js) registers its messages with
+ * addMessages(). Messages are looked up by key in the current locale, then
+ * in English, so a locale can lag behind without breaking the pane.
+ *
+ * A message is a string with {placeholders}, or for counts an object of
+ * plural forms picked with Intl.PluralRules:
+ *
+ *   'bulk.selected': { one: '{count} selected', other: '{count} selected' }
+ *
+ * English needs `one` and `other`; Arabic uses all of zero, one, two, few,
+ * many and other. A missing form falls back to `other`.
+ *
+ * Static text in taskpane.html carries its key in data-i18n (text content),
+ * data-i18n-title, data-i18n-placeholder or data-i18n-aria-label, and
+ * translatePage() fills it in.
+ */
+var LabelI18n = (function () {
+
+  var DEFAULT_LOCALE = 'en';
+  var RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+  // Languages that read another's catalog (Norwegian Nynorsk and plain "no")
+  var LANGUAGE_FALLBACKS = { no: 'nb', nn: 'nb' };
+  var ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+  var catalogs = {};
+  var locale = DEFAULT_LOCALE;
+  var pluralRules = null;
+
+  function addMessages(language, messages) {
+    var catalog = catalogs[language] || (catalogs[language] = {});
+    Object.keys(messages).forEach(function (key) { catalog[key] = messages[key]; });
+  }
+
+  /**
+   * The catalog for an Office language tag ("nb-NO", "ar-SA", "en-US"):
+   * the whole tag if a locale file has it, else its language, else English.
+   */
+  function resolveLocale(tag) {
+    var lower = String(tag || '').toLowerCase().replace(/_/g, '-');
+    if (catalogs[lower]) return lower;
+    var language = lower.split('-')[0];
+    if (catalogs[language]) return language;
+    if (LANGUAGE_FALLBACKS[language] && catalogs[LANGUAGE_FALLBACKS[language]]) return LANGUAGE_FALLBACKS[language];
+    return DEFAULT_LOCALE;
+  }
+
+  function setLocale(tag) {
+    locale = resolveLocale(tag);
+    try {
+      pluralRules = typeof Intl !== 'undefined' && Intl.PluralRules ? new Intl.PluralRules(locale) : null;
+    } catch (e) {
+      pluralRules = null;
+    }
+    return locale;
+  }
+
+  function getLocale() {
+    return locale;
+  }
+
+  function isRtl() {
+    return RTL_LANGUAGES.indexOf(locale.split('-')[0]) !== -1;
+  }
+
+  function lookup(key) {
+    var catalog = catalogs[locale];
+    if (catalog && catalog[key] !== undefined) return catalog[key];
+    var fallback = catalogs[DEFAULT_LOCALE];
+    if (fallback && fallback[key] !== undefined) return fallback[key];
+    return key;
+  }
+
+  function format(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, function (match, name) {
+      return params[name] !== undefined ? String(params[name]) : match;
+    });
+  }
+
+  function formatNumber(value) {
+    try {
+      return Number(value).toLocaleString(locale);
+    } catch (e) {
+      return String(value);
+    }
+  }
+
+  // 0.85 -> "85%" ("85 %" in Norwegian)
+  function formatPercent(fraction) {
+    try {
+      return Number(fraction).toLocaleString(locale, { style: 'percent', maximumFractionDigits: 0 });
+    } catch (e) {
+      return Math.round(fraction * 100) + '%';
+    }
+  }
+
+  function t(key, params) {
+    var message = lookup(key);
+    return format(typeof message === 'string' ? message : message.other || key, params);
+  }
+
+  // The form for `count`, with {count} filled in as a localized number
+  function plural(key, count, params) {
+    var message = lookup(key);
+    var values = { count: formatNumber(count) };
+    if (params) Object.keys(params).forEach(function (name) { values[name] = params[name]; });
+    if (typeof message === 'string') return format(message, values);
+
+    var form = pluralRules ? pluralRules.select(count) : (count === 1 ? 'one' : 'other');
+    // A message may spell out zero ("None selected") even where the
+    // language's plural rules have no zero form
+    if (count === 0 && message.zero !== undefined) form = 'zero';
+    return format(message[form] !== undefined ? message[form] : message.other, values);
+  }
+
+  // "A, B and C" in the current language
+  function formatList(items) {
+    if (items.length < 2) return items.join('');
+    return t('list.and', { items: items.slice(0, -1).join(t('list.separator')), last: items[items.length - 1] });
+  }
+
+  // Fill in the text of every element under root that names a message key
+  function translatePage(root) {
+    root.querySelectorAll('[data-i18n]').forEach(function (el) {
+      el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    ATTRIBUTES.forEach(function (attribute) {
+      root.querySelectorAll('[data-i18n-' + attribute + ']').forEach(function (el) {
+        el.setAttribute(attribute, t(el.getAttribute('data-i18n-' + attribute)));
+      });
+    });
+  }
+
+  return {
+    addMessages: addMessages,
+    resolveLocale: resolveLocale,
+    setLocale: setLocale,
+    getLocale: getLocale,
+    isRtl: isRtl,
+    t: t,
+    plural: plural,
+    formatNumber: formatNumber,
+    formatPercent: formatPercent,
+    formatList: formatList,
+    translatePage: translatePage
+  };
+})();
@@ -0,0 +1,308 @@
+/**
+ * LabelLearner — Learns which labels the user applies to which messages.
+ * Each time a label is applied, the message's features (sender, sender
+ * domain and subject words) are counted against it. Predictions score every
+ * known label by how strongly the features of a new message point to it.
+ * Everything runs locally on a small model object:
+ *
+ *   { v: 1, labels: { lowercased name: { n: name, c: count, t: last learned,
+ *                                        f: { feature: count } } } }
+ *
+ * The model is bounded: at most MAX_LABELS labels and MAX_FEATURES features
+ * per label, and counts are halved once a label gets busy, so recent habits
+ * outweigh old ones. When it is full, the label with the lowest count
+ * after fading by age makes room, never one learned in the last few days.
+ * shrink() gives a smaller copy where the whole model does not fit, such
+ * as roaming settings.
+ */
+var LabelLearner = (function () {
+
+  var MODEL_VERSION = 1;
+  var MAX_LABELS = 30;
+  var MAX_FEATURES = 15;
+  var HALVE_AT = 200;           // Label count that triggers halving
+  var MAX_SUBJECT_WORDS = 8;
+  var MIN_EVIDENCE = 3;         // Feature sightings needed for full weight
+  var DAY = 24 * 60 * 60 * 1000;
+  var HALF_LIFE = 30 * DAY;     // Age at which a label's count weighs half when evicting
+  var GRACE = 7 * DAY;          // New labels are not evicted for this long
+  var FEATURE_STEP = 5;         // Features per label shrink() drops at a time
+
+  // How much each kind of feature says about the label
+  var WEIGHTS = { f: 3, d: 1.5, w: 1 };
+
+  var REPLY_PREFIX = /^((re|fw|fwd|sv|vs|aw|wg|tr|rv)\s*(\[\d+\])?\s*:\s*)+/;
+  // Anything but letters, their marks and digits, in any script; a fixed
+  // list of scripts where the browser has no Unicode property escapes
+  var WORD_SEPARATORS = (function () {
+    try {
+      return new RegExp('[^\\p{L}\\p{M}\\p{N}]+', 'u');
+    } catch (e) {
+      return /[^a-z0-9\u00df-\u024f\u0370-\u03ff\u0400-\u04ff\u0590-\u05ff\u0620-\u064a\u0660-\u0669\u0671-\u06d3\u06f0-\u06ff]+/;
+    }
+  })();
+  var NUMBER = /^[0-9\u0660-\u0669\u06f0-\u06f9]+$/;
+
+  var STOPWORDS = ['the', 'and', 'for', 'you', 'your', 'with', 'from', 'this', 'that', 'are',
+    'our', 'was', 'has', 'have', 'not', 'but', 'all', 'any', 'can', 'new', 'now', 'get', 'out'];
+
+  function emptyModel() {
+    return { v: MODEL_VERSION, labels: {} };
+  }
+
+  function isModel(value) {
+    return !!value && value.v === MODEL_VERSION && !!value.labels && typeof value.labels === 'object';
+  }
+
+  // Lowercase, without accents, Arabic vowel marks or tatweel
+  function fold(text) {
+    var lower = String(text || '').toLowerCase().replace(/[\u064b-\u065f\u0670\u0640]/g, '');
+    return typeof lower.normalize === 'function'
+      ? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      : lower;
+  }
+
+  /**
+   * Subject words worth learning from: folded, without reply/forward
+   * prefixes, numbers, short words and common filler words.
+   */
+  function subjectTokens(subject) {
+    var seen = {};
+    return fold(subject).replace(REPLY_PREFIX, '')
+      .split(WORD_SEPARATORS)
+      .filter(function (word) {
+        if (word.length < 3 || NUMBER.test(word) || STOPWORDS.indexOf(word) !== -1 || seen[word]) {
+          return false;
+        }
+        seen[word] = true;
+        return true;
+      })
+      .slice(0, MAX_SUBJECT_WORDS);
+  }
+
+  /**
+   * Feature keys of a message { from, subject }:
+   * "f:<address>", "d:<domain>" and "w:<subject word>".
+   */
+  function extractFeatures(message) {
+    var features = [];
+    var from = fold(message.from).trim();
+    if (from) {
+      features.push('f:' + from);
+      var at = from.lastIndexOf('@');
+      if (at !== -1 && at < from.length - 1) features.push('d:' + from.substring(at + 1));
+    }
+    subjectTokens(message.subject).forEach(function (word) {
+      features.push('w:' + word);
+    });
+    return features;
+  }
+
+  // The label's count, halved for every HALF_LIFE since it was last learned
+  function keepWeight(label, now) {
+    return label.c * Math.pow(0.5, Math.max(0, now - (label.t || 0)) / HALF_LIFE);
+  }
+
+  // Make room for a new label by dropping the one least used lately. Labels
+  // learned within GRACE go only when all are that new, so a new label is
+  // not pushed out again by the next one.
+  function evictRarestLabel(model) {
+    var now = Date.now();
+    var rarest = null;
+    var rarestNew = false;
+    Object.keys(model.labels).forEach(function (key) {
+      var isNew = now - (model.labels[key].t || 0) < GRACE;
+      if (rarest === null || (rarestNew && !isNew) ||
+          (rarestNew === isNew && keepWeight(model.labels[key], now) < keepWeight(model.labels[rarest], now))) {
+        rarest = key;
+        rarestNew = isNew;
+      }
+    });
+    if (rarest !== null) delete model.labels[rarest];
+  }
+
+  function halve(label) {
+    label.c = Math.ceil(label.c / 2);
+    Object.keys(label.f).forEach(function (key) {
+      label.f[key] = Math.floor(label.f[key] / 2);
+      if (label.f[key] === 0) delete label.f[key];
+    });
+  }
+
+  /**
+   * Count the features against the label. Mutates and returns the model.
+   */
+  function learn(model, features, labelName) {
+    var k = labelName.toLowerCase();
+    var label = model.labels[k];
+    if (!label) {
+      if (Object.keys(model.labels).length >= MAX_LABELS) evictRarestLabel(model);
+      label = model.labels[k] = { n: labelName, c: 0, f: {} };
+    }
+    label.n = labelName;
+    label.c++;
+    label.t = Date.now();
+
+    var added = {};
+    features.forEach(function (feature) {
+      added[feature] = true;
+      label.f[feature] = (label.f[feature] || 0) + 1;
+    });
+    // Make room by dropping the weakest older features, never the new ones
+    var older = Object.keys(label.f).filter(function (key) { return !added[key]; });
+    older.sort(function (a, b) { return label.f[a] - label.f[b]; });
+    var excess = Object.keys(label.f).length - MAX_FEATURES;
+    older.slice(0, Math.max(0, excess)).forEach(function (key) { delete label.f[key]; });
+
+    if (label.c >= HALVE_AT) halve(label);
+    return model;
+  }
+
+  /**
+   * Score every label against the features. Returns
+   * [{ name, confidence }] with confidence in 0..1, best first.
+   * For each feature the model has seen, the share of its sightings that
+   * went to a label counts towards that label, weighted by feature kind and
+   * damped while the feature has been seen only a few times.
+   */
+  function predict(model, features, options) {
+    var minConfidence = options && options.minConfidence !== undefined ? options.minConfidence : 0.3;
+    var limit = options && options.limit ? options.limit : 3;
+    var keys = Object.keys(model.labels);
+    var scores = {};
+    var totalWeight = 0;
+
+    features.forEach(function (feature) {
+      var total = 0;
+      keys.forEach(function (k) { total += model.labels[k].f[feature] || 0; });
+      if (total === 0) return;
+
+      var weight = WEIGHTS[feature.charAt(0)] || 1;
+      var evidence = Math.min(1, total / MIN_EVIDENCE);
+      totalWeight += weight;
+      keys.forEach(function (k) {
+        var count = model.labels[k].f[feature] || 0;
+        if (count > 0) scores[k] = (scores[k] || 0) + weight * evidence * (count / total);
+      });
+    });
+
+    if (totalWeight === 0) return [];
+    return Object.keys(scores)
+      .map(function (k) {
+        return { name: model.labels[k].n, confidence: scores[k] / totalWeight };
+      })
+      .filter(function (s) { return s.confidence >= minConfidence; })
+      .sort(function (a, b) { return b.confidence - a.confidence; })
+      .slice(0, limit);
+  }
+
+  function renameLabel(model, oldName, newName) {
+    var label = model.labels[oldName.toLowerCase()];
+    if (!label) return model;
+    delete model.labels[oldName.toLowerCase()];
+    label.n = newName;
+    model.labels[newName.toLowerCase()] = label;
+    return model;
+  }
+
+  /**
+   * Fold one label's counts into another, e.g. when two labels are merged.
+   * The strongest features of the two are kept.
+   */
+  function mergeLabel(model, fromName, intoName) {
+    var from = model.labels[fromName.toLowerCase()];
+    if (!from) return model;
+    delete model.labels[fromName.toLowerCase()];
+
+    var into = model.labels[intoName.toLowerCase()];
+    if (!into) {
+      from.n = intoName;
+      model.labels[intoName.toLowerCase()] = from;
+      return model;
+    }
+    into.c += from.c;
+    into.t = Math.max(into.t || 0, from.t || 0);
+    Object.keys(from.f).forEach(function (key) {
+      into.f[key] = (into.f[key] || 0) + from.f[key];
+    });
+    var keys = Object.keys(into.f).sort(function (a, b) { return into.f[b] - into.f[a]; });
+    keys.slice(MAX_FEATURES).forEach(function (key) { delete into.f[key]; });
+
+    if (into.c >= HALVE_AT) halve(into);
+    return model;
+  }
+
+  function forgetLabel(model, name) {
+    delete model.labels[name.toLowerCase()];
+    return model;
+  }
+
+  /**
+   * Put back a label entry taken from model.labels, e.g. when a delete is
+   * undone. Replaces any entry of the same name.
+   */
+  function restoreLabel(model, label) {
+    var k = label.n.toLowerCase();
+    if (!model.labels[k] && Object.keys(model.labels).length >= MAX_LABELS) evictRarestLabel(model);
+    model.labels[k] = label;
+    return model;
+  }
+
+  function labelCount(model) {
+    return Object.keys(model.labels).length;
+  }
+
+  // Copy of the model with only `keys`, each with its `features` strongest features
+  function trimModel(model, keys, features) {
+    var copy = emptyModel();
+    keys.forEach(function (k) {
+      var label = model.labels[k];
+      var f = {};
+      Object.keys(label.f)
+        .sort(function (a, b) { return label.f[b] - label.f[a]; })
+        .slice(0, features)
+        .forEach(function (key) { f[key] = label.f[key]; });
+      copy.labels[k] = { n: label.n, c: label.c, t: label.t, f: f };
+    });
+    return copy;
+  }
+
+  /**
+   * The largest copy of the model for which fits(copy) holds, or null:
+   * first fewer features per label, down to FEATURE_STEP, then fewer
+   * labels, keeping those that would be evicted last.
+   */
+  function shrink(model, fits) {
+    var now = Date.now();
+    var keys = Object.keys(model.labels).sort(function (a, b) {
+      return keepWeight(model.labels[b], now) - keepWeight(model.labels[a], now);
+    });
+    var features = MAX_FEATURES - FEATURE_STEP;
+    var n = keys.length;
+    while (n > 0) {
+      var copy = trimModel(model, keys.slice(0, n), features);
+      if (fits(copy)) return copy;
+      if (features > FEATURE_STEP) {
+        features -= FEATURE_STEP;
+      } else {
+        n--;
+      }
+    }
+    return null;
+  }
+
+  return {
+    emptyModel: emptyModel,
+    isModel: isModel,
+    extractFeatures: extractFeatures,
+    subjectTokens: subjectTokens,
+    learn: learn,
+    predict: predict,
+    renameLabel: renameLabel,
+    mergeLabel: mergeLabel,
+    forgetLabel: forgetLabel,
+    restoreLabel: restoreLabel,
+    labelCount: labelCount,
+    shrink: shrink
+  };
+})();
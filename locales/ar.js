@@ -0,0 +1,696 @@
+/**
+ * Arabic messages. The pane is laid out right to left (see taskpane.css).
+ * Counted messages use all six CLDR plural forms: zero, one, two, few
+ * (3–10), many (11–99) and other.
+ */
+LabelI18n.addMessages('ar', {
+  'color.Preset0': 'أحمر',
+  'color.Preset1': 'برتقالي',
+  'color.Preset2': 'بني',
+  'color.Preset3': 'أصفر',
+  'color.Preset4': 'أخضر',
+  'color.Preset5': 'أزرق مخضر',
+  'color.Preset6': 'زيتوني',
+  'color.Preset7': 'أزرق',
+  'color.Preset8': 'أرجواني',
+  'color.Preset9': 'توتي',
+  'color.Preset10': 'فولاذي',
+  'color.Preset11': 'فولاذي داكن',
+  'color.Preset12': 'رمادي',
+  'color.Preset13': 'رمادي داكن',
+  'color.Preset14': 'أسود',
+  'color.Preset15': 'أحمر داكن',
+  'color.Preset16': 'برتقالي داكن',
+  'color.Preset17': 'بني داكن',
+  'color.Preset18': 'أصفر داكن',
+  'color.Preset19': 'أخضر داكن',
+  'color.Preset20': 'أزرق مخضر داكن',
+  'color.Preset21': 'زيتوني داكن',
+  'color.Preset22': 'أزرق داكن',
+  'color.Preset23': 'أرجواني داكن',
+  'color.Preset24': 'توتي داكن',
+
+  'error.unknown': 'خطأ غير معروف',
+  'error.loadItem': 'تعذر تحميل الرسالة المحددة',
+  'error.addTimedOut': 'انتهت مهلة الإضافة — أُضيف إلى القائمة فقط',
+  'error.deleteTimedOut': 'انتهت مهلة الحذف — أُزيل من القائمة فقط',
+  'error.noResponse': 'لم يستجب Outlook',
+  'error.colorNotRestored': '{reason} — تعذرت استعادة اللون الأصلي',
+  'error.labelNotKept': 'لم يحتفظ Outlook بالتصنيف',
+  'error.labelStillOn': 'لا يزال التصنيف على الرسالة',
+  'error.couldNotAdd': 'تعذرت إضافة «{name}»: {reason}',
+  'error.couldNotRemove': 'تعذرت إزالة «{name}»: {reason}',
+  'error.addedToSome': {
+    one: 'أُضيف «{name}» إلى {done} من أصل رسالة واحدة، وليس إلى {items}: {reason}',
+    two: 'أُضيف «{name}» إلى {done} من أصل رسالتين، وليس إلى {items}: {reason}',
+    few: 'أُضيف «{name}» إلى {done} من أصل {count} رسائل، وليس إلى {items}: {reason}',
+    many: 'أُضيف «{name}» إلى {done} من أصل {count} رسالة، وليس إلى {items}: {reason}',
+    other: 'أُضيف «{name}» إلى {done} من أصل {count} رسالة، وليس إلى {items}: {reason}'
+  },
+  'error.removedFromSome': {
+    one: 'أُزيل «{name}» من {done} من أصل رسالة واحدة، وليس من {items}: {reason}',
+    two: 'أُزيل «{name}» من {done} من أصل رسالتين، وليس من {items}: {reason}',
+    few: 'أُزيل «{name}» من {done} من أصل {count} رسائل، وليس من {items}: {reason}',
+    many: 'أُزيل «{name}» من {done} من أصل {count} رسالة، وليس من {items}: {reason}',
+    other: 'أُزيل «{name}» من {done} من أصل {count} رسالة، وليس من {items}: {reason}'
+  },
+  'error.noSubject': '(بلا موضوع)',
+  'error.syncSave': 'حُفظت التصنيفات على هذا الجهاز لكن تعذرت مزامنتها مع أجهزتك الأخرى: {reason}',
+  'error.applyRules': 'خطأ في تطبيق القواعد: {reason}',
+  'error.undoItemGone': 'لا يمكن التراجع: لم تعد تلك الرسالة محددة',
+  'error.loadLabels': 'خطأ في تحميل التصنيفات: {reason}',
+
+  'list.separator': '، ',
+  'list.and': '{items} و{last}',
+  'list.more': {
+    one: '{items} وواحد غيرها',
+    two: '{items} واثنان غيرها',
+    few: '{items} و{count} غيرها',
+    many: '{items} و{count} غيرها',
+    other: '{items} و{count} غيرها'
+  },
+  'list.notes': '؛ ',
+
+  'quote': '«{name}»',
+
+  'folder.inbox': 'البريد الوارد',
+  'folder.sentitems': 'العناصر المرسلة',
+  'folder.drafts': 'المسودات',
+  'folder.deleteditems': 'العناصر المحذوفة',
+
+  'suggestions.apply': 'تطبيق {name}',
+  'suggestions.applyConfidence': 'تطبيق {name} (بثقة {percent})',
+  'suggestions.conversation': 'من هذه المحادثة',
+  'suggestions.applyAll': 'تطبيق الكل',
+  'suggestions.rules': 'مقترحة من القواعد',
+  'suggestions.learned': 'مقترحة',
+
+  'status.appliedFromConversation': {
+    one: 'تم تطبيق تصنيف واحد من المحادثة',
+    two: 'تم تطبيق تصنيفين من المحادثة',
+    few: 'تم تطبيق {count} تصنيفات من المحادثة',
+    many: 'تم تطبيق {count} تصنيفًا من المحادثة',
+    other: 'تم تطبيق {count} تصنيف من المحادثة'
+  },
+  'status.appliedFromRules': {
+    one: 'تم تطبيق تصنيف واحد اقترحتها القواعد',
+    two: 'تم تطبيق تصنيفين اقترحتها القواعد',
+    few: 'تم تطبيق {count} تصنيفات اقترحتها القواعد',
+    many: 'تم تطبيق {count} تصنيفًا اقترحتها القواعد',
+    other: 'تم تطبيق {count} تصنيف اقترحتها القواعد'
+  },
+  'status.rulesApplied': 'طبّقت القواعد {names}',
+  'status.learnedReset': 'تمت إعادة تعيين الاقتراحات المكتسبة',
+  'status.sharedViewOnly': 'صندوق بريد مشترك — عرض فقط',
+  'status.accountSwitched': 'عرض تصنيفات {email}',
+  'status.removed': 'تمت إزالة «{name}»',
+  'status.undo': 'تراجع',
+  'status.putBack': 'تمت إعادة «{name}»',
+  'status.historyCleared': 'تم مسح سجل التصنيفات',
+  'status.alreadyApplied': '«{name}» مطبّق بالفعل',
+  'status.but': '{done}، لكن {problems}',
+
+  'header.sync': 'المزامنة من Outlook (S)',
+  'header.syncNew': {
+    one: 'المزامنة من Outlook (S) — فئة جديدة واحدة',
+    two: 'المزامنة من Outlook (S) — فئتان جديدتان',
+    few: 'المزامنة من Outlook (S) — {count} فئات جديدة',
+    many: 'المزامنة من Outlook (S) — {count} فئة جديدة',
+    other: 'المزامنة من Outlook (S) — {count} فئة جديدة'
+  },
+  'header.shared': 'مشترك: {email}',
+  'header.sharedViewOnly': 'مشترك: {email} (عرض فقط)',
+  'header.sharedTitle': 'تصنيفات صندوق بريد {email} المشترك معك',
+  'header.unknownMailbox': 'صندوق بريد آخر',
+  'header.unknownTitle': 'تعذر تحديد صندوق البريد الذي توجد فيه هذه الرسائل، لذا يمكن عرض تصنيفاتها فقط',
+  'header.ownTitle': 'تصنيفات صندوق بريدك',
+  'header.thisEmailAccount': '{email} (هذه الرسالة)',
+  'header.accountSelect': 'الحساب الذي تُعرض تصنيفاته',
+  'header.export': 'تصدير التصنيفات إلى ملف',
+  'header.importFile': 'استيراد التصنيفات من ملف',
+  'header.rules': 'القواعد',
+  'header.health': 'سلامة التصنيفات',
+  'header.refresh': 'تحديث (R)',
+
+  'applied.title': 'مطبّق على هذه الرسالة',
+  'applied.titleDraft': 'مطبّق على هذه المسودة',
+  'applied.titleMulti': {
+    zero: 'مطبّق على {count} رسالة',
+    one: 'مطبّق على رسالة واحدة',
+    two: 'مطبّق على رسالتين',
+    few: 'مطبّق على {count} رسائل',
+    many: 'مطبّق على {count} رسالة',
+    other: 'مطبّق على {count} رسالة'
+  },
+  'applied.empty': 'لا توجد تصنيفات على هذه الرسالة',
+  'applied.emptyDraft': 'لا توجد تصنيفات على هذه المسودة',
+  'applied.emptyMulti': 'لا توجد تصنيفات على هذه الرسائل',
+  'applied.partial': {
+    one: '{name} — على {on} من أصل رسالة واحدة',
+    two: '{name} — على {on} من أصل رسالتين',
+    few: '{name} — على {on} من أصل {count} رسائل',
+    many: '{name} — على {on} من أصل {count} رسالة',
+    other: '{name} — على {on} من أصل {count} رسالة'
+  },
+  'applied.remove': 'إزالة {name}',
+
+  'write.saving': 'جارٍ الحفظ…',
+  'write.onSome': 'على بعض الرسائل المحددة',
+
+  'search.state.applied': 'مطبّق',
+  'search.state.unapplied': 'غير مطبّق',
+  'search.state.orphan': 'مفقود من Outlook',
+  'search.filterColor': 'اللون: {colors}',
+  'search.filterExclude': 'ليس «{term}»',
+  'search.filterScope': 'ضمن {path}',
+  'search.removeFilter': 'إزالة عامل التصفية',
+  'search.alias': 'اسم مستعار',
+  'search.recent': 'الأخيرة',
+  'search.clearHistory': 'مسح السجل',
+  'search.create': 'إنشاء «{name}»',
+  'search.placeholder': 'ابحث عن تصنيف أو أنشئه…',
+  'search.filters': 'عوامل التصفية: color:أحمر، is:applied، is:unapplied، is:orphan، -كلمة، أصل/',
+
+  'allLabels.expand': 'توسيع',
+  'allLabels.collapse': 'طي',
+  'allLabels.edit': 'تغيير اللون أو الأسماء المستعارة',
+  'allLabels.nested': {
+    one: 'تصنيف فرعي واحد',
+    two: 'تصنيفان فرعيان',
+    few: '{count} تصنيفات فرعية',
+    many: '{count} تصنيفًا فرعيًا',
+    other: '{count} تصنيف فرعي'
+  },
+  'allLabels.rename': 'إعادة تسمية التصنيف',
+  'allLabels.merge': 'دمج في…',
+  'allLabels.delete': 'حذف التصنيف',
+  'allLabels.toggle': 'إظهار كل التصنيفات أو إخفاؤها (A)',
+  'allLabels.title': 'كل التصنيفات',
+
+  'bulk.select': 'تحديد',
+  'bulk.done': 'تم',
+  'bulk.selected': {
+    zero: 'لا شيء محدد',
+    one: 'تصنيف واحد محدد',
+    two: 'تصنيفان محددان',
+    few: '{count} تصنيفات محددة',
+    many: '{count} تصنيفًا محددًا',
+    other: '{count} تصنيف محدد'
+  },
+  'bulk.applyTitle': 'تطبيق التصنيفات',
+  'bulk.apply': 'تطبيق',
+  'bulk.applied': {
+    one: 'تم تطبيق {done} من أصل تصنيف واحد',
+    two: 'تم تطبيق {done} من أصل تصنيفين',
+    few: 'تم تطبيق {done} من أصل {count} تصنيفات',
+    many: 'تم تطبيق {done} من أصل {count} تصنيفًا',
+    other: 'تم تطبيق {done} من أصل {count} تصنيف'
+  },
+  'bulk.removeTitle': 'إزالة التصنيفات',
+  'bulk.remove': 'إزالة',
+  'bulk.removed': {
+    one: 'تمت إزالة {done} من أصل تصنيف واحد',
+    two: 'تمت إزالة {done} من أصل تصنيفين',
+    few: 'تمت إزالة {done} من أصل {count} تصنيفات',
+    many: 'تمت إزالة {done} من أصل {count} تصنيفًا',
+    other: 'تمت إزالة {done} من أصل {count} تصنيف'
+  },
+  'bulk.recolorTitle': 'تغيير اللون',
+  'bulk.recolor': 'تغيير اللون',
+  'bulk.recolored': {
+    one: 'تم تغيير لون {done} من أصل تصنيف واحد',
+    two: 'تم تغيير لون {done} من أصل تصنيفين',
+    few: 'تم تغيير لون {done} من أصل {count} تصنيفات',
+    many: 'تم تغيير لون {done} من أصل {count} تصنيفًا',
+    other: 'تم تغيير لون {done} من أصل {count} تصنيف'
+  },
+  'bulk.forgetTitle': 'نسيان التصنيفات',
+  'bulk.forget': 'نسيان',
+  'bulk.forgot': {
+    one: 'تم نسيان {done} من أصل تصنيف واحد',
+    two: 'تم نسيان {done} من أصل تصنيفين',
+    few: 'تم نسيان {done} من أصل {count} تصنيفات',
+    many: 'تم نسيان {done} من أصل {count} تصنيفًا',
+    other: 'تم نسيان {done} من أصل {count} تصنيف'
+  },
+  'bulk.deleteTitle': 'حذف التصنيفات',
+  'bulk.delete': 'حذف',
+  'bulk.deleted': {
+    one: 'تم حذف {done} من أصل تصنيف واحد',
+    two: 'تم حذف {done} من أصل تصنيفين',
+    few: 'تم حذف {done} من أصل {count} تصنيفات',
+    many: 'تم حذف {done} من أصل {count} تصنيفًا',
+    other: 'تم حذف {done} من أصل {count} تصنيف'
+  },
+  'bulk.restored': {
+    one: 'تمت استعادة تصنيف واحد',
+    two: 'تمت استعادة تصنيفان',
+    few: 'تمت استعادة {count} تصنيفات',
+    many: 'تمت استعادة {count} تصنيفًا',
+    other: 'تمت استعادة {count} تصنيف'
+  },
+  'bulk.labels': {
+    one: 'تصنيف واحد',
+    two: 'تصنيفان',
+    few: '{count} تصنيفات',
+    many: '{count} تصنيفًا',
+    other: '{count} تصنيف'
+  },
+  'bulk.emails': {
+    one: 'رسالة واحدة',
+    two: 'رسالتان',
+    few: '{count} رسائل',
+    many: '{count} رسالة',
+    other: '{count} رسالة'
+  },
+  'bulk.thisEmail': 'هذه الرسالة',
+  'bulk.confirm.apply': 'هل تريد تطبيق {labels} ({names}) على {target}؟',
+  'bulk.confirm.remove': 'هل تريد إزالة {labels} ({names}) من {target}؟',
+  'bulk.confirm.recolor': 'امنح {labels} ({names}) هذا اللون:',
+  'bulk.confirm.forget': 'هل تريد إزالة {labels} ({names}) من قائمتك؟ تبقى الفئات في Outlook.',
+  'bulk.confirm.delete': 'هل تريد حذف {labels} ({names})؟ سيُزال ذلك من كل الرسائل.',
+  'bulk.working': 'جارٍ العمل…',
+  'bulk.progress': '{title}… {done} من أصل {total}',
+  'bulk.note.alreadyApplied': 'مطبّق بالفعل',
+  'bulk.note.notApplied': 'غير مطبّق',
+  'bulk.note.sameColor': 'بهذا اللون بالفعل',
+  'bulk.note.itemGone': 'لم تعد الرسالة محددة',
+  'bulk.note.recoloredBut': 'تغيّر اللون، لكن {reason}',
+  'bulk.failed': {
+    one: '{summary}؛ فشل تصنيف واحد',
+    two: '{summary}؛ فشل تصنيفان',
+    few: '{summary}؛ فشل {count} تصنيفات',
+    many: '{summary}؛ فشل {count} تصنيفًا',
+    other: '{summary}؛ فشل {count} تصنيف'
+  },
+  'bulk.selectTitle': 'تحديد عدة تصنيفات',
+  'bulk.none': 'لا شيء محدد',
+  'bulk.colorButton': 'اللون',
+  'bulk.mergeButton': 'دمج',
+  'bulk.forgetHint': 'الإزالة من قائمتك؛ تبقى فئات Outlook',
+
+  'dialog.close': 'إغلاق',
+  'dialog.color': 'اللون',
+  'dialog.cancel': 'إلغاء',
+  'dialog.ok': 'موافق',
+  'dialog.save': 'حفظ',
+  'dialog.done': 'تم',
+
+  'name.empty': 'أدخل اسمًا',
+  'name.tooLong': {
+    one: 'يسمح Outlook بما يصل إلى {max} حرفًا؛ وهذا الاسم فيه حرف واحد',
+    two: 'يسمح Outlook بما يصل إلى {max} حرفًا؛ وهذا الاسم فيه حرفان',
+    few: 'يسمح Outlook بما يصل إلى {max} حرفًا؛ وهذا الاسم فيه {count} أحرف',
+    many: 'يسمح Outlook بما يصل إلى {max} حرفًا؛ وهذا الاسم فيه {count} حرفًا',
+    other: 'يسمح Outlook بما يصل إلى {max} حرفًا؛ وهذا الاسم فيه {count} حرف'
+  },
+  'name.separators': 'يفصل Outlook بين التصنيفات بالفواصل والفواصل المنقوطة، لذا لا يمكن أن يحتويها الاسم',
+  'name.exists': '«{name}» موجود بالفعل',
+  'name.inOutlook': 'يحتوي Outlook بالفعل على «{name}»',
+
+  'create.parents': {
+    one: 'إنشاء التصنيف الأصل {names} أيضًا',
+    two: 'إنشاء التصنيفين الأصلين {names} أيضًا',
+    few: 'إنشاء التصنيفات الأصل {names} أيضًا',
+    many: 'إنشاء التصنيفات الأصل {names} أيضًا',
+    other: 'إنشاء التصنيفات الأصل {names} أيضًا'
+  },
+  'create.normalized': 'سيُحفظ باسم «{name}»',
+  'create.useExisting': 'استخدمه بدلًا من ذلك:',
+  'create.didYouMean': 'هل تقصد…',
+  'create.applyInstead': 'تطبيق «{name}» بدلًا من ذلك',
+  'create.createdApplied': 'تم إنشاء التصنيف «{name}» وتطبيقه',
+  'create.created': 'تم إنشاء التصنيف «{name}»',
+  'create.createdBut': 'تم إنشاء التصنيف «{name}». {reason}',
+  'create.error': 'خطأ في إنشاء التصنيف: {reason}',
+  'create.title': 'إنشاء تصنيف جديد',
+  'create.placeholder': 'اسم التصنيف (استخدم / للتداخل)',
+  'create.confirm': 'إنشاء',
+
+  'delete.confirm': 'هل تريد حذف «{name}»؟ سيُزال من كل الرسائل.',
+  'delete.keepsNested': {
+    one: 'لن يُحذف تصنيفه الفرعي ({names}).',
+    two: 'لن يُحذف تصنيفاه الفرعيان ({names}).',
+    few: 'لن يُحذف تصنيفاته الفرعية الـ{count} ({names}).',
+    many: 'لن يُحذف تصنيفاته الفرعية الـ{count} ({names}).',
+    other: 'لن يُحذف تصنيفاته الفرعية الـ{count} ({names}).'
+  },
+  'delete.deleted': 'تم حذف التصنيف «{name}»',
+  'delete.error': 'خطأ في حذف التصنيف: {reason}',
+  'delete.restored': 'تمت استعادة التصنيف «{name}»',
+  'delete.restoreError': 'خطأ في استعادة «{name}»: {reason}',
+  'delete.title': 'حذف التصنيف',
+  'delete.prompt': 'هل أنت متأكد من أنك تريد حذف هذا التصنيف؟',
+  'delete.confirmButton': 'حذف',
+
+  'rename.prompt': 'إعادة تسمية «{name}» إلى:',
+  'rename.note.unsupported': 'لا تزال رسائل أخرى تحمل «{name}» (لا يستطيع هذا الإصدار من Outlook تحديثها)',
+  'rename.note.failed': {
+    one: 'تعذر تحديث رسالة واحدة',
+    two: 'تعذر تحديث رسالتان',
+    few: 'تعذر تحديث {count} رسائل',
+    many: 'تعذر تحديث {count} رسالة',
+    other: 'تعذر تحديث {count} رسالة'
+  },
+  'rename.note.failedFolders': 'تعذر البحث في {folders}',
+  'rename.note.truncated': {
+    one: 'تم تحديث أول رسالة واحدة فقط في {folders}',
+    two: 'تم تحديث أول رسالتين فقط في {folders}',
+    few: 'تم تحديث أول {count} رسائل فقط في {folders}',
+    many: 'تم تحديث أول {count} رسالة فقط في {folders}',
+    other: 'تم تحديث أول {count} رسالة فقط في {folders}'
+  },
+  'rename.note.outside': 'تحتفظ الرسائل خارج {folders} بـ«{name}»',
+  'rename.note.notDeleted': 'لا يزال «{name}» في قائمة فئات Outlook',
+  'rename.note.kept': 'يبقى «{name}» في قائمة فئات Outlook فتحتفظ تلك الرسائل بلونه',
+  'rename.empty': 'لا يمكن أن يكون اسم التصنيف فارغًا',
+  'rename.caseOnly': 'يعامل Outlook الأسماء التي تختلف في حالة الأحرف فقط على أنها التصنيف نفسه',
+  'rename.exists': 'يوجد تصنيف بهذا الاسم بالفعل',
+  'rename.renamed': 'تمت إعادة التسمية إلى «{name}»',
+  'rename.renamedUpdated': {
+    one: 'تمت إعادة التسمية إلى «{name}» (تم تحديث رسالة أخرى واحدة)',
+    two: 'تمت إعادة التسمية إلى «{name}» (تم تحديث رسالتان أخريان)',
+    few: 'تمت إعادة التسمية إلى «{name}» (تم تحديث {count} رسائل أخرى)',
+    many: 'تمت إعادة التسمية إلى «{name}» (تم تحديث {count} رسالة أخرى)',
+    other: 'تمت إعادة التسمية إلى «{name}» (تم تحديث {count} رسالة أخرى)'
+  },
+  'rename.error': 'خطأ في إعادة تسمية التصنيف: {reason}',
+  'rename.title': 'إعادة تسمية التصنيف',
+  'rename.promptDefault': 'إعادة تسمية هذا التصنيف إلى:',
+  'rename.placeholder': 'اسم التصنيف الجديد',
+  'rename.confirm': 'إعادة التسمية',
+
+  'merge.noTarget': 'لا يوجد تصنيف آخر للدمج فيه',
+  'merge.prompt': 'دمج {names} في:',
+  'merge.note.onSelected': {
+    one: 'على رسالة واحدة محددة',
+    two: 'على رسالتين محددة',
+    few: 'على {count} رسائل محددة',
+    many: 'على {count} رسالة محددة',
+    other: 'على {count} رسالة محددة'
+  },
+  'merge.note.onThisEmail': 'على هذه الرسالة',
+  'merge.note.aliases': {
+    one: 'اسم مستعار واحد',
+    two: 'اسمان مستعاران',
+    few: '{count} أسماء مستعارة',
+    many: '{count} اسمًا مستعارًا',
+    other: '{count} اسم مستعار'
+  },
+  'merge.note.rules': {
+    one: 'في قاعدة واحدة',
+    two: 'في قاعدتين',
+    few: 'في {count} قواعد',
+    many: 'في {count} قاعدة',
+    other: 'في {count} قاعدة'
+  },
+  'merge.note.used': {
+    one: 'استُخدم مرة واحدة',
+    two: 'استُخدم مرتين',
+    few: 'استُخدم {count} مرات',
+    many: 'استُخدم {count} مرة',
+    other: 'استُخدم {count} مرة'
+  },
+  'merge.line': '«{name}» ← «{target}»',
+  'merge.scope.folders': 'تُنقل الرسائل في {folders} أيضًا',
+  'merge.scope.unsupported': {
+    one: 'تحتفظ الرسائل الأخرى بالتصنيف القديم (لا يستطيع هذا الإصدار من Outlook تحديثها)',
+    two: 'تحتفظ الرسائل الأخرى بالتصنيفين القديمين (لا يستطيع هذا الإصدار من Outlook تحديثها)',
+    few: 'تحتفظ الرسائل الأخرى بالتصنيفات القديمة (لا يستطيع هذا الإصدار من Outlook تحديثها)',
+    many: 'تحتفظ الرسائل الأخرى بالتصنيفات القديمة (لا يستطيع هذا الإصدار من Outlook تحديثها)',
+    other: 'تحتفظ الرسائل الأخرى بالتصنيفات القديمة (لا يستطيع هذا الإصدار من Outlook تحديثها)'
+  },
+  'merge.scope.kept': {
+    one: 'يبقى التصنيف القديم في Outlook فتحتفظ الرسائل بلونه',
+    two: 'يبقى التصنيفان القديمان في Outlook فتحتفظ الرسائل بلونيهما',
+    few: 'تبقى التصنيفات القديمة في Outlook فتحتفظ الرسائل بألوانها',
+    many: 'تبقى التصنيفات القديمة في Outlook فتحتفظ الرسائل بألوانها',
+    other: 'تبقى التصنيفات القديمة في Outlook فتحتفظ الرسائل بألوانها'
+  },
+  'merge.scope.deleted': {
+    one: 'ثم يُحذف التصنيف القديم من Outlook بعد نقل كل تلك الرسائل',
+    two: 'ثم يُحذف التصنيفان القديمان من Outlook بعد نقل كل تلك الرسائل',
+    few: 'ثم تُحذف التصنيفات القديمة من Outlook بعد نقل كل تلك الرسائل',
+    many: 'ثم تُحذف التصنيفات القديمة من Outlook بعد نقل كل تلك الرسائل',
+    other: 'ثم تُحذف التصنيفات القديمة من Outlook بعد نقل كل تلك الرسائل'
+  },
+  'merge.merging': 'جارٍ الدمج في «{target}»…',
+  'merge.merged': 'تم دمج {names} في «{target}»',
+  'merge.mergedUpdated': {
+    one: 'تم دمج {names} في «{target}» (تم تحديث رسالة أخرى واحدة)',
+    two: 'تم دمج {names} في «{target}» (تم تحديث رسالتان أخريان)',
+    few: 'تم دمج {names} في «{target}» (تم تحديث {count} رسائل أخرى)',
+    many: 'تم دمج {names} في «{target}» (تم تحديث {count} رسالة أخرى)',
+    other: 'تم دمج {names} في «{target}» (تم تحديث {count} رسالة أخرى)'
+  },
+  'merge.error': 'خطأ في دمج التصنيفات: {reason}',
+  'merge.errorAfter': 'خطأ في دمج التصنيفات: {reason} (تم دمج {names} قبل ذلك)',
+  'merge.undone': 'تم التراجع عن الدمج واستعادة {names}',
+  'merge.undoneKept': {
+    one: 'تم التراجع عن الدمج واستعادة {names}. تبقى «{target}» على رسالة واحدة في مجلدات أخرى',
+    two: 'تم التراجع عن الدمج واستعادة {names}. تبقى «{target}» على رسالتان في مجلدات أخرى',
+    few: 'تم التراجع عن الدمج واستعادة {names}. تبقى «{target}» على {count} رسائل في مجلدات أخرى',
+    many: 'تم التراجع عن الدمج واستعادة {names}. تبقى «{target}» على {count} رسالة في مجلدات أخرى',
+    other: 'تم التراجع عن الدمج واستعادة {names}. تبقى «{target}» على {count} رسالة في مجلدات أخرى'
+  },
+  'merge.undoError': 'خطأ في التراجع عن الدمج: {reason}',
+  'merge.title': 'دمج التصنيفات',
+  'merge.preview': 'ما الذي سيتغير',
+  'merge.confirm': 'دمج',
+
+  'health.summary': {
+    one: 'تم العثور على مشكلة واحدة',
+    two: 'تم العثور على مشكلتين',
+    few: 'تم العثور على {count} مشكلات',
+    many: 'تم العثور على {count} مشكلة',
+    other: 'تم العثور على {count} مشكلة'
+  },
+  'health.none': 'لم يُعثر على أي مشكلة',
+  'health.orphans': 'مفقود من Outlook',
+  'health.orphansHint': 'في قائمتك، لكن Outlook لم يعد يحتوي على الفئة.',
+  'health.caseDuplicates': 'الاسم نفسه بحالة أحرف مختلفة',
+  'health.caseDuplicatesHint': 'يحتفظ Outlook بكل كتابة كفئة مستقلة. احتفظ بواحدة؛ وتنتقل الرسائل هنا إليها.',
+  'health.nearDuplicates': 'متشابهة',
+  'health.nearDuplicatesHint': 'ربما تصنيف واحد مكتوب بطريقتين.',
+  'health.unused': 'لم يُطبّق قط',
+  'health.unusedHint': 'لم يُطبّق بهذه الوظيفة الإضافية، وليس على هذه الرسالة، وليس في أي قاعدة.',
+  'health.unusedHintMulti': 'لم يُطبّق بهذه الوظيفة الإضافية، وليس على الرسائل المحددة، وليس في أي قاعدة.',
+  'health.recreate': 'إعادة الإنشاء',
+  'health.forget': 'نسيان',
+  'health.keep': 'الاحتفاظ بـ«{name}»',
+  'health.merge': 'دمج…',
+  'health.delete': 'حذف…',
+  'health.selectAll': 'تحديد في كل التصنيفات',
+  'health.error': 'خطأ في إصلاح التصنيف: {reason}',
+  'health.recreated': 'تمت إعادة إنشاء التصنيف «{name}»',
+  'health.forgot': 'تمت إزالة «{name}» من قائمتك',
+  'health.kept': 'تم الاحتفاظ بـ«{name}»',
+  'health.title': 'سلامة التصنيفات',
+
+  'group.title': '{title} ({count})',
+
+  'edit.aliasesSaved': 'تم حفظ الأسماء المستعارة لـ«{name}»',
+  'edit.colorChangedTo': 'تم تغيير لون «{name}» إلى {color}',
+  'edit.colorChanged': 'تم تغيير لون «{name}»',
+  'edit.error': 'خطأ في تغيير اللون: {reason}',
+  'edit.title': 'تحرير التصنيف',
+  'edit.aliases': 'الأسماء المستعارة',
+  'edit.aliasesPlaceholder': 'فواتير، إيصالات',
+  'edit.aliasesHint': 'كلمات أخرى تعثر على هذا التصنيف في البحث، مفصولة بفواصل',
+
+  'import.empty': 'لم يُعثر على فئات في Outlook.',
+  'import.hint': 'حدد الفئات التي تخص {account}.',
+  'import.hintShared': 'حدد الفئات التي تخص صندوق بريد {account}.',
+  'import.hintNew': {
+    one: 'تم تمييز فئة واحدة جديدة منذ آخر مزامنة.',
+    two: 'تم تمييز فئتين جديدتين منذ آخر مزامنة.',
+    few: 'تم تمييز {count} فئات جديدة منذ آخر مزامنة.',
+    many: 'تم تمييز {count} فئة جديدة منذ آخر مزامنة.',
+    other: 'تم تمييز {count} فئة جديدة منذ آخر مزامنة.'
+  },
+  'import.addAccount': 'إضافة حساب…',
+  'import.onThisEmail': 'في هذه الرسالة',
+  'import.new': 'جديد',
+  'import.newTitle': 'أُضيف إلى Outlook منذ آخر مزامنة',
+  'import.otherAccounts': 'موجود أيضًا في قائمة {accounts}',
+  'import.move': 'نقل إلى حساب آخر',
+  'import.moveTo': 'نقل إلى {account}',
+  'import.saved': {
+    one: 'تم حفظ تصنيف واحد لـ{account}',
+    two: 'تم حفظ تصنيفين لـ{account}',
+    few: 'تم حفظ {count} تصنيفات لـ{account}',
+    many: 'تم حفظ {count} تصنيفًا لـ{account}',
+    other: 'تم حفظ {count} تصنيف لـ{account}'
+  },
+  'import.savedOthers': {
+    one: '{saved} وحساب آخر واحد',
+    two: '{saved} وحسابين آخرين',
+    few: '{saved} و{count} حسابات أخرى',
+    many: '{saved} و{count} حسابًا آخر',
+    other: '{saved} و{count} حساب آخر'
+  },
+  'import.title': 'المزامنة من Outlook',
+  'import.accountSelect': 'الحساب الذي تحرر قائمته',
+  'import.forgetHint': 'إزالة هذا الحساب من القوائم المنسدلة؛ يُحتفظ بتصنيفاته',
+  'import.forget': 'نسيان',
+  'import.add': 'إضافة',
+  'import.hintDefault': 'حدد الفئات التي تخص حسابك.',
+  'import.selectAll': 'تحديد الكل',
+
+  'export.empty': 'لا توجد تصنيفات لتصديرها',
+  'export.exported': {
+    one: 'تم تصدير تصنيف واحد',
+    two: 'تم تصدير تصنيفين',
+    few: 'تم تصدير {count} تصنيفات',
+    many: 'تم تصدير {count} تصنيفًا',
+    other: 'تم تصدير {count} تصنيف'
+  },
+  'export.exportedRules': {
+    one: '{labels} وقاعدة واحدة',
+    two: '{labels} وقاعدتان',
+    few: '{labels} و{count} قواعد',
+    many: '{labels} و{count} قاعدة',
+    other: '{labels} و{count} قاعدة'
+  },
+  'export.title': 'تصدير التصنيفات',
+  'export.manual': 'لا يستطيع Outlook هذا حفظ الملفات من وظيفة إضافية. انسخ النص أدناه إلى ملف جديد واحفظه باسم {file}.',
+  'export.copy': 'نسخ',
+  'export.copied': 'تم النسخ؛ الصقه في ملف جديد واحفظه باسم {file}',
+  'export.copyError': 'تعذر النسخ؛ حدد النص وانسخه بنفسك',
+
+  'fileImport.notJson': 'الملف ليس JSON صالحًا',
+  'fileImport.notExport': 'الملف ليس تصديرًا للتصنيفات',
+  'fileImport.newerVersion': 'تم تصدير الملف بإصدار أحدث من هذه الوظيفة الإضافية',
+  'fileImport.noLabels': 'لا يحتوي الملف على تصنيفات',
+  'fileImport.error': 'فشل الاستيراد: {reason}',
+  'fileImport.unreadable': 'تعذرت قراءة الملف',
+  'fileImport.colorChange': '{from} ← {to}',
+  'fileImport.was': 'كان',
+  'fileImport.part.added': {
+    one: 'تصنيف جديد واحد',
+    two: 'تصنيفين جديدين',
+    few: '{count} تصنيفات جديدة',
+    many: '{count} تصنيفًا جديدًا',
+    other: '{count} تصنيف جديد'
+  },
+  'fileImport.part.recolored': {
+    one: 'تصنيف واحد بلون مختلف',
+    two: 'تصنيفين بلون مختلف',
+    few: '{count} تصنيفات بلون مختلف',
+    many: '{count} تصنيفًا بلون مختلف',
+    other: '{count} تصنيف بلون مختلف'
+  },
+  'fileImport.part.present': {
+    one: 'تصنيف واحد موجود بالفعل',
+    two: 'تصنيفين موجودين بالفعل',
+    few: '{count} تصنيفات موجودة بالفعل',
+    many: '{count} تصنيفًا موجودًا بالفعل',
+    other: '{count} تصنيف موجود بالفعل'
+  },
+  'fileImport.part.rules': {
+    one: 'قاعدة جديدة واحدة',
+    two: 'قاعدتين جديدتين',
+    few: '{count} قواعد جديدة',
+    many: '{count} قاعدة جديدة',
+    other: '{count} قاعدة جديدة'
+  },
+  'fileImport.nothingNew': 'لا شيء جديد',
+  'fileImport.summary': 'يحتوي الملف على {parts}. تُنشأ التصنيفات المحددة أو يتغير لونها؛ وتُضاف كلها إلى قائمتك.',
+  'fileImport.added': 'جديد',
+  'fileImport.recolored': 'تغيّر اللون',
+  'fileImport.present': 'موجود بالفعل',
+  'fileImport.rules': 'القواعد',
+  'fileImport.created': {
+    one: 'أُنشئ تصنيف واحد',
+    two: 'أُنشئ تصنيفان',
+    few: 'أُنشئ {count} تصنيفات',
+    many: 'أُنشئ {count} تصنيفًا',
+    other: 'أُنشئ {count} تصنيف'
+  },
+  'fileImport.recoloredCount': {
+    one: 'تغيّر لون تصنيف واحد',
+    two: 'تغيّر لون تصنيفين',
+    few: 'تغيّر لون {count} تصنيفات',
+    many: 'تغيّر لون {count} تصنيفًا',
+    other: 'تغيّر لون {count} تصنيف'
+  },
+  'fileImport.part.rulesAdded': {
+    one: 'قاعدة واحدة',
+    two: 'قاعدتان',
+    few: '{count} قواعد',
+    many: '{count} قاعدة',
+    other: '{count} قاعدة'
+  },
+  'fileImport.imported': 'تم الاستيراد: {parts}',
+  'fileImport.importedFailed': '{done}. فشل: {names}',
+  'fileImport.title': 'استيراد التصنيفات',
+  'fileImport.confirm': 'استيراد',
+
+  'rules.line': '{conditions} ← {labels}',
+  'rules.empty': 'لا توجد قواعد بعد',
+  'rules.turnOff': 'إيقاف',
+  'rules.turnOn': 'تشغيل',
+  'rules.summaryApply': '{conditions} ← تطبيق {labels}',
+  'rules.summarySuggest': '{conditions} ← اقتراح {labels}',
+  'rules.edit': 'تحرير القاعدة',
+  'rules.delete': 'حذف القاعدة',
+  'rules.deleted': 'تم حذف القاعدة',
+  'rules.new': 'قاعدة جديدة',
+  'rules.noLabels': 'أنشئ تصنيفًا أولًا',
+  'rules.missingLabel': '{name} (مفقود)',
+  'rules.noConditions': 'أضف شرطًا واحدًا على الأقل.',
+  'rules.noLabelsPicked': 'اختر تصنيفًا واحدًا على الأقل.',
+  'rules.updated': 'تم تحديث القاعدة',
+  'rules.created': 'تم إنشاء القاعدة',
+  'rules.hint': 'صنّف الرسائل حسب المرسل أو المستلمين أو الموضوع أو المرفقات عند فتحها.',
+  'rules.resetLearned': 'إعادة تعيين الاقتراحات المكتسبة',
+  'rules.name': 'الاسم',
+  'rules.namePlaceholder': 'اختياري',
+  'rules.from': 'من',
+  'rules.recipients': 'إلى أو نسخة',
+  'rules.subject': 'الموضوع يحتوي على',
+  'rules.attachments': 'المرفقات',
+  'rules.attachmentAny': 'أي',
+  'rules.attachmentYes': 'تحتوي على مرفقات',
+  'rules.attachmentNo': 'بدون مرفقات',
+  'rules.labels': 'التصنيفات',
+  'rules.mode': 'عند التطابق',
+  'rules.modeSuggest': 'اقتراح التصنيفات',
+  'rules.modeApply': 'تطبيق التصنيفات تلقائيًا',
+  'rules.save': 'حفظ القاعدة',
+  'rules.title': 'القواعد',
+
+  'shortcuts.search': 'البحث في التصنيفات',
+  'shortcuts.create': 'إنشاء تصنيف',
+  'shortcuts.allLabels': 'إظهار كل التصنيفات أو إخفاؤها',
+  'shortcuts.refresh': 'تحديث',
+  'shortcuts.sync': 'المزامنة من Outlook',
+  'shortcuts.help': 'إظهار اختصارات لوحة المفاتيح',
+  'shortcuts.anywhere': 'في أي مكان',
+  'shortcuts.inSearch': 'في البحث',
+  'shortcuts.inDialogs': 'في مربعات الحوار',
+  'shortcuts.recent': 'تطبيق تصنيف حديث',
+  'shortcuts.move': 'التنقل بين النتائج',
+  'shortcuts.toggle': 'تطبيق التصنيف المميز أو إزالته',
+  'shortcuts.delete': 'حذف التصنيف المميز',
+  'shortcuts.removeLast': 'إزالة آخر تصنيف مطبّق (بحث فارغ)',
+  'shortcuts.clear': 'مسح البحث',
+  'shortcuts.confirm': 'تأكيد',
+  'shortcuts.close': 'إغلاق',
+  'shortcuts.recentLabels': 'التصنيفات الحديثة',
+  'shortcuts.title': 'اختصارات لوحة المفاتيح',
+
+  'rule.or': ' أو ',
+  'rule.from': 'من {values}',
+  'rule.to': 'إلى {values}',
+  'rule.subject': 'الموضوع يحتوي على {values}',
+  'rule.withAttachment': 'مع مرفق',
+  'rule.withoutAttachment': 'بدون مرفق',
+
+  'page.title': 'التصنيفات',
+  'page.addLabel': 'إضافة تصنيف',
+  'page.loading': 'جارٍ تحميل التصنيفات…',
+  'page.unsupported': 'تتطلب هذه الوظيفة الإضافية Outlook مع Mailbox API 1.8 أو أحدث.',
+  'page.noItem': 'حدد رسالة لإدارة تصنيفاتها.',
+  'page.noCompose': 'لا يستطيع هذا الإصدار من Outlook تصنيف المسودات. يمكن إضافة التصنيفات بعد إرسال الرسالة.'
+});
@@ -0,0 +1,457 @@
+/**
+ * English messages, the reference catalog: every key the pane uses is here,
+ * and other languages fall back to it for keys they lack. Plural messages
+ * need `one` and `other`; `zero` is optional.
+ */
+LabelI18n.addMessages('en', {
+  'color.Preset0': 'Red',
+  'color.Preset1': 'Orange',
+  'color.Preset2': 'Brown',
+  'color.Preset3': 'Yellow',
+  'color.Preset4': 'Green',
+  'color.Preset5': 'Teal',
+  'color.Preset6': 'Olive',
+  'color.Preset7': 'Blue',
+  'color.Preset8': 'Purple',
+  'color.Preset9': 'Cranberry',
+  'color.Preset10': 'Steel',
+  'color.Preset11': 'Dark Steel',
+  'color.Preset12': 'Gray',
+  'color.Preset13': 'Dark Gray',
+  'color.Preset14': 'Black',
+  'color.Preset15': 'Dark Red',
+  'color.Preset16': 'Dark Orange',
+  'color.Preset17': 'Dark Brown',
+  'color.Preset18': 'Dark Yellow',
+  'color.Preset19': 'Dark Green',
+  'color.Preset20': 'Dark Teal',
+  'color.Preset21': 'Dark Olive',
+  'color.Preset22': 'Dark Blue',
+  'color.Preset23': 'Dark Purple',
+  'color.Preset24': 'Dark Cranberry',
+
+  'error.unknown': 'Unknown error',
+  'error.loadItem': 'Could not load selected email',
+  'error.addTimedOut': 'Add timed out — added to list only',
+  'error.deleteTimedOut': 'Delete timed out — removed from list only',
+  'error.noResponse': 'Outlook did not respond',
+  'error.colorNotRestored': '{reason} — original color could not be restored',
+  'error.labelNotKept': 'Outlook did not keep the label',
+  'error.labelStillOn': 'the label is still on the email',
+  'error.couldNotAdd': 'Could not add “{name}”: {reason}',
+  'error.couldNotRemove': 'Could not remove “{name}”: {reason}',
+  'error.addedToSome': {
+    one: 'Added “{name}” to {done} of {count} email, not to {items}: {reason}',
+    other: 'Added “{name}” to {done} of {count} emails, not to {items}: {reason}'
+  },
+  'error.removedFromSome': {
+    one: 'Removed “{name}” from {done} of {count} email, not from {items}: {reason}',
+    other: 'Removed “{name}” from {done} of {count} emails, not from {items}: {reason}'
+  },
+  'error.noSubject': '(no subject)',
+  'error.syncSave': 'Labels are saved on this device but could not sync to your others: {reason}',
+  'error.applyRules': 'Error applying rules: {reason}',
+  'error.undoItemGone': 'Cannot undo: that email is no longer selected',
+  'error.loadLabels': 'Error loading labels: {reason}',
+
+  'list.separator': ', ',
+  'list.and': '{items} and {last}',
+  'list.more': { one: '{items} and {count} more', other: '{items} and {count} more' },
+  'list.notes': '; ',
+
+  'quote': '“{name}”',
+
+  'folder.inbox': 'Inbox',
+  'folder.sentitems': 'Sent Items',
+  'folder.drafts': 'Drafts',
+  'folder.deleteditems': 'Deleted Items',
+
+  'suggestions.apply': 'Apply {name}',
+  'suggestions.applyConfidence': 'Apply {name} ({percent} confidence)',
+  'suggestions.conversation': 'From this conversation',
+  'suggestions.applyAll': 'Apply all',
+  'suggestions.rules': 'Suggested by rules',
+  'suggestions.learned': 'Suggested',
+
+  'status.appliedFromConversation': {
+    one: 'Applied {count} label from the conversation',
+    other: 'Applied {count} labels from the conversation'
+  },
+  'status.appliedFromRules': {
+    one: 'Applied {count} label suggested by rules',
+    other: 'Applied {count} labels suggested by rules'
+  },
+  'status.rulesApplied': 'Rules applied {names}',
+  'status.learnedReset': 'Learned suggestions reset',
+  'status.sharedViewOnly': 'Shared mailbox — view only',
+  'status.accountSwitched': 'Showing the labels of {email}',
+  'status.removed': 'Removed “{name}”',
+  'status.undo': 'Undo',
+  'status.putBack': '“{name}” put back',
+  'status.historyCleared': 'Label history cleared',
+  'status.alreadyApplied': '“{name}” is already applied',
+  'status.but': '{done}, but {problems}',
+
+  'header.sync': 'Sync from Outlook (S)',
+  'header.syncNew': {
+    one: 'Sync from Outlook (S) — {count} new category',
+    other: 'Sync from Outlook (S) — {count} new categories'
+  },
+  'header.shared': 'Shared: {email}',
+  'header.sharedViewOnly': 'Shared: {email} (view only)',
+  'header.sharedTitle': 'Labels of {email}’s mailbox, which is shared with you',
+  'header.unknownMailbox': 'another mailbox',
+  'header.unknownTitle': 'Could not tell whose mailbox these emails are in, so their labels can only be viewed',
+  'header.ownTitle': 'Labels of your mailbox',
+  'header.thisEmailAccount': '{email} (this email)',
+  'header.accountSelect': 'Account whose labels are shown',
+  'header.export': 'Export labels to a file',
+  'header.importFile': 'Import labels from a file',
+  'header.rules': 'Rules',
+  'header.health': 'Label health',
+  'header.refresh': 'Refresh (R)',
+
+  'applied.title': 'Applied to this email',
+  'applied.titleDraft': 'Applied to this draft',
+  'applied.titleMulti': { one: 'Applied to {count} email', other: 'Applied to {count} emails' },
+  'applied.empty': 'No labels on this email',
+  'applied.emptyDraft': 'No labels on this draft',
+  'applied.emptyMulti': 'No labels on these emails',
+  'applied.partial': { one: '{name} — on {on} of {count} email', other: '{name} — on {on} of {count} emails' },
+  'applied.remove': 'Remove {name}',
+
+  'write.saving': 'Saving…',
+  'write.onSome': 'On some selected emails',
+
+  'search.state.applied': 'Applied',
+  'search.state.unapplied': 'Not applied',
+  'search.state.orphan': 'Missing from Outlook',
+  'search.filterColor': 'Color: {colors}',
+  'search.filterExclude': 'Not “{term}”',
+  'search.filterScope': 'In {path}',
+  'search.removeFilter': 'Remove filter',
+  'search.alias': 'Alias',
+  'search.recent': 'Recent',
+  'search.clearHistory': 'Clear history',
+  'search.create': 'Create “{name}”',
+  'search.placeholder': 'Search or create label...',
+  'search.filters': 'Filters: color:red, is:applied, is:unapplied, is:orphan, -word, parent/',
+
+  'allLabels.expand': 'Expand',
+  'allLabels.collapse': 'Collapse',
+  'allLabels.edit': 'Change color or aliases',
+  'allLabels.nested': { one: '{count} nested label', other: '{count} nested labels' },
+  'allLabels.rename': 'Rename label',
+  'allLabels.merge': 'Merge into…',
+  'allLabels.delete': 'Delete label',
+  'allLabels.toggle': 'Show or hide all labels (A)',
+  'allLabels.title': 'All labels',
+
+  'bulk.select': 'Select',
+  'bulk.done': 'Done',
+  'bulk.selected': { zero: 'None selected', one: '{count} selected', other: '{count} selected' },
+  'bulk.applyTitle': 'Apply labels',
+  'bulk.apply': 'Apply',
+  'bulk.applied': { one: 'Applied {done} of {count} label', other: 'Applied {done} of {count} labels' },
+  'bulk.removeTitle': 'Remove labels',
+  'bulk.remove': 'Remove',
+  'bulk.removed': { one: 'Removed {done} of {count} label', other: 'Removed {done} of {count} labels' },
+  'bulk.recolorTitle': 'Change color',
+  'bulk.recolor': 'Change color',
+  'bulk.recolored': { one: 'Recolored {done} of {count} label', other: 'Recolored {done} of {count} labels' },
+  'bulk.forgetTitle': 'Forget labels',
+  'bulk.forget': 'Forget',
+  'bulk.forgot': { one: 'Forgot {done} of {count} label', other: 'Forgot {done} of {count} labels' },
+  'bulk.deleteTitle': 'Delete labels',
+  'bulk.delete': 'Delete',
+  'bulk.deleted': { one: 'Deleted {done} of {count} label', other: 'Deleted {done} of {count} labels' },
+  'bulk.restored': { one: 'Restored {count} label', other: 'Restored {count} labels' },
+  'bulk.labels': { one: '{count} label', other: '{count} labels' },
+  'bulk.emails': { one: '{count} email', other: '{count} emails' },
+  'bulk.thisEmail': 'this email',
+  'bulk.confirm.apply': 'Apply {labels} ({names}) to {target}?',
+  'bulk.confirm.remove': 'Remove {labels} ({names}) from {target}?',
+  'bulk.confirm.recolor': 'Give {labels} ({names}) this color:',
+  'bulk.confirm.forget': 'Take {labels} ({names}) off your list? The categories stay in Outlook.',
+  'bulk.confirm.delete': 'Delete {labels} ({names})? This removes them from all emails.',
+  'bulk.working': 'Working…',
+  'bulk.progress': '{title}… {done} of {total}',
+  'bulk.note.alreadyApplied': 'already applied',
+  'bulk.note.notApplied': 'not applied',
+  'bulk.note.sameColor': 'already this color',
+  'bulk.note.itemGone': 'the email is no longer selected',
+  'bulk.note.recoloredBut': 'recolored, but {reason}',
+  'bulk.failed': { one: '{summary}; {count} failed', other: '{summary}; {count} failed' },
+  'bulk.selectTitle': 'Select several labels',
+  'bulk.none': 'None selected',
+  'bulk.colorButton': 'Color',
+  'bulk.mergeButton': 'Merge',
+  'bulk.forgetHint': 'Take off your list; the Outlook categories stay',
+
+  'dialog.close': 'Close',
+  'dialog.color': 'Color',
+  'dialog.cancel': 'Cancel',
+  'dialog.ok': 'OK',
+  'dialog.save': 'Save',
+  'dialog.done': 'Done',
+
+  'name.empty': 'Enter a name',
+  'name.tooLong': {
+    one: 'Outlook allows up to {max} characters; this name has {count}',
+    other: 'Outlook allows up to {max} characters; this name has {count}'
+  },
+  'name.separators': 'Outlook separates labels with commas and semicolons, so a name cannot contain them',
+  'name.exists': '“{name}” already exists',
+  'name.inOutlook': 'Outlook already has “{name}”',
+
+  'create.parents': { one: 'Also create parent label {names}', other: 'Also create parent labels {names}' },
+  'create.normalized': 'Will be saved as “{name}”',
+  'create.useExisting': 'Use it instead:',
+  'create.didYouMean': 'Did you mean…',
+  'create.applyInstead': 'Apply “{name}” instead',
+  'create.createdApplied': 'Label “{name}” created and applied',
+  'create.created': 'Label “{name}” created',
+  'create.createdBut': 'Label “{name}” created. {reason}',
+  'create.error': 'Error creating label: {reason}',
+  'create.title': 'Create new label',
+  'create.placeholder': 'Label name (use / to nest)',
+  'create.confirm': 'Create',
+
+  'delete.confirm': 'Delete “{name}”? This removes it from all emails.',
+  'delete.keepsNested': {
+    one: 'Its {count} nested label ({names}) will not be deleted.',
+    other: 'Its {count} nested labels ({names}) will not be deleted.'
+  },
+  'delete.deleted': 'Label “{name}” deleted',
+  'delete.error': 'Error deleting label: {reason}',
+  'delete.restored': 'Label “{name}” restored',
+  'delete.restoreError': 'Error restoring “{name}”: {reason}',
+  'delete.title': 'Delete label',
+  'delete.prompt': 'Are you sure you want to delete this label?',
+  'delete.confirmButton': 'Delete',
+
+  'rename.prompt': 'Rename “{name}” to:',
+  'rename.note.unsupported': 'other emails still have “{name}” (this Outlook cannot update them)',
+  'rename.note.failed': { one: '{count} email could not be updated', other: '{count} emails could not be updated' },
+  'rename.note.failedFolders': 'could not search {folders}',
+  'rename.note.truncated': {
+    one: 'only the first {count} email was updated in {folders}',
+    other: 'only the first {count} emails were updated in {folders}'
+  },
+  'rename.note.outside': 'emails outside {folders} keep “{name}”',
+  'rename.note.notDeleted': '“{name}” is still in Outlook’s category list',
+  'rename.note.kept': '“{name}” stays in Outlook’s category list, so those emails keep its color',
+  'rename.empty': 'Label name cannot be empty',
+  'rename.caseOnly': 'Outlook treats names that differ only by case as the same label',
+  'rename.exists': 'A label with this name already exists',
+  'rename.renamed': 'Renamed to “{name}”',
+  'rename.renamedUpdated': {
+    one: 'Renamed to “{name}” ({count} other email updated)',
+    other: 'Renamed to “{name}” ({count} other emails updated)'
+  },
+  'rename.error': 'Error renaming label: {reason}',
+  'rename.title': 'Rename label',
+  'rename.promptDefault': 'Rename this label to:',
+  'rename.placeholder': 'New label name',
+  'rename.confirm': 'Rename',
+
+  'merge.noTarget': 'There is no other label to merge into',
+  'merge.prompt': 'Merge {names} into:',
+  'merge.note.onSelected': { one: 'on {count} selected email', other: 'on {count} selected emails' },
+  'merge.note.onThisEmail': 'on this email',
+  'merge.note.aliases': { one: '{count} alias', other: '{count} aliases' },
+  'merge.note.rules': { one: 'in {count} rule', other: 'in {count} rules' },
+  'merge.note.used': { one: 'used {count} time', other: 'used {count} times' },
+  'merge.line': '“{name}” → “{target}”',
+  'merge.scope.folders': 'Emails in {folders} are moved too',
+  'merge.scope.unsupported': {
+    one: 'Other emails keep the old label (this Outlook cannot update them)',
+    other: 'Other emails keep the old labels (this Outlook cannot update them)'
+  },
+  'merge.scope.kept': {
+    one: 'The old label stays in Outlook, so they keep its color',
+    other: 'The old labels stay in Outlook, so they keep their colors'
+  },
+  'merge.scope.deleted': {
+    one: 'Then the old label is deleted from Outlook, once every one of those emails has moved',
+    other: 'Then the old labels are deleted from Outlook, once every one of those emails has moved'
+  },
+  'merge.merging': 'Merging into “{target}”…',
+  'merge.merged': 'Merged {names} into “{target}”',
+  'merge.mergedUpdated': {
+    one: 'Merged {names} into “{target}” ({count} other email updated)',
+    other: 'Merged {names} into “{target}” ({count} other emails updated)'
+  },
+  'merge.error': 'Error merging labels: {reason}',
+  'merge.errorAfter': 'Error merging labels: {reason} (merged {names} before that)',
+  'merge.undone': 'Merge undone; {names} restored',
+  'merge.undoneKept': {
+    one: 'Merge undone; {names} restored. {count} email in other folders keeps “{target}”',
+    other: 'Merge undone; {names} restored. {count} emails in other folders keep “{target}”'
+  },
+  'merge.undoError': 'Error undoing the merge: {reason}',
+  'merge.title': 'Merge labels',
+  'merge.preview': 'What changes',
+  'merge.confirm': 'Merge',
+
+  'health.summary': { one: '{count} problem found', other: '{count} problems found' },
+  'health.none': 'No problems found',
+  'health.orphans': 'Missing from Outlook',
+  'health.orphansHint': 'On your list, but Outlook no longer has the category.',
+  'health.caseDuplicates': 'Same name, different case',
+  'health.caseDuplicatesHint': 'Outlook has each spelling as a category of its own. Keep one; emails here move to it.',
+  'health.nearDuplicates': 'Look alike',
+  'health.nearDuplicatesHint': 'Possibly one label spelled two ways.',
+  'health.unused': 'Never applied',
+  'health.unusedHint': 'Not applied with this add-in, not on this email and not in any rule.',
+  'health.unusedHintMulti': 'Not applied with this add-in, not on the selected emails and not in any rule.',
+  'health.recreate': 'Re-create',
+  'health.forget': 'Forget',
+  'health.keep': 'Keep “{name}”',
+  'health.merge': 'Merge…',
+  'health.delete': 'Delete…',
+  'health.selectAll': 'Select in All labels',
+  'health.error': 'Error fixing label: {reason}',
+  'health.recreated': 'Label “{name}” re-created',
+  'health.forgot': '“{name}” removed from your list',
+  'health.kept': 'Kept “{name}”',
+  'health.title': 'Label health',
+
+  'group.title': '{title} ({count})',
+
+  'edit.aliasesSaved': 'Aliases of “{name}” saved',
+  'edit.colorChangedTo': 'Color of “{name}” changed to {color}',
+  'edit.colorChanged': 'Color of “{name}” changed',
+  'edit.error': 'Error changing color: {reason}',
+  'edit.title': 'Edit label',
+  'edit.aliases': 'Aliases',
+  'edit.aliasesPlaceholder': 'bills, receipts',
+  'edit.aliasesHint': 'Other words that find this label in search, separated by commas',
+
+  'import.empty': 'No categories found in Outlook.',
+  'import.hint': 'Select the categories that belong to {account}.',
+  'import.hintShared': 'Select the categories that belong to {account}’s mailbox.',
+  'import.hintNew': {
+    one: '{count} new since the last sync is marked.',
+    other: '{count} new since the last sync are marked.'
+  },
+  'import.addAccount': 'Add account…',
+  'import.onThisEmail': 'On this email',
+  'import.new': 'New',
+  'import.newTitle': 'Added to Outlook since the last sync',
+  'import.otherAccounts': 'Also on the list of {accounts}',
+  'import.move': 'Move to another account',
+  'import.moveTo': 'Move to {account}',
+  'import.saved': { one: 'Saved {count} label for {account}', other: 'Saved {count} labels for {account}' },
+  'import.savedOthers': { one: '{saved} and {count} other account', other: '{saved} and {count} other accounts' },
+  'import.title': 'Sync from Outlook',
+  'import.accountSelect': 'Account whose list you are editing',
+  'import.forgetHint': 'Remove this account from the pickers; its labels are kept',
+  'import.forget': 'Forget',
+  'import.add': 'Add',
+  'import.hintDefault': 'Select the categories that belong to your account.',
+  'import.selectAll': 'Select all',
+
+  'export.empty': 'No labels to export',
+  'export.exported': { one: 'Exported {count} label', other: 'Exported {count} labels' },
+  'export.exportedRules': { one: '{labels} and {count} rule', other: '{labels} and {count} rules' },
+  'export.title': 'Export labels',
+  'export.manual': 'This Outlook cannot save files from an add-in. Copy the text below into a new file and save it as {file}.',
+  'export.copy': 'Copy',
+  'export.copied': 'Copied; paste it into a new file and save it as {file}',
+  'export.copyError': 'Could not copy; select the text and copy it yourself',
+
+  'fileImport.notJson': 'The file is not valid JSON',
+  'fileImport.notExport': 'The file is not a label export',
+  'fileImport.newerVersion': 'The file was exported by a newer version of this add-in',
+  'fileImport.noLabels': 'The file contains no labels',
+  'fileImport.error': 'Import failed: {reason}',
+  'fileImport.unreadable': 'the file could not be read',
+  'fileImport.colorChange': '{from} → {to}',
+  'fileImport.was': 'was',
+  'fileImport.part.added': { one: '{count} new', other: '{count} new' },
+  'fileImport.part.recolored': { one: '{count} with a different color', other: '{count} with a different color' },
+  'fileImport.part.present': { one: '{count} already present', other: '{count} already present' },
+  'fileImport.part.rules': { one: '{count} new rule', other: '{count} new rules' },
+  'fileImport.nothingNew': 'nothing new',
+  'fileImport.summary': 'The file has {parts}. Checked labels are created or recolored; all of them are added to your list.',
+  'fileImport.added': 'New',
+  'fileImport.recolored': 'Color changed',
+  'fileImport.present': 'Already present',
+  'fileImport.rules': 'Rules',
+  'fileImport.created': { one: '{count} created', other: '{count} created' },
+  'fileImport.recoloredCount': { one: '{count} recolored', other: '{count} recolored' },
+  'fileImport.part.rulesAdded': { one: '{count} rule', other: '{count} rules' },
+  'fileImport.imported': 'Imported: {parts}',
+  'fileImport.importedFailed': '{done}. Failed: {names}',
+  'fileImport.title': 'Import labels',
+  'fileImport.confirm': 'Import',
+
+  'rules.line': '{conditions} → {labels}',
+  'rules.empty': 'No rules yet',
+  'rules.turnOff': 'Turn off',
+  'rules.turnOn': 'Turn on',
+  'rules.summaryApply': '{conditions} → apply {labels}',
+  'rules.summarySuggest': '{conditions} → suggest {labels}',
+  'rules.edit': 'Edit rule',
+  'rules.delete': 'Delete rule',
+  'rules.deleted': 'Rule deleted',
+  'rules.new': 'New rule',
+  'rules.noLabels': 'Create a label first',
+  'rules.missingLabel': '{name} (missing)',
+  'rules.noConditions': 'Add at least one condition.',
+  'rules.noLabelsPicked': 'Pick at least one label.',
+  'rules.updated': 'Rule updated',
+  'rules.created': 'Rule created',
+  'rules.hint': 'Label emails by sender, recipients, subject or attachments when you open them.',
+  'rules.resetLearned': 'Reset learned suggestions',
+  'rules.name': 'Name',
+  'rules.namePlaceholder': 'Optional',
+  'rules.from': 'From',
+  'rules.recipients': 'To or Cc',
+  'rules.subject': 'Subject contains',
+  'rules.attachments': 'Attachments',
+  'rules.attachmentAny': 'Any',
+  'rules.attachmentYes': 'Has attachments',
+  'rules.attachmentNo': 'No attachments',
+  'rules.labels': 'Labels',
+  'rules.mode': 'When it matches',
+  'rules.modeSuggest': 'Suggest the labels',
+  'rules.modeApply': 'Apply the labels automatically',
+  'rules.save': 'Save rule',
+  'rules.title': 'Rules',
+
+  'shortcuts.search': 'Search labels',
+  'shortcuts.create': 'Create a label',
+  'shortcuts.allLabels': 'Show or hide all labels',
+  'shortcuts.refresh': 'Refresh',
+  'shortcuts.sync': 'Sync from Outlook',
+  'shortcuts.help': 'Show keyboard shortcuts',
+  'shortcuts.anywhere': 'Anywhere',
+  'shortcuts.inSearch': 'In search',
+  'shortcuts.inDialogs': 'In dialogs',
+  'shortcuts.recent': 'Apply a recent label',
+  'shortcuts.move': 'Move through results',
+  'shortcuts.toggle': 'Apply or remove the highlighted label',
+  'shortcuts.delete': 'Delete the highlighted label',
+  'shortcuts.removeLast': 'Remove the last applied label (empty search)',
+  'shortcuts.clear': 'Clear the search',
+  'shortcuts.confirm': 'Confirm',
+  'shortcuts.close': 'Close',
+  'shortcuts.recentLabels': 'Recent labels',
+  'shortcuts.title': 'Keyboard shortcuts',
+
+  'rule.or': ' or ',
+  'rule.from': 'from {values}',
+  'rule.to': 'to {values}',
+  'rule.subject': 'subject has {values}',
+  'rule.withAttachment': 'with attachment',
+  'rule.withoutAttachment': 'without attachment',
+
+  'page.title': 'Labels',
+  'page.addLabel': 'Add a label',
+  'page.loading': 'Loading labels...',
+  'page.unsupported': 'This add-in requires Outlook with Mailbox API 1.8 or later.',
+  'page.noItem': 'Select an email to manage labels.',
+  'page.noCompose': 'This version of Outlook can’t label drafts. Labels can be added after the message is sent.'
+});
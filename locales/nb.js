@@ -0,0 +1,458 @@
+/**
+ * Norwegian Bokmål messages. Also used for Nynorsk and plain "no".
+ */
+LabelI18n.addMessages('nb', {
+  'color.Preset0': 'Rød',
+  'color.Preset1': 'Oransje',
+  'color.Preset2': 'Brun',
+  'color.Preset3': 'Gul',
+  'color.Preset4': 'Grønn',
+  'color.Preset5': 'Blågrønn',
+  'color.Preset6': 'Oliven',
+  'color.Preset7': 'Blå',
+  'color.Preset8': 'Lilla',
+  'color.Preset9': 'Tranebær',
+  'color.Preset10': 'Stål',
+  'color.Preset11': 'Mørk stål',
+  'color.Preset12': 'Grå',
+  'color.Preset13': 'Mørkegrå',
+  'color.Preset14': 'Svart',
+  'color.Preset15': 'Mørkerød',
+  'color.Preset16': 'Mørk oransje',
+  'color.Preset17': 'Mørkebrun',
+  'color.Preset18': 'Mørkegul',
+  'color.Preset19': 'Mørkegrønn',
+  'color.Preset20': 'Mørk blågrønn',
+  'color.Preset21': 'Mørk oliven',
+  'color.Preset22': 'Mørkeblå',
+  'color.Preset23': 'Mørk lilla',
+  'color.Preset24': 'Mørk tranebær',
+
+  'error.unknown': 'Ukjent feil',
+  'error.loadItem': 'Kunne ikke laste den valgte e-posten',
+  'error.addTimedOut': 'Tidsavbrudd ved oppretting – bare lagt til i listen',
+  'error.deleteTimedOut': 'Tidsavbrudd ved sletting – bare fjernet fra listen',
+  'error.noResponse': 'Outlook svarte ikke',
+  'error.colorNotRestored': '{reason} – den opprinnelige fargen kunne ikke gjenopprettes',
+  'error.labelNotKept': 'Outlook beholdt ikke etiketten',
+  'error.labelStillOn': 'etiketten er fortsatt på e-posten',
+  'error.couldNotAdd': 'Kunne ikke legge til «{name}»: {reason}',
+  'error.couldNotRemove': 'Kunne ikke fjerne «{name}»: {reason}',
+  'error.addedToSome': {
+    one: 'La til «{name}» på {done} av {count} e-post, ikke på {items}: {reason}',
+    other: 'La til «{name}» på {done} av {count} e-poster, ikke på {items}: {reason}'
+  },
+  'error.removedFromSome': {
+    one: 'Fjernet «{name}» fra {done} av {count} e-post, ikke fra {items}: {reason}',
+    other: 'Fjernet «{name}» fra {done} av {count} e-poster, ikke fra {items}: {reason}'
+  },
+  'error.noSubject': '(uten emne)',
+  'error.syncSave': 'Etikettene er lagret på denne enheten, men kunne ikke synkroniseres til de andre: {reason}',
+  'error.applyRules': 'Feil ved bruk av regler: {reason}',
+  'error.undoItemGone': 'Kan ikke angre: den e-posten er ikke lenger valgt',
+  'error.loadLabels': 'Feil ved lasting av etiketter: {reason}',
+
+  'list.separator': ', ',
+  'list.and': '{items} og {last}',
+  'list.more': { one: '{items} og {count} til', other: '{items} og {count} til' },
+  'list.notes': '; ',
+
+  'quote': '«{name}»',
+
+  'folder.inbox': 'Innboks',
+  'folder.sentitems': 'Sendte elementer',
+  'folder.drafts': 'Utkast',
+  'folder.deleteditems': 'Slettede elementer',
+
+  'suggestions.apply': 'Bruk {name}',
+  'suggestions.applyConfidence': 'Bruk {name} ({percent} sikkerhet)',
+  'suggestions.conversation': 'Fra denne samtalen',
+  'suggestions.applyAll': 'Legg til alle',
+  'suggestions.rules': 'Foreslått av regler',
+  'suggestions.learned': 'Forslag',
+
+  'status.appliedFromConversation': { one: 'La til {count} etikett fra samtalen', other: 'La til {count} etiketter fra samtalen' },
+  'status.appliedFromRules': {
+    one: 'La til {count} etikett foreslått av regler',
+    other: 'La til {count} etiketter foreslått av regler'
+  },
+  'status.rulesApplied': 'Regler la til {names}',
+  'status.learnedReset': 'Lærte forslag er tilbakestilt',
+  'status.sharedViewOnly': 'Delt postboks – bare visning',
+  'status.accountSwitched': 'Viser etikettene til {email}',
+  'status.removed': 'Fjernet «{name}»',
+  'status.undo': 'Angre',
+  'status.putBack': '«{name}» er lagt tilbake',
+  'status.historyCleared': 'Etikettloggen er tømt',
+  'status.alreadyApplied': '«{name}» er allerede lagt til',
+  'status.but': '{done}, men {problems}',
+
+  'header.sync': 'Synkroniser fra Outlook (S)',
+  'header.syncNew': {
+    one: 'Synkroniser fra Outlook (S) – {count} ny kategori',
+    other: 'Synkroniser fra Outlook (S) – {count} nye kategorier'
+  },
+  'header.shared': 'Delt: {email}',
+  'header.sharedViewOnly': 'Delt: {email} (bare visning)',
+  'header.sharedTitle': 'Etikettene i postboksen til {email}, som er delt med deg',
+  'header.unknownMailbox': 'en annen postboks',
+  'header.unknownTitle': 'Kunne ikke finne ut hvilken postboks disse e-postene ligger i, så etikettene kan bare vises',
+  'header.ownTitle': 'Etikettene i postboksen din',
+  'header.thisEmailAccount': '{email} (denne e-posten)',
+  'header.accountSelect': 'Kontoen som etikettene vises for',
+  'header.export': 'Eksporter etiketter til en fil',
+  'header.importFile': 'Importer etiketter fra en fil',
+  'header.rules': 'Regler',
+  'header.health': 'Etikettsjekk',
+  'header.refresh': 'Oppdater (R)',
+
+  'applied.title': 'På denne e-posten',
+  'applied.titleDraft': 'På dette utkastet',
+  'applied.titleMulti': { one: 'På {count} e-post', other: 'På {count} e-poster' },
+  'applied.empty': 'Ingen etiketter på denne e-posten',
+  'applied.emptyDraft': 'Ingen etiketter på dette utkastet',
+  'applied.emptyMulti': 'Ingen etiketter på disse e-postene',
+  'applied.partial': { one: '{name} – på {on} av {count} e-post', other: '{name} – på {on} av {count} e-poster' },
+  'applied.remove': 'Fjern {name}',
+
+  'write.saving': 'Lagrer …',
+  'write.onSome': 'På noen av de valgte e-postene',
+
+  'search.state.applied': 'Lagt til',
+  'search.state.unapplied': 'Ikke lagt til',
+  'search.state.orphan': 'Mangler i Outlook',
+  'search.filterColor': 'Farge: {colors}',
+  'search.filterExclude': 'Ikke «{term}»',
+  'search.filterScope': 'I {path}',
+  'search.removeFilter': 'Fjern filter',
+  'search.alias': 'Alias',
+  'search.recent': 'Nylige',
+  'search.clearHistory': 'Tøm loggen',
+  'search.create': 'Opprett «{name}»',
+  'search.placeholder': 'Søk eller opprett etikett …',
+  'search.filters': 'Filtre: color:rød, is:applied, is:unapplied, is:orphan, -ord, overordnet/',
+
+  'allLabels.expand': 'Vis',
+  'allLabels.collapse': 'Skjul',
+  'allLabels.edit': 'Endre farge eller aliaser',
+  'allLabels.nested': { one: '{count} underetikett', other: '{count} underetiketter' },
+  'allLabels.rename': 'Gi nytt navn',
+  'allLabels.merge': 'Slå sammen med …',
+  'allLabels.delete': 'Slett etikett',
+  'allLabels.toggle': 'Vis eller skjul alle etiketter (A)',
+  'allLabels.title': 'Alle etiketter',
+
+  'bulk.select': 'Velg',
+  'bulk.done': 'Ferdig',
+  'bulk.selected': { zero: 'Ingen valgt', one: '{count} valgt', other: '{count} valgt' },
+  'bulk.applyTitle': 'Legg til etiketter',
+  'bulk.apply': 'Legg til',
+  'bulk.applied': { one: 'La til {done} av {count} etikett', other: 'La til {done} av {count} etiketter' },
+  'bulk.removeTitle': 'Fjern etiketter',
+  'bulk.remove': 'Fjern',
+  'bulk.removed': { one: 'Fjernet {done} av {count} etikett', other: 'Fjernet {done} av {count} etiketter' },
+  'bulk.recolorTitle': 'Endre farge',
+  'bulk.recolor': 'Endre farge',
+  'bulk.recolored': {
+    one: 'Endret farge på {done} av {count} etikett',
+    other: 'Endret farge på {done} av {count} etiketter'
+  },
+  'bulk.forgetTitle': 'Glem etiketter',
+  'bulk.forget': 'Glem',
+  'bulk.forgot': { one: 'Glemte {done} av {count} etikett', other: 'Glemte {done} av {count} etiketter' },
+  'bulk.deleteTitle': 'Slett etiketter',
+  'bulk.delete': 'Slett',
+  'bulk.deleted': { one: 'Slettet {done} av {count} etikett', other: 'Slettet {done} av {count} etiketter' },
+  'bulk.restored': { one: 'Gjenopprettet {count} etikett', other: 'Gjenopprettet {count} etiketter' },
+  'bulk.labels': { one: '{count} etikett', other: '{count} etiketter' },
+  'bulk.emails': { one: '{count} e-post', other: '{count} e-poster' },
+  'bulk.thisEmail': 'denne e-posten',
+  'bulk.confirm.apply': 'Legge til {labels} ({names}) på {target}?',
+  'bulk.confirm.remove': 'Fjerne {labels} ({names}) fra {target}?',
+  'bulk.confirm.recolor': 'Gi {labels} ({names}) denne fargen:',
+  'bulk.confirm.forget': 'Ta {labels} ({names}) av listen din? Kategoriene blir værende i Outlook.',
+  'bulk.confirm.delete': 'Slette {labels} ({names})? De fjernes fra alle e-poster.',
+  'bulk.working': 'Arbeider …',
+  'bulk.progress': '{title} … {done} av {total}',
+  'bulk.note.alreadyApplied': 'allerede lagt til',
+  'bulk.note.notApplied': 'ikke lagt til',
+  'bulk.note.sameColor': 'har allerede denne fargen',
+  'bulk.note.itemGone': 'e-posten er ikke lenger valgt',
+  'bulk.note.recoloredBut': 'fikk ny farge, men {reason}',
+  'bulk.failed': { one: '{summary}; {count} mislyktes', other: '{summary}; {count} mislyktes' },
+  'bulk.selectTitle': 'Velg flere etiketter',
+  'bulk.none': 'Ingen valgt',
+  'bulk.colorButton': 'Farge',
+  'bulk.mergeButton': 'Slå sammen',
+  'bulk.forgetHint': 'Ta av listen din; kategoriene i Outlook blir værende',
+
+  'dialog.close': 'Lukk',
+  'dialog.color': 'Farge',
+  'dialog.cancel': 'Avbryt',
+  'dialog.ok': 'OK',
+  'dialog.save': 'Lagre',
+  'dialog.done': 'Ferdig',
+
+  'name.empty': 'Skriv inn et navn',
+  'name.tooLong': {
+    one: 'Outlook tillater opptil {max} tegn; dette navnet har {count}',
+    other: 'Outlook tillater opptil {max} tegn; dette navnet har {count}'
+  },
+  'name.separators': 'Outlook skiller etiketter med komma og semikolon, så et navn kan ikke inneholde dem',
+  'name.exists': '«{name}» finnes allerede',
+  'name.inOutlook': 'Outlook har allerede «{name}»',
+
+  'create.parents': {
+    one: 'Opprett også overordnet etikett {names}',
+    other: 'Opprett også overordnede etiketter {names}'
+  },
+  'create.normalized': 'Lagres som «{name}»',
+  'create.useExisting': 'Bruk den i stedet:',
+  'create.didYouMean': 'Mente du …',
+  'create.applyInstead': 'Legg til «{name}» i stedet',
+  'create.createdApplied': 'Etiketten «{name}» er opprettet og lagt til',
+  'create.created': 'Etiketten «{name}» er opprettet',
+  'create.createdBut': 'Etiketten «{name}» er opprettet. {reason}',
+  'create.error': 'Feil ved oppretting av etikett: {reason}',
+  'create.title': 'Opprett ny etikett',
+  'create.placeholder': 'Etikettnavn (bruk / for å nøste)',
+  'create.confirm': 'Opprett',
+
+  'delete.confirm': 'Slette «{name}»? Den fjernes fra alle e-poster.',
+  'delete.keepsNested': {
+    one: 'Den {count} underetiketten ({names}) blir ikke slettet.',
+    other: 'De {count} underetikettene ({names}) blir ikke slettet.'
+  },
+  'delete.deleted': 'Etiketten «{name}» er slettet',
+  'delete.error': 'Feil ved sletting av etikett: {reason}',
+  'delete.restored': 'Etiketten «{name}» er gjenopprettet',
+  'delete.restoreError': 'Feil ved gjenoppretting av «{name}»: {reason}',
+  'delete.title': 'Slett etikett',
+  'delete.prompt': 'Er du sikker på at du vil slette denne etiketten?',
+  'delete.confirmButton': 'Slett',
+
+  'rename.prompt': 'Gi «{name}» nytt navn:',
+  'rename.note.unsupported': 'andre e-poster har fortsatt «{name}» (denne Outlook kan ikke oppdatere dem)',
+  'rename.note.failed': { one: '{count} e-post kunne ikke oppdateres', other: '{count} e-poster kunne ikke oppdateres' },
+  'rename.note.failedFolders': 'kunne ikke søke i {folders}',
+  'rename.note.truncated': {
+    one: 'bare den første e-posten ble oppdatert i {folders}',
+    other: 'bare de første {count} e-postene ble oppdatert i {folders}'
+  },
+  'rename.note.outside': 'e-poster utenfor {folders} beholder «{name}»',
+  'rename.note.notDeleted': '«{name}» står fortsatt i kategorilisten i Outlook',
+  'rename.note.kept': '«{name}» blir værende i kategorilisten i Outlook, så de e-postene beholder fargen',
+  'rename.empty': 'Etikettnavnet kan ikke være tomt',
+  'rename.caseOnly': 'Outlook ser på navn som bare skiller seg i store og små bokstaver som samme etikett',
+  'rename.exists': 'Det finnes allerede en etikett med dette navnet',
+  'rename.renamed': 'Nytt navn: «{name}»',
+  'rename.renamedUpdated': {
+    one: 'Nytt navn: «{name}» ({count} annen e-post oppdatert)',
+    other: 'Nytt navn: «{name}» ({count} andre e-poster oppdatert)'
+  },
+  'rename.error': 'Feil ved endring av navn: {reason}',
+  'rename.title': 'Gi etiketten nytt navn',
+  'rename.promptDefault': 'Gi denne etiketten nytt navn:',
+  'rename.placeholder': 'Nytt etikettnavn',
+  'rename.confirm': 'Gi nytt navn',
+
+  'merge.noTarget': 'Det finnes ingen annen etikett å slå sammen med',
+  'merge.prompt': 'Slå sammen {names} med:',
+  'merge.note.onSelected': { one: 'på {count} valgt e-post', other: 'på {count} valgte e-poster' },
+  'merge.note.onThisEmail': 'på denne e-posten',
+  'merge.note.aliases': { one: '{count} alias', other: '{count} aliaser' },
+  'merge.note.rules': { one: 'i {count} regel', other: 'i {count} regler' },
+  'merge.note.used': { one: 'brukt {count} gang', other: 'brukt {count} ganger' },
+  'merge.line': '«{name}» → «{target}»',
+  'merge.scope.folders': 'E-poster i {folders} flyttes også',
+  'merge.scope.unsupported': {
+    one: 'Andre e-poster beholder den gamle etiketten (denne Outlook kan ikke oppdatere dem)',
+    other: 'Andre e-poster beholder de gamle etikettene (denne Outlook kan ikke oppdatere dem)'
+  },
+  'merge.scope.kept': {
+    one: 'Den gamle etiketten blir værende i Outlook, så de beholder fargen',
+    other: 'De gamle etikettene blir værende i Outlook, så de beholder fargene'
+  },
+  'merge.scope.deleted': {
+    one: 'Deretter slettes den gamle etiketten fra Outlook, når alle disse e-postene er flyttet',
+    other: 'Deretter slettes de gamle etikettene fra Outlook, når alle disse e-postene er flyttet'
+  },
+  'merge.merging': 'Slår sammen med «{target}» …',
+  'merge.merged': 'Slo sammen {names} med «{target}»',
+  'merge.mergedUpdated': {
+    one: 'Slo sammen {names} med «{target}» ({count} annen e-post oppdatert)',
+    other: 'Slo sammen {names} med «{target}» ({count} andre e-poster oppdatert)'
+  },
+  'merge.error': 'Feil ved sammenslåing: {reason}',
+  'merge.errorAfter': 'Feil ved sammenslåing: {reason} ({names} ble slått sammen før det)',
+  'merge.undone': 'Sammenslåingen er angret; {names} er gjenopprettet',
+  'merge.undoneKept': {
+    one: 'Sammenslåingen er angret; {names} er gjenopprettet. {count} e-post i andre mapper beholder «{target}»',
+    other: 'Sammenslåingen er angret; {names} er gjenopprettet. {count} e-poster i andre mapper beholder «{target}»'
+  },
+  'merge.undoError': 'Feil ved angring av sammenslåingen: {reason}',
+  'merge.title': 'Slå sammen etiketter',
+  'merge.preview': 'Dette endres',
+  'merge.confirm': 'Slå sammen',
+
+  'health.summary': { one: 'Fant {count} problem', other: 'Fant {count} problemer' },
+  'health.none': 'Fant ingen problemer',
+  'health.orphans': 'Mangler i Outlook',
+  'health.orphansHint': 'På listen din, men Outlook har ikke lenger kategorien.',
+  'health.caseDuplicates': 'Samme navn, ulike store og små bokstaver',
+  'health.caseDuplicatesHint': 'Outlook har hver skrivemåte som egen kategori. Behold én; e-postene her flyttes til den.',
+  'health.nearDuplicates': 'Ligner hverandre',
+  'health.nearDuplicatesHint': 'Kanskje én etikett stavet på to måter.',
+  'health.unused': 'Aldri brukt',
+  'health.unusedHint': 'Ikke lagt til med dette tillegget, ikke på denne e-posten og ikke i noen regel.',
+  'health.unusedHintMulti': 'Ikke lagt til med dette tillegget, ikke på de valgte e-postene og ikke i noen regel.',
+  'health.recreate': 'Opprett på nytt',
+  'health.forget': 'Glem',
+  'health.keep': 'Behold «{name}»',
+  'health.merge': 'Slå sammen …',
+  'health.delete': 'Slett …',
+  'health.selectAll': 'Velg under Alle etiketter',
+  'health.error': 'Feil ved retting av etikett: {reason}',
+  'health.recreated': 'Etiketten «{name}» er opprettet på nytt',
+  'health.forgot': '«{name}» er fjernet fra listen din',
+  'health.kept': 'Beholdt «{name}»',
+  'health.title': 'Etikettsjekk',
+
+  'group.title': '{title} ({count})',
+
+  'edit.aliasesSaved': 'Aliasene til «{name}» er lagret',
+  'edit.colorChangedTo': 'Fargen på «{name}» er endret til {color}',
+  'edit.colorChanged': 'Fargen på «{name}» er endret',
+  'edit.error': 'Feil ved endring av farge: {reason}',
+  'edit.title': 'Rediger etikett',
+  'edit.aliases': 'Aliaser',
+  'edit.aliasesPlaceholder': 'regninger, kvitteringer',
+  'edit.aliasesHint': 'Andre ord som finner denne etiketten i søket, skilt med komma',
+
+  'import.empty': 'Fant ingen kategorier i Outlook.',
+  'import.hint': 'Velg kategoriene som hører til {account}.',
+  'import.hintShared': 'Velg kategoriene som hører til postboksen til {account}.',
+  'import.hintNew': {
+    one: '{count} ny siden forrige synkronisering er merket.',
+    other: '{count} nye siden forrige synkronisering er merket.'
+  },
+  'import.addAccount': 'Legg til konto …',
+  'import.onThisEmail': 'På denne e-posten',
+  'import.new': 'Ny',
+  'import.newTitle': 'Lagt til i Outlook siden forrige synkronisering',
+  'import.otherAccounts': 'Står også på listen til {accounts}',
+  'import.move': 'Flytt til en annen konto',
+  'import.moveTo': 'Flytt til {account}',
+  'import.saved': { one: 'Lagret {count} etikett for {account}', other: 'Lagret {count} etiketter for {account}' },
+  'import.savedOthers': { one: '{saved} og {count} annen konto', other: '{saved} og {count} andre kontoer' },
+  'import.title': 'Synkroniser fra Outlook',
+  'import.accountSelect': 'Kontoen hvis liste du redigerer',
+  'import.forgetHint': 'Fjern denne kontoen fra valglistene; etikettene beholdes',
+  'import.forget': 'Glem',
+  'import.add': 'Legg til',
+  'import.hintDefault': 'Velg kategoriene som hører til kontoen din.',
+  'import.selectAll': 'Velg alle',
+
+  'export.empty': 'Ingen etiketter å eksportere',
+  'export.exported': { one: 'Eksporterte {count} etikett', other: 'Eksporterte {count} etiketter' },
+  'export.exportedRules': { one: '{labels} og {count} regel', other: '{labels} og {count} regler' },
+  'export.title': 'Eksporter etiketter',
+  'export.manual': 'Denne Outlook kan ikke lagre filer fra et tillegg. Kopier teksten nedenfor til en ny fil og lagre den som {file}.',
+  'export.copy': 'Kopier',
+  'export.copied': 'Kopiert; lim det inn i en ny fil og lagre den som {file}',
+  'export.copyError': 'Kunne ikke kopiere; merk teksten og kopier den selv',
+
+  'fileImport.notJson': 'Filen er ikke gyldig JSON',
+  'fileImport.notExport': 'Filen er ikke en etiketteksport',
+  'fileImport.newerVersion': 'Filen ble eksportert av en nyere versjon av dette tillegget',
+  'fileImport.noLabels': 'Filen inneholder ingen etiketter',
+  'fileImport.error': 'Importen mislyktes: {reason}',
+  'fileImport.unreadable': 'filen kunne ikke leses',
+  'fileImport.colorChange': '{from} → {to}',
+  'fileImport.was': 'var',
+  'fileImport.part.added': { one: '{count} ny', other: '{count} nye' },
+  'fileImport.part.recolored': { one: '{count} med en annen farge', other: '{count} med en annen farge' },
+  'fileImport.part.present': { one: '{count} som finnes fra før', other: '{count} som finnes fra før' },
+  'fileImport.part.rules': { one: '{count} ny regel', other: '{count} nye regler' },
+  'fileImport.nothingNew': 'ikke noe nytt',
+  'fileImport.summary': 'Filen har {parts}. Avmerkede etiketter opprettes eller får ny farge; alle legges til i listen din.',
+  'fileImport.added': 'Nye',
+  'fileImport.recolored': 'Endret farge',
+  'fileImport.present': 'Finnes fra før',
+  'fileImport.rules': 'Regler',
+  'fileImport.created': { one: '{count} opprettet', other: '{count} opprettet' },
+  'fileImport.recoloredCount': { one: '{count} fikk ny farge', other: '{count} fikk ny farge' },
+  'fileImport.part.rulesAdded': { one: '{count} regel', other: '{count} regler' },
+  'fileImport.imported': 'Importert: {parts}',
+  'fileImport.importedFailed': '{done}. Mislyktes: {names}',
+  'fileImport.title': 'Importer etiketter',
+  'fileImport.confirm': 'Importer',
+
+  'rules.line': '{conditions} → {labels}',
+  'rules.empty': 'Ingen regler ennå',
+  'rules.turnOff': 'Slå av',
+  'rules.turnOn': 'Slå på',
+  'rules.summaryApply': '{conditions} → legg til {labels}',
+  'rules.summarySuggest': '{conditions} → foreslå {labels}',
+  'rules.edit': 'Rediger regel',
+  'rules.delete': 'Slett regel',
+  'rules.deleted': 'Regelen er slettet',
+  'rules.new': 'Ny regel',
+  'rules.noLabels': 'Opprett en etikett først',
+  'rules.missingLabel': '{name} (mangler)',
+  'rules.noConditions': 'Legg til minst én betingelse.',
+  'rules.noLabelsPicked': 'Velg minst én etikett.',
+  'rules.updated': 'Regelen er oppdatert',
+  'rules.created': 'Regelen er opprettet',
+  'rules.hint': 'Merk e-poster etter avsender, mottakere, emne eller vedlegg når du åpner dem.',
+  'rules.resetLearned': 'Tilbakestill lærte forslag',
+  'rules.name': 'Navn',
+  'rules.namePlaceholder': 'Valgfritt',
+  'rules.from': 'Fra',
+  'rules.recipients': 'Til eller Kopi',
+  'rules.subject': 'Emnet inneholder',
+  'rules.attachments': 'Vedlegg',
+  'rules.attachmentAny': 'Alle',
+  'rules.attachmentYes': 'Har vedlegg',
+  'rules.attachmentNo': 'Ingen vedlegg',
+  'rules.labels': 'Etiketter',
+  'rules.mode': 'Når den treffer',
+  'rules.modeSuggest': 'Foreslå etikettene',
+  'rules.modeApply': 'Legg til etikettene automatisk',
+  'rules.save': 'Lagre regel',
+  'rules.title': 'Regler',
+
+  'shortcuts.search': 'Søk i etiketter',
+  'shortcuts.create': 'Opprett en etikett',
+  'shortcuts.allLabels': 'Vis eller skjul alle etiketter',
+  'shortcuts.refresh': 'Oppdater',
+  'shortcuts.sync': 'Synkroniser fra Outlook',
+  'shortcuts.help': 'Vis hurtigtaster',
+  'shortcuts.anywhere': 'Overalt',
+  'shortcuts.inSearch': 'I søket',
+  'shortcuts.inDialogs': 'I dialogbokser',
+  'shortcuts.recent': 'Legg til en nylig brukt etikett',
+  'shortcuts.move': 'Gå gjennom resultatene',
+  'shortcuts.toggle': 'Legg til eller fjern den uthevede etiketten',
+  'shortcuts.delete': 'Slett den uthevede etiketten',
+  'shortcuts.removeLast': 'Fjern den sist tillagte etiketten (tomt søk)',
+  'shortcuts.clear': 'Tøm søket',
+  'shortcuts.confirm': 'Bekreft',
+  'shortcuts.close': 'Lukk',
+  'shortcuts.recentLabels': 'Nylige etiketter',
+  'shortcuts.title': 'Hurtigtaster',
+
+  'rule.or': ' eller ',
+  'rule.from': 'fra {values}',
+  'rule.to': 'til {values}',
+  'rule.subject': 'emnet har {values}',
+  'rule.withAttachment': 'med vedlegg',
+  'rule.withoutAttachment': 'uten vedlegg',
+
+  'page.title': 'Etiketter',
+  'page.addLabel': 'Legg til en etikett',
+  'page.loading': 'Laster etiketter …',
+  'page.unsupported': 'Dette tillegget krever Outlook med Mailbox API 1.8 eller nyere.',
+  'page.noItem': 'Velg en e-post for å håndtere etikettene.',
+  'page.noCompose': 'Denne versjonen av Outlook kan ikke merke utkast. Etiketter kan legges til etter at meldingen er sendt.'
+});
@@ -0,0 +1,172 @@
+/**
+ * LabelRules — Matching logic for auto-labeling rules.
+ * A rule is a set of conditions on a message plus the labels to apply:
+ *
+ *   { id, name, enabled, mode: 'apply' | 'suggest',
+ *     from: [...], recipients: [...], subject: [...],
+ *     hasAttachment: true | false | null, labels: [...] }
+ *
+ * `from` and `recipients` (To/Cc) hold addresses ("ann@acme.com") or
+ * domains ("acme.com", "@acme.com"; subdomains match too). `subject` holds
+ * keywords. A condition matches when any of its entries does; a rule matches
+ * when all of its non-empty conditions do.
+ */
+var LabelRules = (function () {
+
+  var MODES = ['apply', 'suggest'];
+
+  /**
+   * Lowercase and strip diacritics, so "Facture" matches "facturé".
+   */
+  function fold(text) {
+    var lower = String(text || '').toLowerCase();
+    return typeof lower.normalize === 'function'
+      ? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      : lower;
+  }
+
+  /**
+   * Split user input ("a@x.com, y.com; z") into trimmed, non-empty entries.
+   */
+  function parseList(text) {
+    return String(text || '').split(/[,;\n]/).map(function (entry) {
+      return entry.trim();
+    }).filter(Boolean);
+  }
+
+  function isDomainPattern(pattern) {
+    return pattern.charAt(0) === '@' || pattern.indexOf('@') === -1;
+  }
+
+  function matchesAddress(address, pattern) {
+    var addr = fold(address);
+    var p = fold(pattern);
+    if (!addr || !p) return false;
+    if (!isDomainPattern(p)) return addr === p;
+
+    var domain = p.charAt(0) === '@' ? p.substring(1) : p;
+    var addrDomain = addr.substring(addr.lastIndexOf('@') + 1);
+    return addrDomain === domain ||
+      addrDomain.substring(addrDomain.length - domain.length - 1) === '.' + domain;
+  }
+
+  function matchesAnyAddress(addresses, patterns) {
+    return patterns.some(function (pattern) {
+      return addresses.some(function (address) { return matchesAddress(address, pattern); });
+    });
+  }
+
+  function hasConditions(rule) {
+    return rule.from.length > 0 || rule.recipients.length > 0 ||
+      rule.subject.length > 0 || rule.hasAttachment !== null;
+  }
+
+  /**
+   * Test one rule against message facts:
+   * { from: address, recipients: [addresses], subject, hasAttachment }.
+   * hasAttachment may be null when the client cannot tell; a rule that
+   * needs it then does not match.
+   */
+  function matches(rule, message) {
+    if (!rule.enabled || !hasConditions(rule)) return false;
+
+    if (rule.from.length > 0 && !matchesAnyAddress(message.from ? [message.from] : [], rule.from)) {
+      return false;
+    }
+    if (rule.recipients.length > 0 && !matchesAnyAddress(message.recipients || [], rule.recipients)) {
+      return false;
+    }
+    if (rule.subject.length > 0) {
+      var subject = fold(message.subject);
+      var hit = rule.subject.some(function (keyword) { return subject.indexOf(fold(keyword)) !== -1; });
+      if (!hit) return false;
+    }
+    if (rule.hasAttachment !== null && message.hasAttachment !== rule.hasAttachment) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * All enabled rules that match the message, in rule order.
+   */
+  function evaluate(rules, message) {
+    return rules.filter(function (rule) { return matches(rule, message); });
+  }
+
+  function cleanList(value) {
+    if (typeof value === 'string') return parseList(value);
+    if (!Array.isArray(value)) return [];
+    return value.filter(function (entry) {
+      return typeof entry === 'string' && entry.trim();
+    }).map(function (entry) { return entry.trim(); });
+  }
+
+  /**
+   * Validate and copy a rule from storage or an imported file.
+   * Returns null when it has no conditions or no labels.
+   */
+  function normalize(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    var rule = {
+      id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+      name: typeof raw.name === 'string' ? raw.name.trim() : '',
+      enabled: raw.enabled !== false,
+      mode: MODES.indexOf(raw.mode) !== -1 ? raw.mode : 'suggest',
+      from: cleanList(raw.from),
+      recipients: cleanList(raw.recipients),
+      subject: cleanList(raw.subject),
+      hasAttachment: typeof raw.hasAttachment === 'boolean' ? raw.hasAttachment : null,
+      labels: cleanList(raw.labels)
+    };
+    if (!hasConditions(rule) || rule.labels.length === 0) return null;
+    return rule;
+  }
+
+  /**
+   * Same conditions, labels and mode (ignores id, name and enabled).
+   */
+  function isSameRule(a, b) {
+    var key = function (rule) {
+      return JSON.stringify([rule.mode, rule.from, rule.recipients, rule.subject,
+        rule.hasAttachment, rule.labels].map(function (part) {
+        return Array.isArray(part) ? part.map(fold).sort() : part;
+      }));
+    };
+    return key(a) === key(b);
+  }
+
+  /**
+   * One-line summary of a rule's conditions for the editor list, in the
+   * current language (LabelI18n).
+   */
+  function describe(rule) {
+    var t = LabelI18n.t;
+    var or = t('rule.or');
+    var parts = [];
+    if (rule.from.length) parts.push(t('rule.from', { values: rule.from.join(or) }));
+    if (rule.recipients.length) parts.push(t('rule.to', { values: rule.recipients.join(or) }));
+    if (rule.subject.length) {
+      parts.push(t('rule.subject', { values: rule.subject.map(function (k) {
+        return t('quote', { name: k });
+      }).join(or) }));
+    }
+    if (rule.hasAttachment === true) parts.push(t('rule.withAttachment'));
+    if (rule.hasAttachment === false) parts.push(t('rule.withoutAttachment'));
+    return parts.join(t('list.separator'));
+  }
+
+  function createId() {
+    return 'r' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  }
+
+  return {
+    evaluate: evaluate,
+    matches: matches,
+    normalize: normalize,
+    isSameRule: isSameRule,
+    describe: describe,
+    parseList: parseList,
+    createId: createId
+  };
+})();
@@ -0,0 +1,534 @@
+/**
+ * LabelStore — Per-mailbox persistence for the task pane.
+ * Office roaming settings are the source of truth, so data follows the user
+ * to every machine and Outlook client. localStorage is a synchronous cache
+ * and the fallback where roaming settings are unavailable.
+ *
+ * Name sets (the known-labels list) are kept as last-writer-wins maps: each
+ * name records when it was last added or removed. Lists edited on different
+ * devices merge entry by entry instead of one device overwriting the other,
+ * and a removal on one device is not undone by a stale copy on another.
+ * An entry can also carry the label's aliases (`a`); editing them counts as
+ * a change to the entry.
+ *
+ * Each key is reconciled with roaming settings the first time it is read in
+ * a session. That is also where pre-roaming data is migrated: a plain array
+ * of names in localStorage is read as a set with every entry at time 0.
+ *
+ * Outlook caps an add-in's roaming settings at 32 KB for all keys together,
+ * and a save that goes over fails as a whole. So roaming gets a bounded
+ * copy (see "Roaming budget") while localStorage keeps everything.
+ *
+ * Plain values (anything that is not a name set) carry a write time on
+ * each side, so the newer copy wins wherever it was written (see "Plain
+ * values").
+ *
+ * A null key stands for data with no mailbox to keep it under: it reads as
+ * empty and its writes are dropped.
+ */
+var LabelStore = (function () {
+
+  var SET_VERSION = 1;
+  var TOMBSTONE_TTL = 180 * 24 * 60 * 60 * 1000; // Forget removals after ~6 months
+  var SAVE_DELAY = 1000;
+  var ROAMING_BUDGET = 28 * 1024;   // Outlook allows 32 KB; leave room for the two indexes
+  var VALUE_BUDGET = 8 * 1024;      // Most any one key may take
+  var SIZES_KEY = 'outlook_labels_roaming_sizes';
+  var STAMPS_KEY = 'outlook_labels_roaming_stamps';
+  var LOCAL_STAMPS_KEY = 'outlook_labels_stamps';
+
+  var synced = {};
+  var saveTimer = null;
+  var lastError = null;
+  var errorHandler = null;
+  var roamingSizes = null;
+  var roamingStamps = null;
+  var shrinkers = [];
+
+  // --- Backends ---
+
+  function getRoaming() {
+    try {
+      var settings = Office.context.roamingSettings;
+      return settings && typeof settings.get === 'function' ? settings : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function readLocal(key) {
+    try {
+      var data = localStorage.getItem(key);
+      return data === null ? null : JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeLocal(key, value) {
+    try {
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, JSON.stringify(value));
+      }
+    } catch (e) { /* ignore quota errors */ }
+  }
+
+  function readRoaming(key) {
+    var roaming = getRoaming();
+    if (!roaming) return null;
+    var value = roaming.get(key);
+    if (value === undefined) return null;
+    // Count keys written before the size index existed
+    var sizes = getRoamingSizes(roaming);
+    if (!sizes[key]) sizes[key] = sizeOf(JSON.stringify(value));
+    return value;
+  }
+
+  /**
+   * Put `value` in roaming settings if it fits the budget. One that does not
+   * is passed to `shrink(value, room)` for a smaller copy, or without
+   * `shrink` is left out of roaming (localStorage still has it). Returns
+   * what roaming now holds: the value, its smaller copy or null.
+   */
+  function writeRoaming(key, value, shrink) {
+    var roaming = getRoaming();
+    if (!roaming) return null;
+    var json = value === null ? null : JSON.stringify(value);
+    if (json !== null) {
+      var room = roomFor(roaming, key);
+      if (sizeOf(json) > room) {
+        value = shrink ? shrink(value, room) : null;
+        json = value === null ? null : JSON.stringify(value);
+        if (json !== null && sizeOf(json) > room) {
+          value = null;
+          json = null;
+        }
+      }
+    }
+    var current = roaming.get(key);
+    if ((current === undefined ? null : JSON.stringify(current)) === json) return value;
+
+    var sizes = getRoamingSizes(roaming);
+    if (value === null) {
+      roaming.remove(key);
+      delete sizes[key];
+    } else {
+      roaming.set(key, value);
+      sizes[key] = sizeOf(json);
+    }
+    roaming.set(SIZES_KEY, sizes);
+    scheduleSave();
+    return value;
+  }
+
+  // --- Roaming budget ---
+  //
+  // Each key may use VALUE_BUDGET and all keys together ROAMING_BUDGET.
+  // What every key takes is kept in an index in roaming settings, so keys
+  // written on another device or for another account count too.
+
+  // UTF-8 bytes, taking the worst case for anything outside ASCII
+  function sizeOf(json) {
+    return json.length + 2 * (json.match(/[^\x00-\x7f]/g) || []).length;
+  }
+
+  function getRoamingSizes(roaming) {
+    if (!roamingSizes) {
+      var stored = roaming.get(SIZES_KEY);
+      roamingSizes = stored && typeof stored === 'object' ? stored : {};
+    }
+    return roamingSizes;
+  }
+
+  function roomFor(roaming, key) {
+    var sizes = getRoamingSizes(roaming);
+    var used = 0;
+    Object.keys(sizes).forEach(function (k) {
+      if (k !== key) used += sizes[k];
+    });
+    return Math.max(0, Math.min(VALUE_BUDGET, ROAMING_BUDGET - used));
+  }
+
+  // Roaming settings are saved as one document; batch bursts of writes
+  function scheduleSave() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(function () {
+      saveTimer = null;
+      flush();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Save pending roaming changes now. Resolves either way; a failure
+   * leaves the data in localStorage only, is reported by getLastError()
+   * and, the first time after a good save, passed to the onSaveError handler.
+   */
+  function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    var roaming = getRoaming();
+    if (!roaming) return Promise.resolve();
+    return new Promise(function (resolve) {
+      try {
+        roaming.saveAsync(function (result) {
+          setLastError(result.status === Office.AsyncResultStatus.Succeeded
+            ? null
+            : (result.error || { message: 'Could not save settings' }));
+          resolve();
+        });
+      } catch (e) {
+        setLastError(e);
+        resolve();
+      }
+    });
+  }
+
+  function setLastError(error) {
+    var isNew = error && !lastError;
+    lastError = error;
+    if (isNew && errorHandler) errorHandler(error);
+  }
+
+  function getLastError() {
+    return lastError;
+  }
+
+  // `handler(error)` runs when saving to roaming settings starts failing
+  function onSaveError(handler) {
+    errorHandler = handler;
+  }
+
+  // --- Name sets ---
+
+  function toSet(value) {
+    var set = { v: SET_VERSION, items: {} };
+    if (Array.isArray(value)) {
+      value.forEach(function (name) {
+        if (typeof name === 'string') set.items[name.toLowerCase()] = { n: name, t: 0 };
+      });
+    } else if (value && value.items) {
+      set.items = value.items;
+    } else if (value && Array.isArray(value.e)) {
+      value.e.forEach(function (packed) {
+        set.items[packed[0].toLowerCase()] = unpackEntry(packed);
+      });
+    }
+    return set;
+  }
+
+  // Roaming form of a set: { v, e: [[n, t], [n, t, 1], [n, t, 0, aliases]] },
+  // newest change first, so that a bounded copy keeps the latest ones
+  function packSet(set) {
+    var keys = Object.keys(set.items).sort(function (a, b) {
+      return set.items[b].t - set.items[a].t;
+    });
+    return {
+      v: SET_VERSION,
+      e: keys.map(function (k) {
+        var entry = set.items[k];
+        if (entry.d) return [entry.n, entry.t, 1];
+        return entry.a ? [entry.n, entry.t, 0, entry.a] : [entry.n, entry.t];
+      })
+    };
+  }
+
+  function unpackEntry(packed) {
+    var entry = { n: packed[0], t: packed[1] };
+    if (packed[2]) entry.d = 1;
+    if (packed[3]) entry.a = packed[3];
+    return entry;
+  }
+
+  // As many of the newest entries as fit in `room`. Other devices merge
+  // what is there; the missing entries are only not shared.
+  function boundPackedSet(packed, room) {
+    var bounded = { v: packed.v, e: [] };
+    var size = sizeOf(JSON.stringify(bounded));
+    for (var i = 0; i < packed.e.length; i++) {
+      var entrySize = sizeOf(JSON.stringify(packed.e[i])) + 1;
+      if (size + entrySize > room) break;
+      bounded.e.push(packed.e[i]);
+      size += entrySize;
+    }
+    return bounded;
+  }
+
+  function mergeSets(a, b) {
+    var merged = { v: SET_VERSION, items: {} };
+    Object.keys(a.items).forEach(function (k) { merged.items[k] = a.items[k]; });
+    Object.keys(b.items).forEach(function (k) {
+      var mine = merged.items[k];
+      var theirs = b.items[k];
+      // Later change wins; on a tie the removal wins
+      if (!mine || theirs.t > mine.t || (theirs.t === mine.t && theirs.d && !mine.d)) {
+        merged.items[k] = theirs;
+      }
+    });
+    return merged;
+  }
+
+  function pruneSet(set) {
+    var cutoff = Date.now() - TOMBSTONE_TTL;
+    Object.keys(set.items).forEach(function (k) {
+      if (set.items[k].d && set.items[k].t < cutoff) delete set.items[k];
+    });
+    return set;
+  }
+
+  function sameSets(a, b) {
+    return JSON.stringify(a.items) === JSON.stringify(b.items);
+  }
+
+  function readSet(key) {
+    if (!key) return toSet(null);
+    if (!synced[key]) {
+      synced[key] = true;
+      var localValue = readLocal(key);
+      var local = toSet(localValue);
+      var remote = toSet(readRoaming(key));
+      var merged = pruneSet(mergeSets(local, remote));
+      if (!Array.isArray(localValue) && sameSets(merged, local) && sameSets(merged, remote)) {
+        return merged;
+      }
+      writeLocal(key, merged);
+      if (!sameSets(merged, remote)) writeRoaming(key, packSet(merged), boundPackedSet);
+      return merged;
+    }
+    return toSet(readLocal(key));
+  }
+
+  function writeSet(key, set) {
+    if (!key) return;
+    pruneSet(set);
+    writeLocal(key, set);
+    writeRoaming(key, packSet(set), boundPackedSet);
+  }
+
+  // A change must sort after whatever it replaces, even if clocks disagree
+  function stamp(entry) {
+    return Math.max(Date.now(), entry ? entry.t + 1 : 0);
+  }
+
+  function getNames(key) {
+    var set = readSet(key);
+    var names = [];
+    Object.keys(set.items).forEach(function (k) {
+      if (!set.items[k].d) names.push(set.items[k].n);
+    });
+    return names;
+  }
+
+  function hasName(key, name) {
+    var entry = readSet(key).items[name.toLowerCase()];
+    return !!entry && !entry.d;
+  }
+
+  function addName(key, name) {
+    var set = readSet(key);
+    var k = name.toLowerCase();
+    var entry = set.items[k];
+    if (entry && !entry.d) return; // already tracked
+    set.items[k] = { n: name, t: stamp(entry) };
+    writeSet(key, set);
+  }
+
+  function removeName(key, name) {
+    var set = readSet(key);
+    var k = name.toLowerCase();
+    var entry = set.items[k];
+    if (!entry || entry.d) return;
+    set.items[k] = { n: entry.n, t: stamp(entry), d: 1 };
+    writeSet(key, set);
+  }
+
+  // Make the live names exactly `names`, recording adds and removals
+  function setNames(key, names) {
+    var set = readSet(key);
+    var wanted = {};
+    names.forEach(function (name) { wanted[name.toLowerCase()] = name; });
+
+    Object.keys(set.items).forEach(function (k) {
+      var entry = set.items[k];
+      if (!entry.d && !wanted[k]) set.items[k] = { n: entry.n, t: stamp(entry), d: 1 };
+    });
+    Object.keys(wanted).forEach(function (k) {
+      var entry = set.items[k];
+      if (!entry || entry.d) set.items[k] = { n: wanted[k], t: stamp(entry) };
+    });
+    writeSet(key, set);
+  }
+
+  /**
+   * Aliases of every live name that has some:
+   * { lowercased name: [alias, ...] }
+   */
+  function getAliases(key) {
+    var set = readSet(key);
+    var aliases = {};
+    Object.keys(set.items).forEach(function (k) {
+      var entry = set.items[k];
+      if (!entry.d && entry.a && entry.a.length > 0) aliases[k] = entry.a.slice();
+    });
+    return aliases;
+  }
+
+  // Replace the aliases of a live name; an empty list clears them
+  function setAliases(key, name, aliases) {
+    var set = readSet(key);
+    var k = name.toLowerCase();
+    var entry = set.items[k];
+    if (!entry || entry.d) return;
+    var updated = { n: entry.n, t: stamp(entry) };
+    if (aliases.length > 0) updated.a = aliases.slice();
+    set.items[k] = updated;
+    writeSet(key, set);
+  }
+
+  // --- Plain values ---
+  //
+  // Each side records when its copy was written: roaming in an index under
+  // STAMPS_KEY, localStorage in one under LOCAL_STAMPS_KEY. On the first
+  // read in a session the newer copy wins, so a write whose save failed is
+  // uploaded again instead of being overwritten by the stale roaming copy.
+  // Values from before the stamps (0 on both sides) keep the old rule:
+  // roaming wins when it has a value, else a local one is migrated up.
+  //
+  // A value too big for roaming goes through the shrink registered for its
+  // key (shrinkValues). One that still does not fit is left out, and its
+  // roaming stamp is stored negated: the newest copy is on the device that
+  // wrote it, so other devices keep theirs rather than upload it over it.
+
+  function getRoamingStamps(roaming) {
+    if (!roamingStamps) {
+      var stored = roaming.get(STAMPS_KEY);
+      roamingStamps = stored && typeof stored === 'object' ? stored : {};
+    }
+    return roamingStamps;
+  }
+
+  function getLocalStamps() {
+    var stored = readLocal(LOCAL_STAMPS_KEY);
+    return stored && typeof stored === 'object' ? stored : {};
+  }
+
+  function setLocalStamp(key, stamp) {
+    var stamps = getLocalStamps();
+    if (stamps[key] === stamp) return;
+    stamps[key] = stamp;
+    writeLocal(LOCAL_STAMPS_KEY, stamps);
+  }
+
+  /**
+   * Give values under keys starting with `prefix` a smaller roaming copy
+   * when they outgrow the budget: `shrink(value, fits)` returns a copy that
+   * passes `fits(copy)`, or null. Devices that only have the roaming copy
+   * get that smaller one.
+   */
+  function shrinkValues(prefix, shrink) {
+    shrinkers.push({ prefix: prefix, shrink: shrink });
+  }
+
+  function findShrink(key) {
+    for (var i = 0; i < shrinkers.length; i++) {
+      if (key.indexOf(shrinkers[i].prefix) === 0) return shrinkers[i].shrink;
+    }
+    return null;
+  }
+
+  function writeRoamingValue(key, value, stamp) {
+    var roaming = getRoaming();
+    if (!roaming) return;
+    var shrink = findShrink(key);
+    var kept = writeRoaming(key, value, shrink && function (big, room) {
+      return shrink(big, function (copy) { return sizeOf(JSON.stringify(copy)) <= room; });
+    });
+    var mark = value !== null && kept === null ? -stamp : stamp;
+    var stamps = getRoamingStamps(roaming);
+    if (stamps[key] === mark) return;
+    stamps[key] = mark;
+    roaming.set(STAMPS_KEY, stamps);
+    scheduleSave();
+  }
+
+  function syncValue(key) {
+    var roaming = getRoaming();
+    if (!roaming) return;
+    var remote = readRoaming(key);
+    var remoteStamp = getRoamingStamps(roaming)[key] || 0;
+    var local = readLocal(key);
+    var localStamp = getLocalStamps()[key] || 0;
+    var remoteTime = Math.abs(remoteStamp);
+
+    if (localStamp > remoteTime || (localStamp === remoteTime && remote === null && remoteStamp >= 0)) {
+      if (local !== null || remoteStamp !== 0) writeRoamingValue(key, local, localStamp);
+      return;
+    }
+    if (remoteStamp < 0) return; // Newer elsewhere, but too big to share
+    if (JSON.stringify(remote) !== JSON.stringify(local)) writeLocal(key, remote);
+    setLocalStamp(key, remoteStamp);
+  }
+
+  function getValue(key, fallback) {
+    if (!key) return fallback;
+    if (!synced[key]) {
+      synced[key] = true;
+      syncValue(key);
+    }
+    var value = readLocal(key);
+    return value === null ? fallback : value;
+  }
+
+  // Later than both copies, even if clocks disagree
+  function valueStamp(key) {
+    var roaming = getRoaming();
+    var remote = roaming ? Math.abs(getRoamingStamps(roaming)[key] || 0) : 0;
+    return Math.max(Date.now(), (getLocalStamps()[key] || 0) + 1, remote + 1);
+  }
+
+  function setValue(key, value) {
+    if (!key) return;
+    synced[key] = true;
+    var stamp = valueStamp(key);
+    writeLocal(key, value);
+    setLocalStamp(key, stamp);
+    writeRoamingValue(key, value, stamp);
+  }
+
+  function removeValue(key) {
+    if (!key) return;
+    synced[key] = true;
+    var stamp = valueStamp(key);
+    writeLocal(key, null);
+    setLocalStamp(key, stamp);
+    writeRoamingValue(key, null, stamp);
+  }
+
+  // Reconcile every key with roaming settings again on its next read
+  function resync() {
+    synced = {};
+    roamingSizes = null;
+    roamingStamps = null;
+  }
+
+  return {
+    getNames: getNames,
+    hasName: hasName,
+    addName: addName,
+    removeName: removeName,
+    setNames: setNames,
+    getAliases: getAliases,
+    setAliases: setAliases,
+    getValue: getValue,
+    setValue: setValue,
+    removeValue: removeValue,
+    shrinkValues: shrinkValues,
+    flush: flush,
+    resync: resync,
+    getLastError: getLastError,
+    onSaveError: onSaveError
+  };
+})();
@@ -6,12 +6,25 @@
  * masterCategories.getAsync() on legacy Mac Outlook returns categories from
  * ALL accounts (including shared mailboxes). The API has no filter parameter
  * and no account identifier on categories. Instead of probing (which is
- * unreliable and risky), we maintain a self-curating "known labels" list in
- * localStorage that grows organically:
+ * unreliable and risky), we maintain a self-curating "known labels" list
+ * (stored by LabelStore in roaming settings, cached in localStorage) that
+ * grows organically:
  *   - Labels created through this add-in are tracked automatically
  *   - Labels found on emails you open are auto-imported (they must be yours)
  *   - A manual "Import from Outlook" dialog lets you pick which categories
- *     from the full master list are yours (one-time setup)
+ *     from the full master list are yours (one-time setup), and remembers
+ *     the ones you ruled out so that new categories stand out later
+ * Each account has its own list. An email's account is the known account it
+ * was sent to or from; the header and the import dialog switch between
+ * accounts, and the dialog moves labels from one account's list to another.
+ *
+ * Text comes from the message catalog (i18n.js) in Outlook's display
+ * language; see locales/ for the languages and taskpane.css for the
+ * right-to-left layout.
+ *
+ * Nested labels: as in Gmail, "/" in a category name is a hierarchy
+ * separator ("Clients/Acme/Invoices"). Outlook itself stores flat names;
+ * the tree exists only in how this pane sorts and draws them.
  */
 (function () {
   'use strict';
@@ -45,18 +58,80 @@
     Preset24: { name: 'Dark Cranberry', hex: '#6E0811' }
   };
 
+  // --- Messages (i18n.js, locales/) ---
+  //
+  // Color names above stay English for color: searches; the pane shows the
+  // catalog's "color.PresetN" names.
+  var t = LabelI18n.t;
+  var plural = LabelI18n.plural;
+
+  // A label name in the language's quotation marks
+  function quoteName(name) {
+    return t('quote', { name: name });
+  }
+
+  // Pick the catalog for Outlook's display language, set the page's
+  // language and direction, and translate the static markup
+  function applyLocale() {
+    var locale = LabelI18n.setLocale(Office.context.displayLanguage);
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LabelI18n.isRtl() ? 'rtl' : 'ltr';
+    LabelI18n.translatePage(document);
+  }
+
+  // Points from a label to where it goes, in the reading direction
+  function forwardArrow() {
+    return LabelI18n.isRtl() ? '\u21E0' : '\u21E2';
+  }
+
   // --- Application state ---
   var state = {
     masterCategories: [],   // Curated list: only labels the user has chosen/created
     allApiCategories: [],   // Raw list from masterCategories.getAsync() (all accounts)
-    itemCategories: [],
+    searchIndex: FuzzySearch.createIndex([]),  // masterCategories, prepared for search
+    orphanLabels: {},       // Lowercased known names that allApiCategories lacks
+    labelAliases: {},       // Lowercased known name -> [alias], from the known-labels store
+    itemCategories: [],     // Open item's categories, or the union over selectedItems
+    selectedItems: [],      // Multi-select: [{ itemId, subject, categories }], empty otherwise
     searchQuery: '',
     searchResults: [],
+    searchFilters: [],      // Operators parsed from searchQuery (parseSearchQuery)
     isAllLabelsExpanded: false,
+    collapsedLabelPaths: {},  // Lowercased path -> true for collapsed tree nodes
     focusedResultIndex: -1,
     pendingDeleteLabel: null,
+    pendingRenameLabel: null,
+    pendingEditLabel: null,
+    pendingMerge: null,     // { sources } while the merge dialog is open
+    pendingFileImport: null,  // Diff from importLabelFile(), shown in the preview
+    exportFile: '',         // Export dialog: the file name to save the copied text as
+    pendingBulk: null,      // { action, names, hadLabel, results } in the bulk dialog
+    isBulkMode: false,      // All labels shows checkboxes for bulk actions
+    bulkSelected: {},       // Lowercased name -> true when ticked in bulk mode
+    bulkAnchor: null,       // Lowercased name of the last clicked row, for shift-click ranges
+    importChoices: [],      // Sync dialog: API categories, sorted
+    importAccount: '',      // Sync dialog: account whose list is shown
+    importSelections: {},   // Sync dialog: account -> { lowercased name -> true when ticked }
+    importSelected: {},     // Sync dialog: importSelections of importAccount
+    importTouched: {},      // Sync dialog: account -> 'viewed' | 'moved' (only moved into)
+    importNew: {},          // Sync dialog: lowercased name -> true when new to importAccount
     statusTimer: null,
-    isSharedMailbox: false,
+    isSharedMailbox: false, // Someone else's mailbox: its category list is the owner's to change
+    isReadOnly: false,      // Shared mailbox without permission to edit its emails
+    mailboxOwner: '',       // Lowercased owner of a shared mailbox; '' for the user's own
+    account: '',            // Account whose labels are shown: accountOverride or itemAccount
+    itemAccount: '',        // Account the current email was detected to belong to
+    accountOverride: '',    // Account picked in the header, until another account's email shows
+    itemGeneration: 0,      // Bumped whenever the selected item changes
+    isComposeMode: false,
+    threadSuggestions: [],  // Compose: category names found on the conversation
+    isRecentOpen: false,    // Empty search box is showing the Recent section
+    ruleSuggestions: [],    // Labels offered by matching 'suggest' rules
+    learnedSuggestions: [], // [{ name, confidence }] predicted by LabelLearner
+    ruleAppliedItems: {},   // itemId -> true once rules auto-applied labels this session
+    pendingLabels: {},      // Lowercased name -> { kind: 'add' | 'remove' } while queued or in flight
+    labelErrors: {},        // Lowercased name -> message of the last failed write on this item
+    editingRuleId: null,    // Rule open in the editor form; null for a new rule
     primaryEmail: ''
   };
 
@@ -67,17 +142,43 @@
     dom.app = document.getElementById('app');
     dom.appliedList = document.getElementById('applied-labels-list');
     dom.noLabelsMsg = document.getElementById('no-labels-msg');
+    dom.currentLabelsTitle = document.getElementById('current-labels-title');
     dom.searchInput = document.getElementById('label-search');
     dom.searchResults = document.getElementById('search-results');
     dom.toggleAllBtn = document.getElementById('toggle-all-labels');
     dom.toggleArrow = document.getElementById('toggle-arrow');
     dom.allLabelsList = document.getElementById('all-labels-list');
     dom.labelCount = document.getElementById('label-count');
+    dom.bulkToggle = document.getElementById('bulk-toggle');
+    dom.bulkBar = document.getElementById('bulk-bar');
+    dom.bulkSelectAll = document.getElementById('bulk-select-all');
+    dom.bulkCount = document.getElementById('bulk-count');
+    dom.mergeOverlay = document.getElementById('merge-overlay');
+    dom.mergeMsg = document.getElementById('merge-msg');
+    dom.mergeTarget = document.getElementById('merge-target');
+    dom.mergePreview = document.getElementById('merge-preview');
+    dom.mergeCancel = document.getElementById('merge-cancel');
+    dom.mergeConfirm = document.getElementById('merge-confirm');
+    dom.bulkOverlay = document.getElementById('bulk-overlay');
+    dom.bulkTitle = document.getElementById('bulk-title');
+    dom.bulkMsg = document.getElementById('bulk-msg');
+    dom.bulkColorPicker = document.getElementById('bulk-color-picker');
+    dom.bulkReport = document.getElementById('bulk-report');
+    dom.bulkCancel = document.getElementById('bulk-cancel');
+    dom.bulkConfirm = document.getElementById('bulk-confirm');
     dom.refreshBtn = document.getElementById('refresh-btn');
     dom.importBtn = document.getElementById('import-btn');
     dom.createOverlay = document.getElementById('create-overlay');
     dom.createDialog = document.getElementById('create-dialog');
     dom.newLabelName = document.getElementById('new-label-name');
+    dom.createParentsRow = document.getElementById('create-parents-row');
+    dom.createParents = document.getElementById('create-parents');
+    dom.createParentsText = document.getElementById('create-parents-text');
+    dom.createError = document.getElementById('create-error');
+    dom.createNormalized = document.getElementById('create-normalized');
+    dom.createSimilar = document.getElementById('create-similar');
+    dom.createSimilarTitle = document.getElementById('create-similar-title');
+    dom.createSimilarList = document.getElementById('create-similar-list');
     dom.colorPicker = document.getElementById('color-picker');
     dom.createCancel = document.getElementById('create-cancel');
     dom.createConfirm = document.getElementById('create-confirm');
@@ -85,15 +186,84 @@
     dom.deleteMsg = document.getElementById('delete-msg');
     dom.deleteCancel = document.getElementById('delete-cancel');
     dom.deleteConfirm = document.getElementById('delete-confirm');
+    dom.renameOverlay = document.getElementById('rename-overlay');
+    dom.renameMsg = document.getElementById('rename-msg');
+    dom.renameLabelName = document.getElementById('rename-label-name');
+    dom.renameCancel = document.getElementById('rename-cancel');
+    dom.renameConfirm = document.getElementById('rename-confirm');
+    dom.editOverlay = document.getElementById('edit-overlay');
+    dom.editMsg = document.getElementById('edit-msg');
+    dom.editColorPicker = document.getElementById('edit-color-picker');
+    dom.editCancel = document.getElementById('edit-cancel');
+    dom.editConfirm = document.getElementById('edit-confirm');
+    dom.editAliases = document.getElementById('edit-aliases');
     dom.importOverlay = document.getElementById('import-overlay');
     dom.importList = document.getElementById('import-list');
     dom.importSelectAll = document.getElementById('import-select-all');
     dom.importCancel = document.getElementById('import-cancel');
     dom.importConfirm = document.getElementById('import-confirm');
+    dom.importHint = document.getElementById('import-hint');
+    dom.importAccountRow = document.getElementById('import-account-row');
+    dom.importAccount = document.getElementById('import-account');
+    dom.importForgetAccount = document.getElementById('import-forget-account');
+    dom.importAddAccountRow = document.getElementById('import-add-account-row');
+    dom.importAccountInput = document.getElementById('import-account-input');
+    dom.importAccountAdd = document.getElementById('import-account-add');
+    dom.exportBtn = document.getElementById('export-btn');
+    dom.importFileBtn = document.getElementById('import-file-btn');
+    dom.importFileInput = document.getElementById('import-file-input');
+    dom.fileImportOverlay = document.getElementById('file-import-overlay');
+    dom.fileImportSummary = document.getElementById('file-import-summary');
+    dom.fileImportList = document.getElementById('file-import-list');
+    dom.fileImportCancel = document.getElementById('file-import-cancel');
+    dom.fileImportConfirm = document.getElementById('file-import-confirm');
+    dom.exportOverlay = document.getElementById('export-overlay');
+    dom.exportHint = document.getElementById('export-hint');
+    dom.exportText = document.getElementById('export-text');
+    dom.exportClose = document.getElementById('export-close');
+    dom.exportCopy = document.getElementById('export-copy');
+    dom.rulesBtn = document.getElementById('rules-btn');
+    dom.rulesOverlay = document.getElementById('rules-overlay');
+    dom.rulesListPanel = document.getElementById('rules-list-panel');
+    dom.rulesList = document.getElementById('rules-list');
+    dom.rulesNew = document.getElementById('rules-new');
+    dom.rulesClose = document.getElementById('rules-close');
+    dom.ruleForm = document.getElementById('rule-form');
+    dom.ruleFormTitle = document.getElementById('rule-form-title');
+    dom.ruleName = document.getElementById('rule-name');
+    dom.ruleFrom = document.getElementById('rule-from');
+    dom.ruleRecipients = document.getElementById('rule-recipients');
+    dom.ruleSubject = document.getElementById('rule-subject');
+    dom.ruleAttachment = document.getElementById('rule-attachment');
+    dom.ruleLabels = document.getElementById('rule-labels');
+    dom.ruleMode = document.getElementById('rule-mode');
+    dom.ruleError = document.getElementById('rule-error');
+    dom.ruleCancel = document.getElementById('rule-cancel');
+    dom.ruleSave = document.getElementById('rule-save');
+    dom.ruleSuggestions = document.getElementById('rule-suggestions');
+    dom.ruleSuggestionsList = document.getElementById('rule-suggestions-list');
+    dom.ruleSuggestionsApplyAll = document.getElementById('rule-suggestions-apply-all');
+    dom.learnedSuggestions = document.getElementById('learned-suggestions');
+    dom.learnedSuggestionsList = document.getElementById('learned-suggestions-list');
+    dom.learnedReset = document.getElementById('learned-reset');
+    dom.healthBtn = document.getElementById('health-btn');
+    dom.mailboxName = document.getElementById('mailbox-name');
+    dom.accountSelect = document.getElementById('account-select');
+    dom.healthOverlay = document.getElementById('health-overlay');
+    dom.healthSummary = document.getElementById('health-summary');
+    dom.healthList = document.getElementById('health-list');
+    dom.healthClose = document.getElementById('health-close');
+    dom.shortcutsOverlay = document.getElementById('shortcuts-overlay');
+    dom.shortcutsList = document.getElementById('shortcuts-list');
+    dom.shortcutsClose = document.getElementById('shortcuts-close');
     dom.statusBar = document.getElementById('status-bar');
     dom.loading = document.getElementById('loading');
     dom.unsupported = document.getElementById('unsupported');
     dom.noItem = document.getElementById('no-item');
+    dom.noCompose = document.getElementById('no-compose');
+    dom.threadSuggestions = document.getElementById('thread-suggestions');
+    dom.threadSuggestionsList = document.getElementById('thread-suggestions-list');
+    dom.threadSuggestionsApplyAll = document.getElementById('thread-suggestions-apply-all');
     dom.currentLabels = document.getElementById('current-labels');
     dom.searchSection = document.getElementById('search-section');
     dom.allLabelsSection = document.getElementById('all-labels-section');
@@ -107,6 +277,15 @@
     return div.innerHTML;
   }
 
+  function escapeXml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
   function debounce(fn, delay) {
     var timer;
     return function () {
@@ -123,13 +302,15 @@
   // _layoutSubtreeWithOldSize: during the same display cycle.
   var _pendingRenders = {};
   var _rafScheduled = false;
+  var _rafId = null;
 
   function scheduleRender(key, fn) {
     _pendingRenders[key] = fn;
     if (!_rafScheduled) {
       _rafScheduled = true;
-      requestAnimationFrame(function () {
+      _rafId = requestAnimationFrame(function () {
         _rafScheduled = false;
+        _rafId = null;
         var batch = _pendingRenders;
         _pendingRenders = {};
         var keys = Object.keys(batch);
@@ -140,24 +321,243 @@
     }
   }
 
+  // --- Virtual lists ---
+  //
+  // Lists with thousands of rows only build the rows in view. Rows have a
+  // fixed height (set in taskpane.css under .virtual-list), and a spacer
+  // gives the list its full scroll height.
+
+  var VIRTUAL_MIN_ROWS = 200;         // Shorter lists render every row
+  var VIRTUAL_OVERSCAN = 10;          // Rows built above and below the view
+  var VIRTUAL_VIEWPORT_HEIGHT = 360;  // Used while the list is not laid out
+  var ALL_LABEL_ROW_HEIGHT = 30;
+  var IMPORT_ROW_HEIGHT = 26;
+
+  var _virtualLists = {};  // Container id -> { count, rowHeight, buildRow, spacer, rows, first, last }
+
+  /**
+   * Show `count` rows in `container`, building only those in view.
+   * buildRow(index) returns the element for a row. Re-rendering keeps the
+   * scroll position.
+   */
+  function renderVirtualList(container, count, rowHeight, buildRow) {
+    var list = _virtualLists[container.id];
+    if (!list) {
+      list = _virtualLists[container.id] = {};
+      container.addEventListener('scroll', function () {
+        scheduleRender('virtual:' + container.id, function () { renderVirtualWindow(container, false); });
+      });
+    }
+    list.count = count;
+    list.rowHeight = rowHeight;
+    list.buildRow = buildRow;
+
+    if (!list.spacer || list.spacer.parentNode !== container) {
+      container.innerHTML = '';
+      list.spacer = document.createElement('div');
+      list.spacer.className = 'virtual-spacer';
+      list.rows = document.createElement('div');
+      list.rows.className = 'virtual-rows';
+      list.spacer.appendChild(list.rows);
+      container.appendChild(list.spacer);
+    }
+    container.classList.add('virtual-list');
+    list.spacer.style.height = (count * rowHeight) + 'px';
+    renderVirtualWindow(container, true);
+  }
+
+  function renderVirtualWindow(container, force) {
+    var list = _virtualLists[container.id];
+    if (!list || !container.classList.contains('virtual-list')) return;
+
+    var viewHeight = container.clientHeight || VIRTUAL_VIEWPORT_HEIGHT;
+    var first = Math.max(0, Math.floor(container.scrollTop / list.rowHeight) - VIRTUAL_OVERSCAN);
+    var last = Math.min(list.count, Math.ceil((container.scrollTop + viewHeight) / list.rowHeight) + VIRTUAL_OVERSCAN);
+    if (!force && first === list.first && last === list.last) return;
+    list.first = first;
+    list.last = last;
+
+    var frag = document.createDocumentFragment();
+    for (var i = first; i < last; i++) {
+      frag.appendChild(list.buildRow(i));
+    }
+    list.rows.style.transform = 'translateY(' + (first * list.rowHeight) + 'px)';
+    list.rows.innerHTML = '';
+    list.rows.appendChild(frag);
+  }
+
+  // Back to plain rendering; the caller fills the container itself
+  function clearVirtualList(container) {
+    var list = _virtualLists[container.id];
+    if (list) list.spacer = null;
+    container.classList.remove('virtual-list');
+    container.innerHTML = '';
+  }
+
+  // --- Label hierarchy ("/"-separated paths) ---
+
+  var LABEL_PATH_SEPARATOR = '/';
+
+  function splitLabelPath(name) {
+    return name.split(LABEL_PATH_SEPARATOR)
+      .map(function (seg) { return seg.trim(); })
+      .filter(function (seg) { return seg.length > 0; });
+  }
+
+  // "Clients / Acme/" -> "Clients/Acme"
+  function normalizeLabelPath(name) {
+    return splitLabelPath(name).join(LABEL_PATH_SEPARATOR);
+  }
+
+  function getParentPath(name) {
+    var idx = name.lastIndexOf(LABEL_PATH_SEPARATOR);
+    return idx === -1 ? '' : name.substring(0, idx);
+  }
+
+  // All ancestor paths, outermost first: "A/B/C" -> ["A", "A/B"]
+  function getAncestorPaths(name) {
+    var segs = splitLabelPath(name);
+    var paths = [];
+    for (var i = 1; i < segs.length; i++) {
+      paths.push(segs.slice(0, i).join(LABEL_PATH_SEPARATOR));
+    }
+    return paths;
+  }
+
+  function getDescendantNames(name) {
+    var prefix = normalizeLabelPath(name).toLowerCase() + LABEL_PATH_SEPARATOR;
+    return state.masterCategories
+      .map(function (cat) { return cat.displayName; })
+      .filter(function (n) { return normalizeLabelPath(n).toLowerCase().indexOf(prefix) === 0; });
+  }
+
+  // Compare segment by segment so "A/B" sorts directly under "A",
+  // before siblings like "A - old"; "A /B" sorts as "A/B"
+  function compareLabelPaths(a, b) {
+    var sa = splitLabelPath(a);
+    var sb = splitLabelPath(b);
+    for (var i = 0; i < Math.min(sa.length, sb.length); i++) {
+      var cmp = sa[i].localeCompare(sb[i]);
+      if (cmp !== 0) return cmp;
+    }
+    if (sa.length !== sb.length) return sa.length - sb.length;
+    // One path typed two ways: the tidy spelling first, so it holds the nested labels
+    var tidyA = a === sa.join(LABEL_PATH_SEPARATOR);
+    var tidyB = b === sb.join(LABEL_PATH_SEPARATOR);
+    if (tidyA !== tidyB) return tidyA ? -1 : 1;
+    return a.localeCompare(b);
+  }
+
+  /**
+   * Build a tree from a sorted category list. Paths are split with
+   * splitLabelPath, so "Clients /Acme" and "a//b" nest like "Clients/Acme"
+   * and "a/b"; the leaf keeps the category with its own displayName.
+   * Parents that are not categories themselves become placeholder nodes
+   * (category: null). Two categories on the same path get a row each.
+   * Node: { name, path, category, children: [], count }
+   *   count: number of categories below the node
+   */
+  function buildLabelTree(categories) {
+    var root = { name: '', path: '', category: null, children: [], count: 0 };
+    var nodes = {};
+
+    categories.forEach(function (cat) {
+      var segs = splitLabelPath(cat.displayName);
+      if (segs.length === 0) segs = [cat.displayName]; // Nothing but separators
+      var parent = root;
+      var path = '';
+      for (var i = 0; i < segs.length; i++) {
+        path = path ? path + LABEL_PATH_SEPARATOR + segs[i] : segs[i];
+        var key = path.toLowerCase();
+        var node = nodes[key];
+        var isLeaf = i === segs.length - 1;
+        if (!node || (isLeaf && node.category)) {
+          node = { name: segs[i], path: path, category: null, children: [], count: 0 };
+          if (!nodes[key]) nodes[key] = node;
+          parent.children.push(node);
+        }
+        if (!isLeaf) node.count++;
+        parent = node;
+      }
+      parent.category = cat;
+    });
+
+    return root;
+  }
+
+  function cancelPendingRenders() {
+    if (_rafId !== null) cancelAnimationFrame(_rafId);
+    _rafId = null;
+    _rafScheduled = false;
+    _pendingRenders = {};
+  }
+
+  // --- Item generation: dropping work for a previously selected item ---
+  //
+  // With a pinned pane the selected item can change while an add/remove is
+  // still in flight. Office.js calls cannot be aborted, so work started for
+  // an earlier item checks the generation between steps and stops quietly.
+
+  var CANCELLED = { cancelled: true, message: 'Selected item changed' };
+
+  function isCancelled(err) {
+    return err === CANCELLED;
+  }
+
+  // Returns a pass-through step that rejects once the item has changed;
+  // guard.isCurrent() checks without rejecting
+  function itemGuard() {
+    var generation = state.itemGeneration;
+    var guard = function (value) {
+      if (generation !== state.itemGeneration) throw CANCELLED;
+      return value;
+    };
+    guard.isCurrent = function () {
+      return generation === state.itemGeneration;
+    };
+    return guard;
+  }
+
   function getColorHex(colorEnum) {
     var info = CATEGORY_COLORS[colorEnum];
     return info ? info.hex : '#888888';
   }
 
-  function showStatus(message, type) {
+  function getColorName(colorEnum) {
+    return CATEGORY_COLORS[colorEnum] ? t('color.' + colorEnum) : colorEnum;
+  }
+
+  var UNDO_STATUS_DURATION = 8000;  // ms an Undo stays on offer
+
+  // action: optional { label, run } shown as a button until the message goes
+  function showStatus(message, type, duration, action) {
     if (state.statusTimer) clearTimeout(state.statusTimer);
     dom.statusBar.textContent = message;
     dom.statusBar.className = type;
-    state.statusTimer = setTimeout(function () {
-      dom.statusBar.className = 'hidden';
-    }, 3000);
+    if (action) {
+      var btn = document.createElement('button');
+      btn.className = 'status-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', function () {
+        hideStatus();
+        action.run();
+      });
+      dom.statusBar.appendChild(btn);
+    }
+    state.statusTimer = setTimeout(hideStatus, duration || 3000);
+  }
+
+  function hideStatus() {
+    if (state.statusTimer) clearTimeout(state.statusTimer);
+    state.statusTimer = null;
+    dom.statusBar.className = 'hidden';
   }
 
   function showView(view) {
     dom.loading.classList.add('hidden');
     dom.unsupported.classList.add('hidden');
     dom.noItem.classList.add('hidden');
+    dom.noCompose.classList.add('hidden');
     dom.currentLabels.classList.add('hidden');
     dom.searchSection.classList.add('hidden');
     dom.allLabelsSection.classList.add('hidden');
@@ -168,6 +568,8 @@
       dom.unsupported.classList.remove('hidden');
     } else if (view === 'no-item') {
       dom.noItem.classList.remove('hidden');
+    } else if (view === 'no-compose') {
+      dom.noCompose.classList.remove('hidden');
     } else if (view === 'main') {
       dom.currentLabels.classList.remove('hidden');
       dom.searchSection.classList.remove('hidden');
@@ -175,68 +577,330 @@
     }
   }
 
-  // --- localStorage: Known labels list ---
+  // --- Known labels list (LabelStore: roaming settings + localStorage) ---
 
   var STORAGE_KEY_PREFIX = 'outlook_labels_own_';
   var IMPORT_DONE_PREFIX = 'outlook_labels_imported_';
+  var RULED_OUT_PREFIX = 'outlook_labels_ruled_out_';
+  var IMPORT_REVIEWED = 2;      // Import-done value once the sync also recorded what was ruled out
+
+  // The mailbox whose labels are being edited: the owner's for a shared or
+  // delegated mailbox, else the account of the current email. Each has its
+  // own known labels, usage history, rules and learned model. '' for a
+  // shared mailbox whose owner could not be read.
+  function getMailboxEmail() {
+    if (state.isSharedMailbox) return state.mailboxOwner;
+    return state.account || getProfileEmail();
+  }
 
-  function getStorageKey() {
-    var email = (Office.context.mailbox.userProfile.emailAddress || 'unknown').toLowerCase();
-    return STORAGE_KEY_PREFIX + email;
+  // null without a mailbox, which LabelStore reads as empty and never writes,
+  // so an unknown owner's labels cannot end up in the user's own list
+  function getMailboxKey(prefix, account) {
+    var email = account || getMailboxEmail();
+    return email ? prefix + email : null;
   }
 
-  function getImportDoneKey() {
-    var email = (Office.context.mailbox.userProfile.emailAddress || 'unknown').toLowerCase();
-    return IMPORT_DONE_PREFIX + email;
+  function getStorageKey(account) {
+    return getMailboxKey(STORAGE_KEY_PREFIX, account);
   }
 
-  function hasCompletedImport() {
-    return localStorage.getItem(getImportDoneKey()) === '1';
+  function getImportDoneKey(account) {
+    return getMailboxKey(IMPORT_DONE_PREFIX, account);
   }
 
-  function markImportDone() {
-    try { localStorage.setItem(getImportDoneKey(), '1'); } catch (e) {}
+  // Categories the user left unticked in the sync dialog, so that ones
+  // added to Outlook later can be told apart from ones already turned down.
+  // They roam like the known lists, within the same size budget (see
+  // LabelStore), so a long list of them cannot crowd out the rest.
+  function getRuledOutKey(account) {
+    return getMailboxKey(RULED_OUT_PREFIX, account);
   }
 
-  function loadOwnCategoryNames() {
-    try {
-      var data = localStorage.getItem(getStorageKey());
-      return data ? JSON.parse(data) : [];
-    } catch (e) {
-      return [];
-    }
+  function hasCompletedImport(account) {
+    return !!LabelStore.getValue(getImportDoneKey(account), false);
+  }
+
+  function hasReviewedCategories(account) {
+    return LabelStore.getValue(getImportDoneKey(account), 0) >= IMPORT_REVIEWED;
+  }
+
+  // `reviewed` when the sync dialog saved; other imports keep that mark
+  function markImportDone(account, reviewed) {
+    if (!reviewed && hasCompletedImport(account)) return;
+    LabelStore.setValue(getImportDoneKey(account), reviewed ? IMPORT_REVIEWED : 1);
+  }
+
+  function loadRuledOutNames(account) {
+    return LabelStore.getNames(getRuledOutKey(account));
+  }
+
+  // Outlook categories that are neither on the list nor ruled out
+  function findUnreviewedCategories() {
+    if (state.isSharedMailbox || !hasReviewedCategories()) return [];
+    var seen = {};
+    loadOwnCategoryNames().concat(loadRuledOutNames()).forEach(function (name) {
+      seen[name.toLowerCase()] = true;
+    });
+    return state.allApiCategories.filter(function (cat) {
+      return !seen[cat.displayName.toLowerCase()];
+    });
+  }
+
+  function loadOwnCategoryNames(account) {
+    return LabelStore.getNames(getStorageKey(account));
   }
 
   function saveOwnCategoryNames(names) {
-    try {
-      localStorage.setItem(getStorageKey(), JSON.stringify(names));
-    } catch (e) { /* ignore quota errors */ }
+    LabelStore.setNames(getStorageKey(), names);
   }
 
   function addOwnCategoryName(name) {
-    var names = loadOwnCategoryNames();
-    var lower = name.toLowerCase();
-    for (var i = 0; i < names.length; i++) {
-      if (names[i].toLowerCase() === lower) return; // already tracked
-    }
-    names.push(name);
-    saveOwnCategoryNames(names);
+    LabelStore.addName(getStorageKey(), name);
   }
 
   function removeOwnCategoryName(name) {
-    var names = loadOwnCategoryNames();
-    var lower = name.toLowerCase();
-    names = names.filter(function (n) { return n.toLowerCase() !== lower; });
-    saveOwnCategoryNames(names);
+    LabelStore.removeName(getStorageKey(), name);
+  }
+
+  function renameOwnCategoryName(oldName, newName) {
+    var aliases = getLabelAliases(oldName);
+    LabelStore.removeName(getStorageKey(), oldName);
+    LabelStore.addName(getStorageKey(), newName);
+    if (aliases.length > 0) LabelStore.setAliases(getStorageKey(), newName, aliases);
   }
 
   function isOwnCategory(name) {
-    var names = loadOwnCategoryNames();
-    var lower = name.toLowerCase();
-    for (var i = 0; i < names.length; i++) {
-      if (names[i].toLowerCase() === lower) return true;
+    return LabelStore.hasName(getStorageKey(), name);
+  }
+
+  // Other words that find a label in search ("bills" for "Invoices")
+  function loadLabelAliases() {
+    return LabelStore.getAliases(getStorageKey());
+  }
+
+  function getLabelAliases(name) {
+    return loadLabelAliases()[name.toLowerCase()] || [];
+  }
+
+  function saveLabelAliases(name, aliases) {
+    LabelStore.setAliases(getStorageKey(), name, aliases);
+  }
+
+  // "bills, Receipts;bills" -> ["bills", "Receipts"], without the label's own name
+  function parseAliases(text, name) {
+    var seen = {};
+    seen[name.toLowerCase()] = true;
+    return text.split(/[,;\n]/).map(function (alias) {
+      return alias.trim().replace(/\s+/g, ' ');
+    }).filter(function (alias) {
+      var k = alias.toLowerCase();
+      if (!alias || seen[k]) return false;
+      seen[k] = true;
+      return true;
+    });
+  }
+
+  // --- Label usage history ---
+  //
+  // How often and how recently each label was applied, per mailbox:
+  // { v: 1, items: { lowercased name: { n: name, c: count, t: last used } } }.
+  // Feeds the Recent section and the frequency boost in search.
+
+  var USAGE_KEY_PREFIX = 'outlook_labels_usage_';
+  var USAGE_HISTORY_LIMIT = 100;  // Roaming settings are small; keep the most recent
+  var RECENT_LABEL_LIMIT = 9;
+
+  function getUsageKey() {
+    return getMailboxKey(USAGE_KEY_PREFIX);
+  }
+
+  function loadUsageHistory() {
+    var history = LabelStore.getValue(getUsageKey(), null);
+    return history && history.items ? history : { v: 1, items: {} };
+  }
+
+  function saveUsageHistory(history) {
+    var keys = Object.keys(history.items);
+    if (keys.length > USAGE_HISTORY_LIMIT) {
+      keys.sort(function (a, b) { return history.items[b].t - history.items[a].t; });
+      keys.slice(USAGE_HISTORY_LIMIT).forEach(function (k) { delete history.items[k]; });
     }
-    return false;
+    LabelStore.setValue(getUsageKey(), history);
+  }
+
+  // The longest start of `list` for which build(part) passes fits(), for
+  // a value too big for roaming settings (LabelStore.shrinkValues)
+  function shrinkToFit(list, build, fits) {
+    for (var n = list.length - 1; n > 0; n--) {
+      var copy = build(list.slice(0, n));
+      if (fits(copy)) return copy;
+    }
+    return null;
+  }
+
+  // Roaming copy of a long history: the most recently used labels
+  function shrinkUsageHistory(history, fits) {
+    var keys = Object.keys(history.items).sort(function (a, b) {
+      return history.items[b].t - history.items[a].t;
+    });
+    return shrinkToFit(keys, function (part) {
+      var items = {};
+      part.forEach(function (k) { items[k] = history.items[k]; });
+      return { v: history.v, items: items };
+    }, fits);
+  }
+
+  function recordLabelUse(name) {
+    var history = loadUsageHistory();
+    var k = name.toLowerCase();
+    var entry = history.items[k] || { n: name, c: 0, t: 0 };
+    history.items[k] = { n: name, c: entry.c + 1, t: Date.now() };
+    saveUsageHistory(history);
+  }
+
+  function renameLabelUsage(oldName, newName) {
+    var history = loadUsageHistory();
+    var entry = history.items[oldName.toLowerCase()];
+    if (!entry) return;
+    delete history.items[oldName.toLowerCase()];
+    history.items[newName.toLowerCase()] = { n: newName, c: entry.c, t: entry.t };
+    saveUsageHistory(history);
+  }
+
+  // Add one label's history to another's, e.g. when they are merged
+  function mergeLabelUsage(fromName, intoName) {
+    var history = loadUsageHistory();
+    var from = history.items[fromName.toLowerCase()];
+    if (!from) return;
+    var into = history.items[intoName.toLowerCase()] || { c: 0, t: 0 };
+    delete history.items[fromName.toLowerCase()];
+    history.items[intoName.toLowerCase()] = { n: intoName, c: from.c + into.c, t: Math.max(from.t, into.t) };
+    saveUsageHistory(history);
+  }
+
+  function getLabelUsage(name) {
+    return loadUsageHistory().items[name.toLowerCase()] || null;
+  }
+
+  // Put back an entry from getLabelUsage, e.g. when a delete is undone
+  function restoreLabelUsage(entry) {
+    var history = loadUsageHistory();
+    history.items[entry.n.toLowerCase()] = entry;
+    saveUsageHistory(history);
+  }
+
+  function forgetLabelUsage(name) {
+    var history = loadUsageHistory();
+    if (!history.items[name.toLowerCase()]) return;
+    delete history.items[name.toLowerCase()];
+    saveUsageHistory(history);
+  }
+
+  function clearUsageHistory() {
+    LabelStore.removeValue(getUsageKey());
+  }
+
+  // Lowercased name -> 0..1, on a log scale so a few heavy labels do not
+  // drown out everything else
+  function getUsageWeights() {
+    var items = loadUsageHistory().items;
+    var max = 0;
+    Object.keys(items).forEach(function (k) { max = Math.max(max, items[k].c); });
+    var weights = {};
+    if (max === 0) return weights;
+    Object.keys(items).forEach(function (k) {
+      weights[k] = Math.log(1 + items[k].c) / Math.log(1 + max);
+    });
+    return weights;
+  }
+
+  // Most recently applied labels that still exist, newest first
+  function getRecentLabels() {
+    var items = loadUsageHistory().items;
+    var byName = {};
+    state.masterCategories.forEach(function (cat) { byName[cat.displayName.toLowerCase()] = cat; });
+    return Object.keys(items)
+      .filter(function (k) { return byName[k]; })
+      .sort(function (a, b) { return items[b].t - items[a].t; })
+      .slice(0, RECENT_LABEL_LIMIT)
+      .map(function (k) { return byName[k]; });
+  }
+
+  // --- Rules storage ---
+
+  var RULES_KEY_PREFIX = 'outlook_labels_rules_';
+
+  function getRulesKey() {
+    return getMailboxKey(RULES_KEY_PREFIX);
+  }
+
+  function loadRules() {
+    var stored = LabelStore.getValue(getRulesKey(), null);
+    var list = stored && Array.isArray(stored.rules) ? stored.rules : [];
+    return list.map(LabelRules.normalize).filter(Boolean);
+  }
+
+  function saveRules(rules) {
+    LabelStore.setValue(getRulesKey(), { v: 1, rules: rules });
+  }
+
+  // Roaming copy of a long rule list: the rules that come first
+  function shrinkRules(stored, fits) {
+    return shrinkToFit(stored.rules, function (part) { return { v: stored.v, rules: part }; }, fits);
+  }
+
+  // Also used by merges, so newName may already be on the rule
+  function renameLabelInRules(oldName, newName) {
+    var lower = oldName.toLowerCase();
+    var changed = false;
+    var rules = loadRules();
+    rules.forEach(function (rule) {
+      var seen = {};
+      rule.labels = rule.labels.map(function (name) {
+        if (name.toLowerCase() !== lower) return name;
+        changed = true;
+        return newName;
+      }).filter(function (name) {
+        if (seen[name.toLowerCase()]) return false;
+        seen[name.toLowerCase()] = true;
+        return true;
+      });
+    });
+    if (changed) saveRules(rules);
+  }
+
+  function countRulesWithLabel(name) {
+    var lower = name.toLowerCase();
+    return loadRules().filter(function (rule) {
+      return rule.labels.some(function (n) { return n.toLowerCase() === lower; });
+    }).length;
+  }
+
+  // --- Learned suggestions model ---
+
+  var MODEL_KEY_PREFIX = 'outlook_labels_model_';
+
+  function getModelKey() {
+    return getMailboxKey(MODEL_KEY_PREFIX);
+  }
+
+  function loadLearnedModel() {
+    var model = LabelStore.getValue(getModelKey(), null);
+    return LabelLearner.isModel(model) ? model : LabelLearner.emptyModel();
+  }
+
+  function saveLearnedModel(model) {
+    LabelStore.setValue(getModelKey(), model);
+  }
+
+  function resetLearnedModel() {
+    LabelStore.removeValue(getModelKey());
+  }
+
+  function updateLearnedModel(change) {
+    var model = loadLearnedModel();
+    change(model);
+    saveLearnedModel(model);
   }
 
   // --- Office.js Categories API wrappers ---
@@ -264,6 +928,7 @@
     });
 
     var result = [];
+    var orphans = {};
     ownNames.forEach(function (name) {
       var apiCat = apiMap[name.toLowerCase()];
       if (apiCat) {
@@ -272,14 +937,18 @@
         // Category in our list but not in API — might have been deleted externally
         // Still show it so user can re-create or clean up
         result.push({ displayName: name, color: 'Preset7' });
+        orphans[name.toLowerCase()] = true;
       }
     });
 
     result.sort(function (a, b) {
-      return a.displayName.localeCompare(b.displayName);
+      return compareLabelPaths(a.displayName, b.displayName);
     });
 
     state.masterCategories = result;
+    state.orphanLabels = orphans;
+    state.labelAliases = loadLabelAliases();
+    FuzzySearch.updateIndex(state.searchIndex, result, state.labelAliases);
     return result;
   }
 
@@ -290,146 +959,317 @@
     });
   }
 
-  function loadItemCategories() {
-    return new Promise(function (resolve, reject) {
-      var item = Office.context.mailbox.item;
-      if (!item) {
-        state.itemCategories = [];
-        resolve([]);
-        return;
-      }
-      item.categories.getAsync(function (result) {
-        if (result.status === Office.AsyncResultStatus.Succeeded) {
-          state.itemCategories = result.value || [];
+  // --- Selection: the open item, or several selected items ---
+  //
+  // With several messages selected (Mailbox 1.13+), mailbox.item is not set.
+  // Each selected item has to be loaded by id, and unloaded again before the
+  // next one is loaded (Mailbox 1.15), so per-item work runs sequentially.
+
+  // The manifest only asks for Mailbox 1.8; older clients get the open item alone
+  function canUseMultiSelect() {
+    var mailbox = Office.context.mailbox;
+    return Office.context.requirements.isSetSupported('Mailbox', '1.15') &&
+      typeof mailbox.getSelectedItemsAsync === 'function' &&
+      typeof mailbox.loadItemByIdAsync === 'function';
+  }
 
-          // Auto-import: categories on the user's own emails must be theirs
-          if (!state.isSharedMailbox) {
-            state.itemCategories.forEach(function (cat) {
-              addOwnCategoryName(cat.displayName);
-            });
-            // Rebuild master list with any newly discovered categories
-            buildMasterCategoriesFromOwn();
-          }
+  function isMultiSelect() {
+    return state.selectedItems.length > 1;
+  }
 
-          resolve(state.itemCategories);
-        } else {
-          reject(result.error);
-        }
+  function loadSelectedItems() {
+    return new Promise(function (resolve) {
+      if (!canUseMultiSelect()) {
+        state.selectedItems = [];
+        resolve();
+        return;
+      }
+      Office.context.mailbox.getSelectedItemsAsync(function (result) {
+        var items = result.status === Office.AsyncResultStatus.Succeeded ? (result.value || []) : [];
+        state.selectedItems = items.length > 1 ? items.map(function (it) {
+          return { itemId: it.itemId, subject: it.subject || '', categories: [] };
+        }) : [];
+        resolve();
       });
     });
   }
 
-  function addMasterCategory(displayName, colorPreset) {
-    return new Promise(function (resolve, reject) {
-      var done = false;
-      var timer = setTimeout(function () {
-        if (!done) {
-          done = true;
-          addOwnCategoryName(displayName);
-          reject({ message: 'Add timed out — added to list only' });
-        }
-      }, 5000);
+  // Only one item can be loaded at a time, so loads wait for each other
+  var _itemLoadChain = Promise.resolve();
 
-      try {
-        var newCat = [{ displayName: displayName, color: colorPreset }];
-        Office.context.mailbox.masterCategories.addAsync(newCat, function (result) {
-          if (done) return;
-          done = true;
-          clearTimeout(timer);
-          if (result.status === Office.AsyncResultStatus.Succeeded) {
-            addOwnCategoryName(displayName);
-            resolve();
-          } else {
-            addOwnCategoryName(displayName);
-            reject(result.error || { message: 'Unknown error' });
-          }
-        });
-      } catch (e) {
-        if (!done) {
-          done = true;
-          clearTimeout(timer);
-          addOwnCategoryName(displayName);
-          reject(e);
-        }
-      }
-    });
+  function withLoadedItem(itemId, fn) {
+    var run = _itemLoadChain.then(function () { return loadItemAndRun(itemId, fn); });
+    _itemLoadChain = run.catch(function () {});
+    return run;
   }
 
-  function deleteMasterCategory(displayName) {
+  function loadItemAndRun(itemId, fn) {
     return new Promise(function (resolve, reject) {
-      var done = false;
-      var timer = setTimeout(function () {
-        if (!done) {
-          done = true;
-          removeOwnCategoryName(displayName);
-          reject({ message: 'Delete timed out \u2014 removed from list only' });
+      Office.context.mailbox.loadItemByIdAsync(itemId, function (result) {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+          reject(result.error || { message: t('error.loadItem') });
+          return;
         }
-      }, 5000);
-
-      try {
-        Office.context.mailbox.masterCategories.removeAsync([displayName], function (result) {
-          if (done) return;
-          done = true;
-          clearTimeout(timer);
-          if (result.status === Office.AsyncResultStatus.Succeeded) {
-            removeOwnCategoryName(displayName);
-            resolve();
-          } else {
-            removeOwnCategoryName(displayName);
-            reject(result.error || { message: 'Unknown error' });
-          }
-        });
-      } catch (e) {
-        if (!done) {
-          done = true;
-          clearTimeout(timer);
-          removeOwnCategoryName(displayName);
-          reject(e);
+        var item = result.value;
+        function unload() {
+          return new Promise(function (r) {
+            try { item.unloadAsync(function () { r(); }); } catch (e) { r(); }
+          });
         }
-      }
+        Promise.resolve()
+          .then(function () { return fn(item); })
+          .then(function (value) {
+            return unload().then(function () { resolve(value); });
+          }, function (err) {
+            return unload().then(function () { reject(err); });
+          });
+      });
     });
   }
 
-  function addLabelToItem(displayName) {
-    return new Promise(function (resolve, reject) {
-      var done = false;
-      var timer = setTimeout(function () {
-        if (!done) { done = true; resolve(); }
-      }, 5000);
-
-      try {
-        Office.context.mailbox.item.categories.addAsync([displayName], function (result) {
-          if (done) return;
-          done = true;
-          clearTimeout(timer);
-          if (result.status === Office.AsyncResultStatus.Succeeded) {
-            resolve();
-          } else {
-            reject(result.error || { message: 'Unknown error' });
-          }
-        });
-      } catch (e) {
-        if (!done) { done = true; clearTimeout(timer); reject(e); }
-      }
+  /**
+   * Run fn(item, entry, index) for the open item, or for each selected item
+   * in turn. entry.categories holds the categories last loaded for that item.
+   * A selected item that fails does not stop the others: once all have had
+   * their turn, this rejects with the first error plus `failures`, the
+   * { entry, error } of each item that failed, and `total`.
+   */
+  function forEachTargetItem(fn) {
+    if (!isMultiSelect()) {
+      var item = Office.context.mailbox.item;
+      if (!item) return Promise.resolve();
+      return Promise.resolve(fn(item, { itemId: item.itemId, categories: state.itemCategories }, 0));
+    }
+    var guard = itemGuard();
+    var failures = [];
+    return state.selectedItems.reduce(function (chain, entry, index) {
+      return chain.then(guard).then(function () {
+        return withLoadedItem(entry.itemId, function (item) { return fn(item, entry, index); })
+          .catch(function (err) {
+            if (isCancelled(err)) throw err;
+            failures.push({ entry: entry, error: err });
+          });
+      });
+    }, Promise.resolve()).then(function () {
+      if (failures.length === 0) return;
+      var first = failures[0].error;
+      throw {
+        message: (first && first.message) || t('error.unknown'),
+        failures: failures,
+        total: state.selectedItems.length
+      };
     });
   }
 
-  function removeLabelFromItem(displayName) {
-    return new Promise(function (resolve, reject) {
-      var done = false;
-      var timer = setTimeout(function () {
-        if (!done) { done = true; resolve(); }
-      }, 5000);
+  // Subjects of the items in a forEachTargetItem failure, for messages
+  function describeFailedItems(err) {
+    return quoteNames(err.failures.map(function (failure) {
+      return failure.entry.subject || t('error.noSubject');
+    }), 3);
+  }
 
-      try {
-        Office.context.mailbox.item.categories.removeAsync([displayName], function (result) {
+  // Like forEachTargetItem, over the last loaded categories only
+  function forEachTargetItemSync(fn) {
+    if (!isMultiSelect()) {
+      fn({ categories: state.itemCategories }, 0);
+      return;
+    }
+    state.selectedItems.forEach(fn);
+  }
+
+  function hasCategory(categories, displayName) {
+    for (var i = 0; i < categories.length; i++) {
+      if (categories[i].displayName === displayName) return true;
+    }
+    return false;
+  }
+
+  function getItemCategoriesAsync(item) {
+    return new Promise(function (resolve, reject) {
+      item.categories.getAsync(function (result) {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          resolve(result.value || []);
+        } else {
+          reject(result.error);
+        }
+      });
+    });
+  }
+
+  // Auto-import: categories on the mailbox's own emails must be its owner's
+  function autoImportItemCategories() {
+    state.itemCategories.forEach(function (cat) {
+      addOwnCategoryName(cat.displayName);
+    });
+    // Rebuild master list with any newly discovered categories
+    buildMasterCategoriesFromOwn();
+  }
+
+  function loadItemCategories() {
+    var guard = itemGuard();
+    if (isMultiSelect()) {
+      return forEachTargetItem(function (item, entry) {
+        return getItemCategoriesAsync(item).then(function (cats) { entry.categories = cats; });
+      }).then(function () {
+        // Union over the selection, in first-seen order
+        var union = [];
+        state.selectedItems.forEach(function (entry) {
+          entry.categories.forEach(function (cat) {
+            if (!hasCategory(union, cat.displayName)) union.push(cat);
+          });
+        });
+        guard();
+        state.itemCategories = union;
+        autoImportItemCategories();
+        return state.itemCategories;
+      });
+    }
+
+    var item = Office.context.mailbox.item;
+    if (!item) {
+      state.itemCategories = [];
+      return Promise.resolve([]);
+    }
+    return getItemCategoriesAsync(item).then(function (cats) {
+      guard();
+      state.itemCategories = cats;
+      autoImportItemCategories();
+      return state.itemCategories;
+    });
+  }
+
+  // --- Category write queue ---
+  //
+  // Every write to item or master categories runs through one queue, one at
+  // a time: quick clicks must not interleave, and with several emails
+  // selected only one of them can be loaded at once. Item writes are read
+  // back with categories.getAsync and retried with backoff until the change
+  // shows up.
+
+  var WRITE_ATTEMPTS = 3;
+  var WRITE_RETRY_DELAY = 300;  // ms before the second attempt, doubled after that
+
+  // Office error names worth another attempt
+  var TRANSIENT_ERRORS = ['InternalServerError', 'NetworkError', 'ServerBusy', 'Timeout'];
+
+  var _writeQueue = Promise.resolve();
+
+  // Run task() once every write queued before it has settled
+  function enqueueCategoryWrite(task) {
+    var run = _writeQueue.then(function () { return task(); });
+    _writeQueue = run.catch(function () {});
+    return run;
+  }
+
+  function isTransientError(err) {
+    return !!err && (err.transient === true || TRANSIENT_ERRORS.indexOf(err.name) !== -1);
+  }
+
+  function isLabelPending(displayName) {
+    return !!state.pendingLabels[displayName.toLowerCase()];
+  }
+
+  function getLabelError(displayName) {
+    return state.labelErrors[displayName.toLowerCase()] || '';
+  }
+
+  function renderPendingLabels() {
+    scheduleRender('applied', renderAppliedLabels);
+    scheduleRender('allLabels', renderAllLabels);
+    scheduleRender('search', renderSearchResults);
+  }
+
+  function addMasterCategory(displayName, colorPreset) {
+    return enqueueCategoryWrite(function () {
+      return new Promise(function (resolve, reject) {
+        var done = false;
+        var timer = setTimeout(function () {
+          if (!done) {
+            done = true;
+            addOwnCategoryName(displayName);
+            reject({ message: t('error.addTimedOut') });
+          }
+        }, 5000);
+
+        try {
+          var newCat = [{ displayName: displayName, color: colorPreset }];
+          Office.context.mailbox.masterCategories.addAsync(newCat, function (result) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (result.status === Office.AsyncResultStatus.Succeeded) {
+              addOwnCategoryName(displayName);
+              resolve();
+            } else {
+              addOwnCategoryName(displayName);
+              reject(result.error || { message: t('error.unknown') });
+            }
+          });
+        } catch (e) {
+          if (!done) {
+            done = true;
+            clearTimeout(timer);
+            addOwnCategoryName(displayName);
+            reject(e);
+          }
+        }
+      });
+    });
+  }
+
+  function deleteMasterCategory(displayName) {
+    return enqueueCategoryWrite(function () {
+      return new Promise(function (resolve, reject) {
+        var done = false;
+        var timer = setTimeout(function () {
+          if (!done) {
+            done = true;
+            removeOwnCategoryName(displayName);
+            reject({ message: t('error.deleteTimedOut') });
+          }
+        }, 5000);
+
+        try {
+          Office.context.mailbox.masterCategories.removeAsync([displayName], function (result) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (result.status === Office.AsyncResultStatus.Succeeded) {
+              removeOwnCategoryName(displayName);
+              resolve();
+            } else {
+              removeOwnCategoryName(displayName);
+              reject(result.error || { message: t('error.unknown') });
+            }
+          });
+        } catch (e) {
+          if (!done) {
+            done = true;
+            clearTimeout(timer);
+            removeOwnCategoryName(displayName);
+            reject(e);
+          }
+        }
+      });
+    });
+  }
+
+  function callMasterCategoriesAsync(method, arg) {
+    return new Promise(function (resolve, reject) {
+      var done = false;
+      var timer = setTimeout(function () {
+        if (!done) { done = true; reject({ message: t('error.noResponse') }); }
+      }, 5000);
+
+      try {
+        Office.context.mailbox.masterCategories[method](arg, function (result) {
           if (done) return;
           done = true;
           clearTimeout(timer);
           if (result.status === Office.AsyncResultStatus.Succeeded) {
             resolve();
           } else {
-            reject(result.error || { message: 'Unknown error' });
+            reject(result.error || { message: t('error.unknown') });
           }
         });
       } catch (e) {
@@ -438,533 +1278,4172 @@
     });
   }
 
-  // --- Shared Mailbox Detection ---
+  // The Categories API cannot update a master category in place, so a color
+  // change is a remove followed by an add under the same name. Items keep the
+  // name while it is briefly missing from the master list. If the add fails,
+  // the original color is restored. Both steps run as one queued write.
+  // A label missing from Outlook has nothing to remove, so it is just added
+  // with the new color.
+  function recolorMasterCategory(displayName, oldColor, newColor) {
+    return enqueueCategoryWrite(function () {
+      if (!FuzzySearch.hasExactMatch(displayName, state.allApiCategories)) {
+        return callMasterCategoriesAsync('addAsync', [{ displayName: displayName, color: newColor }]);
+      }
+      return callMasterCategoriesAsync('removeAsync', [displayName])
+        .then(function () {
+          return callMasterCategoriesAsync('addAsync', [{ displayName: displayName, color: newColor }])
+            .catch(function (err) {
+              return callMasterCategoriesAsync('addAsync', [{ displayName: displayName, color: oldColor }])
+                .then(function () { throw err; }, function () {
+                  throw { message: t('error.colorNotRestored', { reason: err.message || t('error.unknown') }) };
+                });
+            });
+        });
+    });
+  }
 
-  function checkSharedMailbox() {
+  function callItemCategoriesAsync(item, method, names) {
+    return new Promise(function (resolve, reject) {
+      var done = false;
+      var timer = setTimeout(function () {
+        if (!done) { done = true; reject({ message: t('error.noResponse'), transient: true }); }
+      }, 5000);
+
+      try {
+        item.categories[method](names, function (result) {
+          if (done) return;
+          done = true;
+          clearTimeout(timer);
+          if (result.status === Office.AsyncResultStatus.Succeeded) {
+            resolve();
+          } else {
+            reject(result.error || { message: t('error.unknown') });
+          }
+        });
+      } catch (e) {
+        if (!done) { done = true; clearTimeout(timer); reject(e); }
+      }
+    });
+  }
+
+  /**
+   * Add or remove one label on a loaded item, then read the categories back.
+   * Resolves with them once they show the change. A write that timed out may
+   * still have landed, so the read-back decides; transient errors and writes
+   * that did not stick are retried.
+   */
+  function writeItemCategory(item, method, displayName) {
+    var adding = method === 'addAsync';
+
+    function attempt(n) {
+      return callItemCategoriesAsync(item, method, [displayName])
+        .catch(function (err) {
+          if (!isTransientError(err)) throw err;
+        })
+        .then(function () { return getItemCategoriesAsync(item); })
+        .then(function (cats) {
+          if (hasCategory(cats, displayName) !== adding) {
+            throw {
+              message: adding ? t('error.labelNotKept') : t('error.labelStillOn'),
+              transient: true
+            };
+          }
+          return cats;
+        })
+        .catch(function (err) {
+          if (n >= WRITE_ATTEMPTS || !isTransientError(err)) throw err;
+          var wait = WRITE_RETRY_DELAY * Math.pow(2, n - 1);
+          return new Promise(function (r) { setTimeout(r, wait); })
+            .then(function () { return attempt(n + 1); });
+        });
+    }
+
+    return attempt(1);
+  }
+
+  /**
+   * Queue a change of one label on the target items, or on those for which
+   * include(index) is true. The label shows as pending until the write is
+   * done. A failure is kept per label for the rows to show, and rejects with
+   * a message that names the label.
+   */
+  function queueLabelWrite(displayName, method, include) {
+    var adding = method === 'addAsync';
+    var key = displayName.toLowerCase();
+    var mark = { kind: adding ? 'add' : 'remove', name: displayName };
+    var guard = itemGuard();
+
+    state.pendingLabels[key] = mark;
+    delete state.labelErrors[key];
+    renderPendingLabels();
+
+    function settle() {
+      if (state.pendingLabels[key] === mark) delete state.pendingLabels[key];
+      renderPendingLabels();
+    }
+
+    return enqueueCategoryWrite(function () {
+      guard(); // Never write to an email the user has moved away from
+      return forEachTargetItem(function (item, entry, index) {
+        if (include && !include(index)) return;
+        if (isMultiSelect() && hasCategory(entry.categories, displayName) === adding) return;
+        return writeItemCategory(item, method, displayName).then(function (cats) {
+          entry.categories = cats;
+        });
+      });
+    }).then(settle, function (err) {
+      settle();
+      if (isCancelled(err)) throw err;
+      var reason = (err && err.message) || t('error.unknown');
+      var message = t(adding ? 'error.couldNotAdd' : 'error.couldNotRemove', { name: displayName, reason: reason });
+      if (err && err.failures && err.failures.length < err.total) {
+        // Say which emails have the change and which do not
+        message = plural(adding ? 'error.addedToSome' : 'error.removedFromSome', err.total, {
+          name: displayName,
+          done: LabelI18n.formatNumber(err.total - err.failures.length),
+          items: describeFailedItems(err),
+          reason: reason
+        });
+      }
+      if (guard.isCurrent()) state.labelErrors[key] = message;
+      throw { message: message, label: displayName, reason: reason };
+    });
+  }
+
+  function addLabelToItem(displayName) {
+    return queueLabelWrite(displayName, 'addAsync');
+  }
+
+  function removeLabelFromItem(displayName) {
+    return queueLabelWrite(displayName, 'removeAsync');
+  }
+
+  // --- EWS: Re-tagging messages other than the open item ---
+  //
+  // The Categories API only reaches the open item. Where the client still
+  // offers makeEwsRequestAsync (needs ReadWriteMailbox), other messages can
+  // be found and updated. FindItem has no deep traversal for mail folders,
+  // so only the folders below are searched.
+
+  var EWS_TYPES_NS = 'http://schemas.microsoft.com/exchange/services/2006/types';
+  var EWS_RETAG_FOLDERS = [
+    { id: 'inbox' },
+    { id: 'sentitems' },
+    { id: 'drafts' },
+    { id: 'deleteditems' }
+  ];
+  var EWS_PAGE_SIZE = 250;
+  var EWS_MAX_ITEMS_PER_FOLDER = 1000;
+  var EWS_UPDATE_BATCH = 50;
+
+  function getFolderName(folder) {
+    return t('folder.' + folder.id);
+  }
+
+  function canUseEws() {
+    return typeof Office.context.mailbox.makeEwsRequestAsync === 'function';
+  }
+
+  function ewsRequest(body) {
+    var envelope =
+      '<?xml version="1.0" encoding="utf-8"?>' +
+      '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"' +
+      ' xmlns:t="' + EWS_TYPES_NS + '"' +
+      ' xmlns:m="http://schemas.microsoft.com/exchange/services/2006/messages">' +
+      '<soap:Header><t:RequestServerVersion Version="Exchange2013"/></soap:Header>' +
+      '<soap:Body>' + body + '</soap:Body>' +
+      '</soap:Envelope>';
+
+    return new Promise(function (resolve, reject) {
+      try {
+        Office.context.mailbox.makeEwsRequestAsync(envelope, function (result) {
+          if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            reject(result.error || { message: 'EWS request failed' });
+            return;
+          }
+          resolve(new DOMParser().parseFromString(result.value, 'text/xml'));
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  // ResponseClass of every *ResponseMessage element, in document order
+  function ewsResponseClasses(doc) {
+    var classes = [];
+    var all = doc.getElementsByTagName('*');
+    for (var i = 0; i < all.length; i++) {
+      var cls = all[i].getAttribute('ResponseClass');
+      if (cls) classes.push(cls);
+    }
+    return classes;
+  }
+
+  function ewsChildText(el, localName) {
+    var found = el.getElementsByTagNameNS(EWS_TYPES_NS, localName);
+    return Array.prototype.map.call(found, function (n) { return n.textContent; });
+  }
+
+  function ewsFindItemsWithCategory(folderId, displayName) {
+    var items = [];
+
+    function fetchPage(offset) {
+      var body =
+        '<m:FindItem Traversal="Shallow">' +
+          '<m:ItemShape><t:BaseShape>IdOnly</t:BaseShape>' +
+            '<t:AdditionalProperties><t:FieldURI FieldURI="item:Categories"/></t:AdditionalProperties>' +
+          '</m:ItemShape>' +
+          '<m:IndexedPageItemView MaxEntriesReturned="' + EWS_PAGE_SIZE + '" Offset="' + offset + '" BasePoint="Beginning"/>' +
+          '<m:Restriction>' +
+            '<t:Contains ContainmentMode="FullString" ContainmentComparison="IgnoreCase">' +
+              '<t:FieldURI FieldURI="item:Categories"/>' +
+              '<t:Constant Value="' + escapeXml(displayName) + '"/>' +
+            '</t:Contains>' +
+          '</m:Restriction>' +
+          '<m:ParentFolderIds><t:DistinguishedFolderId Id="' + folderId + '"/></m:ParentFolderIds>' +
+        '</m:FindItem>';
+
+      return ewsRequest(body).then(function (doc) {
+        if (ewsResponseClasses(doc).indexOf('Error') !== -1) {
+          throw { message: 'FindItem failed' };
+        }
+        var ids = doc.getElementsByTagNameNS(EWS_TYPES_NS, 'ItemId');
+        for (var i = 0; i < ids.length; i++) {
+          items.push({
+            id: ids[i].getAttribute('Id'),
+            changeKey: ids[i].getAttribute('ChangeKey'),
+            categories: ewsChildText(ids[i].parentNode, 'String')
+          });
+        }
+        var root = doc.getElementsByTagNameNS('*', 'RootFolder')[0];
+        var isLast = !root || root.getAttribute('IncludesLastItemInRange') !== 'false';
+        if (isLast || ids.length === 0) return { items: items, truncated: false };
+        if (items.length >= EWS_MAX_ITEMS_PER_FOLDER) return { items: items, truncated: true };
+        return fetchPage(offset + ids.length);
+      });
+    }
+
+    return fetchPage(0);
+  }
+
+  function ewsSetCategories(items) {
+    var changes = items.map(function (item) {
+      var strings = item.categories.map(function (c) {
+        return '<t:String>' + escapeXml(c) + '</t:String>';
+      }).join('');
+      return '<t:ItemChange>' +
+          '<t:ItemId Id="' + escapeXml(item.id) + '" ChangeKey="' + escapeXml(item.changeKey) + '"/>' +
+          '<t:Updates><t:SetItemField>' +
+            '<t:FieldURI FieldURI="item:Categories"/>' +
+            '<t:Item><t:Categories>' + strings + '</t:Categories></t:Item>' +
+          '</t:SetItemField></t:Updates>' +
+        '</t:ItemChange>';
+    }).join('');
+
+    var body =
+      '<m:UpdateItem MessageDisposition="SaveOnly" ConflictResolution="AlwaysOverwrite">' +
+        '<m:ItemChanges>' + changes + '</m:ItemChanges>' +
+      '</m:UpdateItem>';
+
+    return ewsRequest(body).then(function (doc) {
+      var classes = ewsResponseClasses(doc);
+      var updated = classes.filter(function (c) { return c === 'Success'; }).length;
+      return { updated: updated, failed: items.length - updated };
+    });
+  }
+
+  /**
+   * Replace oldName with newName on every message EWS can reach.
+   * Resolves (never rejects) with a summary:
+   *   { supported, updated, failed, failedFolders: [], truncatedFolders: [] }
+   */
+  function retagMessages(oldName, newName) {
+    var summary = {
+      supported: canUseEws(),
+      updated: 0,
+      failed: 0,
+      failedFolders: [],
+      truncatedFolders: []
+    };
+    if (!summary.supported) return Promise.resolve(summary);
+
+    var oldLower = oldName.toLowerCase();
+    var newLower = newName.toLowerCase();
+
+    return EWS_RETAG_FOLDERS.reduce(function (chain, folder) {
+      return chain.then(function () {
+        return ewsFindItemsWithCategory(folder.id, oldName)
+          .then(function (found) {
+            if (found.truncated) summary.truncatedFolders.push(getFolderName(folder));
+            found.items.forEach(function (item) {
+              var hasNew = false;
+              item.categories = item.categories.filter(function (c) {
+                var lower = c.toLowerCase();
+                if (lower === newLower) {
+                  if (hasNew) return false;
+                  hasNew = true;
+                }
+                return lower !== oldLower;
+              });
+              if (!hasNew) item.categories.push(newName);
+            });
+
+            var batches = [];
+            for (var i = 0; i < found.items.length; i += EWS_UPDATE_BATCH) {
+              batches.push(found.items.slice(i, i + EWS_UPDATE_BATCH));
+            }
+            return batches.reduce(function (batchChain, batch) {
+              return batchChain.then(function () {
+                return ewsSetCategories(batch).then(function (r) {
+                  summary.updated += r.updated;
+                  summary.failed += r.failed;
+                });
+              });
+            }, Promise.resolve());
+          })
+          .catch(function () {
+            summary.failedFolders.push(getFolderName(folder));
+          });
+      });
+    }, Promise.resolve()).then(function () { return summary; });
+  }
+
+  // --- Compose Mode ---
+  //
+  // The same pane runs in compose forms. Drafts, replies and forwards take
+  // categories like any other item; a reply or forward also offers the
+  // labels already on its conversation so the thread keeps them.
+
+  var THREAD_SUGGESTION_LIMIT = 50;
+
+  function detectComposeMode() {
+    var item = Office.context.mailbox.item;
+    // saveAsync only exists on items being composed
+    state.isComposeMode = !!item && typeof item.saveAsync === 'function';
+  }
+
+  function hasItemCategoriesApi() {
+    var item = Office.context.mailbox.item;
+    return isMultiSelect() || (!!item && !!item.categories);
+  }
+
+  function getComposeType() {
     return new Promise(function (resolve) {
       var item = Office.context.mailbox.item;
+      if (!item || typeof item.getComposeTypeAsync !== 'function') {
+        resolve(null);
+        return;
+      }
+      item.getComposeTypeAsync(function (result) {
+        resolve(result.status === Office.AsyncResultStatus.Succeeded && result.value
+          ? result.value.composeType
+          : null);
+      });
+    });
+  }
+
+  // Category names on the other messages of the draft's conversation,
+  // most frequent first. Resolves [] wherever that cannot be found out.
+  function fetchConversationCategories(conversationId) {
+    var body =
+      '<m:GetConversationItems>' +
+        '<m:ItemShape><t:BaseShape>IdOnly</t:BaseShape>' +
+          '<t:AdditionalProperties><t:FieldURI FieldURI="item:Categories"/></t:AdditionalProperties>' +
+        '</m:ItemShape>' +
+        '<m:FoldersToIgnore><t:DistinguishedFolderId Id="drafts"/></m:FoldersToIgnore>' +
+        '<m:MaxItemsToReturn>' + THREAD_SUGGESTION_LIMIT + '</m:MaxItemsToReturn>' +
+        '<m:Conversations><t:Conversation>' +
+          '<t:ConversationId Id="' + escapeXml(conversationId) + '"/>' +
+        '</t:Conversation></m:Conversations>' +
+      '</m:GetConversationItems>';
+
+    return ewsRequest(body).then(function (doc) {
+      var counts = {};
+      var names = [];
+      var lists = doc.getElementsByTagNameNS(EWS_TYPES_NS, 'Categories');
+      for (var i = 0; i < lists.length; i++) {
+        ewsChildText(lists[i], 'String').forEach(function (name) {
+          var key = name.toLowerCase();
+          if (!counts[key]) {
+            counts[key] = 0;
+            names.push(name);
+          }
+          counts[key]++;
+        });
+      }
+      return names.sort(function (a, b) {
+        return counts[b.toLowerCase()] - counts[a.toLowerCase()];
+      });
+    });
+  }
+
+  function loadThreadSuggestions() {
+    state.threadSuggestions = [];
+    var item = Office.context.mailbox.item;
+    if (!state.isComposeMode || !item || !item.conversationId || !canUseEws()) {
+      return Promise.resolve([]);
+    }
+    return getComposeType()
+      .then(function (composeType) {
+        if (composeType === 'newMail') return [];
+        return fetchConversationCategories(item.conversationId);
+      })
+      .then(function (names) {
+        // Only labels this mailbox actually has
+        state.threadSuggestions = names.filter(function (name) {
+          return FuzzySearch.hasExactMatch(name, state.allApiCategories);
+        });
+        return state.threadSuggestions;
+      })
+      .catch(function () {
+        state.threadSuggestions = [];
+        return [];
+      });
+  }
+
+  function renderThreadSuggestions() {
+    renderSuggestionChips(dom.threadSuggestions, dom.threadSuggestionsList,
+      dom.threadSuggestionsApplyAll, state.threadSuggestions);
+  }
+
+  function handleApplyAllThreadSuggestions() {
+    applySuggestedLabels(state.threadSuggestions, 'status.appliedFromConversation');
+  }
+
+  // One-click "+ Label" chips for suggested labels that are not applied yet.
+  // scores (optional): name -> confidence 0..1, shown on the chip
+  function renderSuggestionChips(block, list, applyAllBtn, names, scores) {
+    var pending = names.filter(function (name) {
+      return !isLabelApplied(name);
+    });
+
+    list.innerHTML = '';
+    if (pending.length === 0 || state.isReadOnly) {
+      block.classList.add('hidden');
+      return;
+    }
+
+    var frag = document.createDocumentFragment();
+    pending.forEach(function (name) {
+      var hex = getColorHex(getCategoryColor(name));
+      var chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'label-chip suggestion-chip';
+      chip.style.borderColor = hex;
+      chip.style.color = hex;
+      chip.title = t('suggestions.apply', { name: name });
+      chip.innerHTML = '<span class="suggestion-plus">+</span>' +
+        '<span class="chip-name">' + renderLabelPath(name, []) + '</span>';
+      if (scores && scores[name] !== undefined) {
+        var percent = LabelI18n.formatPercent(scores[name]);
+        chip.innerHTML += '<span class="suggestion-score">' + percent + '</span>';
+        chip.title = t('suggestions.applyConfidence', { name: name, percent: percent });
+      }
+      chip.addEventListener('click', function () {
+        handleToggleLabel(name, false);
+      });
+      frag.appendChild(chip);
+    });
+
+    list.appendChild(frag);
+    if (applyAllBtn) applyAllBtn.classList.toggle('hidden', pending.length < 2);
+    block.classList.remove('hidden');
+  }
+
+  // message: key of the status line, counted by labels applied
+  function applySuggestedLabels(names, message) {
+    var pending = names.filter(function (name) {
+      return !isLabelApplied(name);
+    });
+    var guard = itemGuard();
+    pending.reduce(function (chain, name) {
+      return chain.then(function () { return addLabelToItem(name); });
+    }, Promise.resolve())
+      .then(guard)
+      .then(function () { return loadItemCategories(); })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('search', renderSearchResults);
+        showStatus(plural(message, pending.length), 'success');
+      })
+      .catch(function (err) {
+        if (isCancelled(err)) return;
+        showStatus(err.message || String(err), 'error');
+      });
+  }
+
+  // --- Rules: evaluation ---
+
+  // What a rule can test, from an email in read mode
+  function getMessageFacts(item) {
+    var address = function (details) {
+      return details && details.emailAddress ? details.emailAddress : '';
+    };
+    var recipients = (item.to || []).concat(item.cc || []).map(address).filter(Boolean);
+    var attachments = Array.isArray(item.attachments) ? item.attachments : null;
+    return {
+      from: address(item.from || item.sender),
+      recipients: recipients,
+      subject: item.subject || '',
+      hasAttachment: attachments ? attachments.some(function (a) { return !a.isInline; }) : null
+    };
+  }
+
+  function findOwnCategory(name) {
+    var lower = name.toLowerCase();
+    for (var i = 0; i < state.masterCategories.length; i++) {
+      if (state.masterCategories[i].displayName.toLowerCase() === lower) return state.masterCategories[i];
+    }
+    return null;
+  }
+
+  // Evaluate rules for the open email: 'apply' rules add their labels (once
+  // per email per session, so a label the user removes stays removed) and
+  // 'suggest' rules fill state.ruleSuggestions. Resolves to the labels applied.
+  function runRules() {
+    state.ruleSuggestions = [];
+    var item = Office.context.mailbox.item;
+    if (!item || state.isComposeMode || isMultiSelect() || state.isReadOnly) {
+      return Promise.resolve([]);
+    }
+    var matched = LabelRules.evaluate(loadRules(), getMessageFacts(item));
+    if (matched.length === 0) return Promise.resolve([]);
+
+    var alreadyRun = !!(item.itemId && state.ruleAppliedItems[item.itemId]);
+    var toApply = [];
+    var toSuggest = [];
+    matched.forEach(function (rule) {
+      rule.labels.forEach(function (name) {
+        var cat = findOwnCategory(name);
+        if (!cat || isLabelApplied(cat.displayName)) return;
+        var target = rule.mode === 'apply' && !alreadyRun ? toApply : toSuggest;
+        if (target.indexOf(cat.displayName) === -1) target.push(cat.displayName);
+      });
+    });
+    state.ruleSuggestions = toSuggest.filter(function (name) { return toApply.indexOf(name) === -1; });
+    if (toApply.length === 0) return Promise.resolve([]);
+
+    if (item.itemId) state.ruleAppliedItems[item.itemId] = true;
+    var guard = itemGuard();
+    return toApply.reduce(function (chain, name) {
+      return chain.then(function () { return addLabelToItem(name); });
+    }, Promise.resolve())
+      .then(guard)
+      .then(function () { return loadItemCategories(); })
+      .then(function () { return toApply; });
+  }
+
+  function refreshRules() {
+    var guard = itemGuard();
+    runRules().then(guard).then(function (applied) {
+      scheduleRender('applied', renderAppliedLabels);
+      if (applied.length === 0) return;
+      scheduleRender('allLabels', renderAllLabels);
+      showStatus(t('status.rulesApplied', { names: applied.map(quoteName).join(t('list.separator')) }), 'success');
+    }).catch(function (err) {
+      if (isCancelled(err)) return;
+      showStatus(t('error.applyRules', { reason: err.message || err }), 'error');
+    });
+  }
+
+  function renderRuleSuggestions() {
+    renderSuggestionChips(dom.ruleSuggestions, dom.ruleSuggestionsList,
+      dom.ruleSuggestionsApplyAll, state.ruleSuggestions);
+  }
+
+  function handleApplyAllRuleSuggestions() {
+    applySuggestedLabels(state.ruleSuggestions, 'status.appliedFromRules');
+  }
+
+  // --- Learned suggestions ---
+
+  // The open email in read mode; learning and predicting need its sender
+  function getLearnableItem() {
+    var item = Office.context.mailbox.item;
+    if (!item || state.isComposeMode || isMultiSelect()) return null;
+    return item;
+  }
+
+  function learnLabelUse(displayName) {
+    var item = getLearnableItem();
+    if (!item) return;
+    var features = LabelLearner.extractFeatures(getMessageFacts(item));
+    if (features.length === 0) return;
+    updateLearnedModel(function (model) { LabelLearner.learn(model, features, displayName); });
+  }
+
+  function loadLearnedSuggestions() {
+    state.learnedSuggestions = [];
+    var item = getLearnableItem();
+    if (!item || state.isReadOnly) return;
+    var features = LabelLearner.extractFeatures(getMessageFacts(item));
+    state.learnedSuggestions = LabelLearner.predict(loadLearnedModel(), features, { limit: 5 })
+      .filter(function (s) { return findOwnCategory(s.name); })
+      .map(function (s) { return { name: findOwnCategory(s.name).displayName, confidence: s.confidence }; });
+  }
+
+  function renderLearnedSuggestions() {
+    var scores = {};
+    var names = [];
+    state.learnedSuggestions.forEach(function (s) {
+      if (state.ruleSuggestions.indexOf(s.name) !== -1) return; // Rules say it already
+      scores[s.name] = s.confidence;
+      names.push(s.name);
+    });
+    renderSuggestionChips(dom.learnedSuggestions, dom.learnedSuggestionsList, null,
+      names.slice(0, 3), scores);
+  }
+
+  function handleResetLearned() {
+    resetLearnedModel();
+    state.learnedSuggestions = [];
+    renderLearnedSuggestions();
+    showStatus(t('status.learnedReset'), 'success');
+  }
+
+  // --- Shared Mailbox Detection ---
+  //
+  // In a shared or delegated mailbox the labels are the owner's. Delegates
+  // can read the owner's category list but not change it, so they can only
+  // apply and remove existing labels, and only with permission to edit the
+  // owner's emails.
+
+  var DELEGATE_EDIT_ALL = 32;   // Office.MailboxEnums.DelegatePermissions.EditAll
+  var CATEGORY_LIST_BULK_ACTIONS = ['recolor', 'merge', 'delete'];
+
+  // Categories belong to the email, so changing them on the owner's emails
+  // takes permission to edit all of them, not just the delegate's own
+  function canEditOwnerItems(permissions) {
+    var enums = Office.MailboxEnums.DelegatePermissions;
+    var editAll = enums && enums.EditAll ? enums.EditAll : DELEGATE_EDIT_ALL;
+    return ((permissions || 0) & editAll) !== 0;
+  }
+
+  // Resolves with the item's shared properties, or null outside shared
+  // folders, where the method is missing
+  function getSharedProperties(item) {
+    return new Promise(function (resolve, reject) {
       if (!item || !item.getSharedPropertiesAsync) {
-        state.isSharedMailbox = false;
-        resolve();
+        resolve(null);
         return;
       }
       item.getSharedPropertiesAsync(function (result) {
-        if (result.status === Office.AsyncResultStatus.Succeeded && result.value) {
-          var owner = result.value.owner || '';
-          var userEmail = (Office.context.mailbox.userProfile.emailAddress || '').toLowerCase();
-          state.primaryEmail = userEmail;
-          state.isSharedMailbox = owner.toLowerCase() !== userEmail;
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          resolve(result.value || null);
         } else {
-          state.isSharedMailbox = false;
+          reject(result.error);
         }
-        resolve();
       });
     });
   }
 
+  // With several emails selected there is no mailbox.item. They come from
+  // one folder, so the first one tells whose mailbox they are in. If the
+  // shared properties cannot be read, the emails may be someone else's:
+  // only show their labels, and keep nothing under any mailbox.
+  function checkSharedMailbox() {
+    state.isSharedMailbox = false;
+    state.isReadOnly = false;
+    state.mailboxOwner = '';
+    var loaded = isMultiSelect()
+      ? withLoadedItem(state.selectedItems[0].itemId, getSharedProperties)
+      : getSharedProperties(Office.context.mailbox.item);
+    return loaded.then(applySharedProperties, function () {
+      state.isSharedMailbox = true;
+      state.isReadOnly = true;
+    });
+  }
+
+  function applySharedProperties(props) {
+    if (!props) return;
+    var owner = (props.owner || '').toLowerCase();
+    var userEmail = (Office.context.mailbox.userProfile.emailAddress || '').toLowerCase();
+    state.primaryEmail = userEmail;
+    if (owner && owner !== userEmail) {
+      state.isSharedMailbox = true;
+      state.isReadOnly = !canEditOwnerItems(props.delegatePermissions);
+      state.mailboxOwner = owner;
+    }
+  }
+
   function applySharedMailboxRestrictions() {
-    if (state.isSharedMailbox) {
+    renderMailboxName();
+    dom.bulkToggle.classList.toggle('hidden', state.isReadOnly);
+    dom.bulkBar.querySelectorAll('.bulk-action').forEach(function (btn) {
+      var changesList = CATEGORY_LIST_BULK_ACTIONS.indexOf(btn.getAttribute('data-action')) !== -1;
+      btn.classList.toggle('hidden', changesList && state.isSharedMailbox);
+    });
+    dom.healthBtn.classList.toggle('hidden', state.isSharedMailbox);
+    dom.importFileBtn.classList.toggle('hidden', state.isSharedMailbox);
+    // An unknown owner has no list to sync
+    dom.importBtn.classList.toggle('hidden', !getMailboxEmail());
+    if (state.isReadOnly && state.isBulkMode) toggleBulkMode();
+    if (state.isReadOnly) {
       dom.searchSection.classList.add('hidden');
-      showStatus('Shared mailbox \u2014 view only', 'error');
+      showStatus(t('status.sharedViewOnly'), 'error');
+    }
+  }
+
+  // Whose labels these are, under the title: a switcher once the user has
+  // more than one account
+  function renderMailboxName() {
+    // A shared mailbox without an owner is one checkSharedMailbox could not read
+    var unknown = state.isSharedMailbox && !state.mailboxOwner;
+    var email = unknown ? t('header.unknownMailbox') : getMailboxEmail();
+    var accounts = state.isSharedMailbox ? [] : loadAccounts();
+    var switchable = accounts.length > 1;
+
+    dom.mailboxName.textContent = state.isSharedMailbox
+      ? t(state.isReadOnly ? 'header.sharedViewOnly' : 'header.shared', { email: email })
+      : email;
+    dom.mailboxName.title = unknown
+      ? t('header.unknownTitle')
+      : t(state.isSharedMailbox ? 'header.sharedTitle' : 'header.ownTitle', { email: email });
+    dom.mailboxName.classList.toggle('shared', state.isSharedMailbox);
+    dom.mailboxName.classList.toggle('hidden', switchable);
+
+    dom.accountSelect.classList.toggle('hidden', !switchable);
+    dom.accountSelect.innerHTML = '';
+    if (!switchable) return;
+    accounts.forEach(function (account) {
+      var option = document.createElement('option');
+      option.value = account;
+      option.textContent = state.accountOverride && account === state.itemAccount
+        ? t('header.thisEmailAccount', { email: account })
+        : account;
+      dom.accountSelect.appendChild(option);
+    });
+    dom.accountSelect.value = email;
+  }
+
+  // --- Accounts ---
+  //
+  // Clients with several accounts list all of their categories together (see
+  // the note at the top), so each account keeps its own list. An email
+  // belongs to the known account it was sent to or from, else to the
+  // profile's. When that guess is wrong the user picks the account in the
+  // header; the choice holds until an email of another account is shown.
+  // Accounts are added in the sync dialog, which offers the addresses on
+  // the current email (getAccountCandidates).
+
+  var ACCOUNTS_KEY = 'outlook_labels_accounts';
+  var ACCOUNT_CANDIDATE_LIMIT = 8;   // Addresses from one email offered as accounts
+  var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  function getProfileEmail() {
+    return (Office.context.mailbox.userProfile.emailAddress || 'unknown').toLowerCase();
+  }
+
+  function loadStoredAccounts() {
+    var stored = LabelStore.getValue(ACCOUNTS_KEY, []);
+    return Array.isArray(stored) ? stored.filter(function (email) { return typeof email === 'string'; }) : [];
+  }
+
+  // Known accounts, the profile's first
+  function loadAccounts() {
+    var profile = getProfileEmail();
+    return [profile].concat(loadStoredAccounts().filter(function (email) { return email !== profile; }));
+  }
+
+  function rememberAccount(email) {
+    var stored = loadStoredAccounts();
+    if (stored.indexOf(email) === -1) LabelStore.setValue(ACCOUNTS_KEY, stored.concat(email));
+  }
+
+  // Drops the account from the switchers; its labels stay stored
+  function forgetAccount(email) {
+    LabelStore.setValue(ACCOUNTS_KEY, loadStoredAccounts().filter(function (other) { return other !== email; }));
+    if (state.accountOverride === email) state.accountOverride = '';
+  }
+
+  function detectItemAccount() {
+    var profile = getProfileEmail();
+    var item = Office.context.mailbox.item;
+    var accounts = loadAccounts();
+    // Drafts and multi-selections do not show their recipients
+    if (!item || accounts.length < 2 || state.isComposeMode || isMultiSelect()) return profile;
+
+    var facts = getMessageFacts(item);
+    var addresses = facts.recipients.concat(facts.from).map(function (address) {
+      return address.toLowerCase();
+    });
+    for (var i = 0; i < accounts.length; i++) {
+      if (addresses.indexOf(accounts[i]) !== -1) return accounts[i];
+    }
+    return profile;
+  }
+
+  // Addresses on the current email that are not known accounts: where its
+  // own account most likely is when detectItemAccount fell back to the
+  // profile's. The sync dialog offers them next to the known accounts.
+  function getAccountCandidates() {
+    var item = Office.context.mailbox.item;
+    if (!item || state.isComposeMode || isMultiSelect()) return [];
+    var known = loadAccounts();
+    var facts = getMessageFacts(item);
+    var candidates = [];
+    facts.recipients.concat(facts.from).forEach(function (address) {
+      var email = address.toLowerCase();
+      if (EMAIL_PATTERN.test(email) && known.indexOf(email) === -1 && candidates.indexOf(email) === -1) {
+        candidates.push(email);
+      }
+    });
+    return candidates.slice(0, ACCOUNT_CANDIDATE_LIMIT);
+  }
+
+  function updateAccount() {
+    state.account = '';
+    if (state.isSharedMailbox) return;
+    rememberAccount(getProfileEmail());
+    var detected = detectItemAccount();
+    if (detected !== state.itemAccount) {
+      state.itemAccount = detected;
+      state.accountOverride = '';
+    }
+    state.account = state.accountOverride || detected;
+  }
+
+  function switchAccount(email) {
+    state.accountOverride = email === state.itemAccount ? '' : email;
+    loadAllData();
+    showStatus(t('status.accountSwitched', { email: email }), 'success');
+  }
+
+  // A dot on the sync button while Outlook has categories not yet reviewed
+  function renderSyncBadge() {
+    var count = findUnreviewedCategories().length;
+    dom.importBtn.classList.toggle('has-new', count > 0);
+    dom.importBtn.title = count > 0 ? plural('header.syncNew', count) : t('header.sync');
+  }
+
+  // --- Data Loading ---
+
+  function loadAllData() {
+    var guard = itemGuard();
+    showView('loading');
+    loadSelectedItems()
+      .then(guard)
+      .then(function () {
+        if (!Office.context.mailbox.item && !isMultiSelect()) return 'no-item';
+        detectComposeMode();
+        // Some clients cannot set categories on a draft
+        if (!hasItemCategoriesApi()) return 'no-compose';
+        return checkSharedMailbox().then(guard).then(function () {
+          updateAccount();
+          return Promise.all([loadMasterCategories(), loadItemCategories()]);
+        });
+      })
+      .then(guard)
+      .then(function (loaded) {
+        if (loaded === 'no-item' || loaded === 'no-compose') {
+          showView(loaded);
+          return;
+        }
+        showView('main');
+        applySharedMailboxRestrictions();
+        renderSyncBadge();
+        loadLearnedSuggestions();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+
+        // Auto-open import on first use (user hasn't done an import yet)
+        if (!hasCompletedImport() && state.allApiCategories.length > 0 && !state.isReadOnly) {
+          openImportDialog();
+        }
+
+        loadThreadSuggestions().then(guard).then(function () {
+          scheduleRender('threadSuggestions', renderThreadSuggestions);
+        }).catch(function () {});
+
+        refreshRules();
+      })
+      .catch(function (error) {
+        if (isCancelled(error)) return;
+        showView('main');
+        showStatus(t('error.loadLabels', { reason: error.message || error }), 'error');
+      });
+  }
+
+  // A pinned pane stays open while the user moves between emails
+  function handleItemChanged() {
+    state.itemGeneration++;
+    cancelPendingRenders();
+    state.itemCategories = [];
+    state.selectedItems = [];
+    state.threadSuggestions = [];
+    state.ruleSuggestions = [];
+    state.learnedSuggestions = [];
+    state.pendingLabels = {};
+    state.labelErrors = {};
+    state.focusedResultIndex = -1;
+    dom.searchResults.innerHTML = '';
+    loadAllData();
+  }
+
+  // --- Rendering: Applied Labels ---
+
+  function renderAppliedLabels() {
+    var frag = document.createDocumentFragment();
+    var multi = isMultiSelect();
+
+    dom.currentLabelsTitle.textContent = multi
+      ? plural('applied.titleMulti', state.selectedItems.length)
+      : t(state.isComposeMode ? 'applied.titleDraft' : 'applied.title');
+    dom.noLabelsMsg.textContent = t(multi ? 'applied.emptyMulti'
+      : state.isComposeMode ? 'applied.emptyDraft' : 'applied.empty');
+
+    // Labels still being added show up as pending chips
+    var chips = state.itemCategories.slice();
+    Object.keys(state.pendingLabels).forEach(function (key) {
+      var mark = state.pendingLabels[key];
+      if (mark.kind === 'add' && !hasCategory(chips, mark.name)) {
+        chips.push({ displayName: mark.name, color: getCategoryColor(mark.name) });
+      }
+    });
+
+    if (chips.length === 0) {
+      dom.noLabelsMsg.classList.remove('hidden');
+    } else {
+      dom.noLabelsMsg.classList.add('hidden');
+
+      chips.forEach(function (cat) {
+        var chip = document.createElement('div');
+        chip.className = 'label-chip';
+        var hex = getColorHex(cat.color);
+        chip.style.backgroundColor = hex + '1A';
+        chip.style.borderColor = hex;
+        chip.style.color = hex;
+
+        var nameSpan = document.createElement('span');
+        nameSpan.className = 'chip-name';
+        nameSpan.title = cat.displayName;
+        nameSpan.innerHTML = renderLabelPath(cat.displayName, []);
+
+        chip.appendChild(nameSpan);
+
+        if (multi && getLabelApplyState(cat.displayName) === 'some') {
+          chip.classList.add('partial');
+          nameSpan.title = plural('applied.partial', state.selectedItems.length,
+            { name: cat.displayName, on: LabelI18n.formatNumber(countItemsWithLabel(cat.displayName)) });
+        }
+
+        var error = getLabelError(cat.displayName);
+        if (isLabelPending(cat.displayName)) {
+          chip.classList.add('pending');
+          var spinner = document.createElement('span');
+          spinner.className = 'write-spinner';
+          spinner.title = t('write.saving');
+          chip.appendChild(spinner);
+        } else if (error) {
+          chip.classList.add('failed');
+          nameSpan.title = error;
+        }
+
+        if (!state.isReadOnly && !chip.classList.contains('pending')) {
+          var removeBtn = document.createElement('button');
+          removeBtn.className = 'chip-remove';
+          removeBtn.textContent = '\u00D7';
+          removeBtn.title = t('applied.remove', { name: cat.displayName });
+          removeBtn.addEventListener('click', function () {
+            handleRemoveLabel(cat.displayName);
+          });
+          chip.appendChild(removeBtn);
+        }
+
+        frag.appendChild(chip);
+      });
+    }
+
+    dom.appliedList.innerHTML = '';
+    dom.appliedList.appendChild(frag);
+    renderThreadSuggestions();
+    renderRuleSuggestions();
+    renderLearnedSuggestions();
+  }
+
+  // Which target items carry the label, by position in the selection
+  function getItemsWithLabel(displayName) {
+    var hadLabel = [];
+    forEachTargetItemSync(function (entry, index) {
+      hadLabel[index] = hasCategory(entry.categories, displayName);
+    });
+    return hadLabel;
+  }
+
+  function handleRemoveLabel(displayName) {
+    if (isLabelPending(displayName)) return;
+    var guard = itemGuard();
+    var hadLabel = getItemsWithLabel(displayName);
+    removeLabelFromItem(displayName)
+      .then(guard)
+      .then(function () { return loadItemCategories(); })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('search', renderSearchResults);
+        showStatus(t('status.removed', { name: displayName }), 'success', UNDO_STATUS_DURATION, {
+          label: t('status.undo'),
+          run: function () { undoLabelRemoval(displayName, hadLabel, guard); }
+        });
+      })
+      .catch(function (err) {
+        if (isCancelled(err)) return;
+        showStatus(err.message || String(err), 'error');
+      });
+  }
+
+  // Put the label back on the items it was removed from
+  function undoLabelRemoval(displayName, hadLabel, guard) {
+    if (!guard.isCurrent()) {
+      showStatus(t('error.undoItemGone'), 'error');
+      return;
+    }
+    queueLabelWrite(displayName, 'addAsync', function (index) { return hadLabel[index]; })
+      .then(guard)
+      .then(function () { return loadItemCategories(); })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('search', renderSearchResults);
+        showStatus(t('status.putBack', { name: displayName }), 'success');
+      })
+      .catch(function (err) {
+        if (isCancelled(err)) return;
+        showStatus(err.message || String(err), 'error');
+      });
+  }
+
+  // --- Rendering: Search Results ---
+
+  // Highlight text[from, to) using match ranges relative to the whole text
+  function highlightMatch(text, matchRanges, from, to) {
+    if (from === undefined) from = 0;
+    if (to === undefined) to = text.length;
+    if (!matchRanges || matchRanges.length === 0) return escapeHtml(text.substring(from, to));
+
+    var merged = FuzzySearch.mergeRanges(matchRanges);
+    var result = '';
+    var lastIdx = from;
+
+    for (var i = 0; i < merged.length; i++) {
+      var start = Math.max(merged[i][0], from);
+      var end = Math.min(merged[i][1], to);
+      if (start >= end) continue;
+      result += escapeHtml(text.substring(lastIdx, start));
+      result += '<mark>' + escapeHtml(text.substring(start, end)) + '</mark>';
+      lastIdx = end;
+    }
+    result += escapeHtml(text.substring(lastIdx, to));
+    return result;
+  }
+
+  // Full label name with the parent path dimmed: "<dim>Clients/Acme/</dim>Invoices"
+  function renderLabelPath(text, matchRanges) {
+    var split = text.lastIndexOf(LABEL_PATH_SEPARATOR) + 1;
+    if (split === 0) return highlightMatch(text, matchRanges);
+    return '<span class="label-parent-path">' + highlightMatch(text, matchRanges, 0, split) + '</span>' +
+      highlightMatch(text, matchRanges, split, text.length);
+  }
+
+  var SEARCH_RESULT_LIMIT = 50;  // A short query can match thousands of labels
+
+  // --- Search operators ---
+  //
+  // Filters typed into the search box next to the free text:
+  //   color:red, color:preset4   label color, by name or preset
+  //   is:applied, is:unapplied   on the current email(s) or not
+  //   is:orphan                  known label that Outlook no longer has
+  //   -term                      leave out labels containing the term
+  //   clients/                   only labels nested under Clients
+  // Anything else is free text for FuzzySearch.
+
+  var SEARCH_STATES = ['applied', 'unapplied', 'orphan'];
+
+  // Preset keys for a color:<value> operand ("red", "dark-red", "preset4")
+  function findColorPresets(value) {
+    var wanted = value.toLowerCase().replace(/[\s\-_]/g, '');
+    var squash = function (name) { return name.toLowerCase().replace(/\s/g, ''); };
+    return Object.keys(CATEGORY_COLORS).filter(function (preset) {
+      return preset.toLowerCase() === wanted || squash(CATEGORY_COLORS[preset].name) === wanted ||
+        squash(getColorName(preset)) === wanted;
+    });
+  }
+
+  /**
+   * Split a query into free text and filters:
+   * { text, filters: [{ kind: 'color' | 'is' | 'exclude' | 'scope', value, token }] }
+   * `token` is the text the filter came from, so its chip can remove it.
+   */
+  function parseSearchQuery(query) {
+    var words = [];
+    var filters = [];
+    query.trim().split(/\s+/).forEach(function (token) {
+      if (!token) return;
+      var lower = token.toLowerCase();
+      var colon = lower.indexOf(':');
+      var key = colon > 0 ? lower.substring(0, colon) : '';
+      var operand = lower.substring(colon + 1);
+
+      if (key === 'color' && findColorPresets(operand).length > 0) {
+        filters.push({ kind: 'color', value: findColorPresets(operand), token: token });
+      } else if (key === 'is' && SEARCH_STATES.indexOf(operand) !== -1) {
+        filters.push({ kind: 'is', value: operand, token: token });
+      } else if (token.length > 1 && token.charAt(0) === '-') {
+        filters.push({ kind: 'exclude', value: token.substring(1), token: token });
+      } else if (token.length > 1 && token.charAt(token.length - 1) === LABEL_PATH_SEPARATOR &&
+          normalizeLabelPath(token)) {
+        filters.push({ kind: 'scope', value: normalizeLabelPath(token), token: token });
+      } else {
+        words.push(token);
+      }
+    });
+    return { text: words.join(' '), filters: filters };
+  }
+
+  function isOrphanLabel(displayName) {
+    return !!state.orphanLabels[displayName.toLowerCase()];
+  }
+
+  // All filters must hold; several color: operators mean any of those colors
+  function matchesSearchFilters(cat, filters) {
+    var name = cat.displayName;
+    var colors = [];
+    for (var i = 0; i < filters.length; i++) {
+      var filter = filters[i];
+      if (filter.kind === 'color') {
+        colors = colors.concat(filter.value);
+      } else if (filter.kind === 'is') {
+        var applyState = getLabelApplyState(name);
+        if (filter.value === 'applied' && applyState === 'none') return false;
+        if (filter.value === 'unapplied' && applyState === 'all') return false;
+        if (filter.value === 'orphan' && !isOrphanLabel(name)) return false;
+      } else if (filter.kind === 'exclude') {
+        if (FuzzySearch.fold(name).indexOf(FuzzySearch.fold(filter.value)) !== -1) return false;
+      } else if (filter.kind === 'scope') {
+        // Both sides tidied, so "Clients/" also finds "Clients /Acme"
+        var path = normalizeLabelPath(name).toLowerCase();
+        if (path.indexOf(filter.value.toLowerCase() + LABEL_PATH_SEPARATOR) !== 0) return false;
+      }
+    }
+    return colors.length === 0 || colors.indexOf(cat.color) !== -1;
+  }
+
+  function describeSearchFilter(filter) {
+    if (filter.kind === 'color') {
+      return t('search.filterColor', { colors: filter.value.map(getColorName).join(t('list.separator')) });
+    }
+    if (filter.kind === 'is') return t('search.state.' + filter.value);
+    if (filter.kind === 'exclude') return t('search.filterExclude', { term: filter.value });
+    return t('search.filterScope', { path: filter.value + LABEL_PATH_SEPARATOR });
+  }
+
+  // Take one operator out of the search box and search again
+  function removeSearchFilter(filter) {
+    var tokens = dom.searchInput.value.trim().split(/\s+/);
+    var idx = tokens.indexOf(filter.token);
+    if (idx !== -1) tokens.splice(idx, 1);
+    dom.searchInput.value = tokens.join(' ');
+    state.searchQuery = dom.searchInput.value;
+    performSearch();
+    dom.searchInput.focus();
+  }
+
+  function buildSearchFilterChips() {
+    var bar = document.createElement('div');
+    bar.className = 'search-filters';
+    state.searchFilters.forEach(function (filter) {
+      var chip = document.createElement('span');
+      chip.className = 'label-chip filter-chip';
+
+      var nameSpan = document.createElement('span');
+      nameSpan.className = 'chip-name';
+      nameSpan.textContent = describeSearchFilter(filter);
+
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'chip-remove';
+      removeBtn.textContent = '\u00D7';
+      removeBtn.title = t('search.removeFilter');
+      removeBtn.addEventListener('click', function (e) {
+        // The chip is gone after the re-render; keep the dropdown open
+        e.stopPropagation();
+        removeSearchFilter(filter);
+      });
+
+      chip.appendChild(nameSpan);
+      chip.appendChild(removeBtn);
+      bar.appendChild(chip);
+    });
+    return bar;
+  }
+
+  // Offer "Create" only for plain text that is not a label yet
+  function showsCreateRow() {
+    var query = state.searchQuery.trim();
+    return !!query && state.searchFilters.length === 0 && !state.isSharedMailbox &&
+      !FuzzySearch.hasExactMatch(query, state.masterCategories, state.labelAliases);
+  }
+
+  function performSearch() {
+    var query = state.searchQuery;
+    var parsed = parseSearchQuery(query);
+    state.searchFilters = parsed.filters;
+    var keep = parsed.filters.length > 0
+      ? function (cat) { return matchesSearchFilters(cat, parsed.filters); }
+      : null;
+
+    if (parsed.text) {
+      state.searchResults = FuzzySearch.search(parsed.text, state.searchIndex, {
+        usage: getUsageWeights(),
+        limit: SEARCH_RESULT_LIMIT,
+        filter: keep
+      });
+    } else if (keep) {
+      // Only operators: every label that passes, in tree order
+      state.searchResults = state.masterCategories.filter(keep).slice(0, SEARCH_RESULT_LIMIT)
+        .map(function (cat) {
+          return { category: cat, score: 0, matchType: 'filter', matchRanges: [] };
+        });
+    } else {
+      state.searchResults = state.isRecentOpen ? getRecentResults() : [];
+    }
+    state.focusedResultIndex = -1;
+    renderSearchResults();
+  }
+
+  // Recent labels in the shape of search results, for the empty search box
+  function getRecentResults() {
+    return getRecentLabels().map(function (cat) {
+      return { category: cat, score: 0, matchType: 'recent', matchRanges: [] };
+    });
+  }
+
+  function buildSearchResultRow(result, index) {
+    var row = document.createElement('div');
+    row.className = 'search-result-row';
+    row.setAttribute('data-index', String(index));
+
+    var applyState = getLabelApplyState(result.category.displayName);
+    var isApplied = applyState === 'all';
+    if (isApplied) row.classList.add('already-applied');
+    if (index === state.focusedResultIndex) row.classList.add('focused');
+
+    var colorDot = document.createElement('span');
+    colorDot.className = 'color-dot';
+    colorDot.style.backgroundColor = getColorHex(result.category.color);
+
+    var nameSpan = document.createElement('span');
+    nameSpan.className = 'result-name';
+    var aliasSpan = null;
+    if (result.alias) {
+      // Matched on an alias: highlight that instead of the name
+      nameSpan.innerHTML = renderLabelPath(result.category.displayName, []);
+      aliasSpan = document.createElement('span');
+      aliasSpan.className = 'result-alias';
+      aliasSpan.title = t('search.alias');
+      aliasSpan.innerHTML = highlightMatch(result.alias, result.matchRanges);
+    } else {
+      nameSpan.innerHTML = renderLabelPath(result.category.displayName, result.matchRanges);
+    }
+
+    var checkSpan = document.createElement('span');
+    checkSpan.className = 'result-check';
+    if (!renderLabelWriteState(row, checkSpan, result.category.displayName)) {
+      renderApplyStateCheck(checkSpan, applyState);
+    }
+
+    row.appendChild(colorDot);
+    row.appendChild(nameSpan);
+    if (aliasSpan) row.appendChild(aliasSpan);
+    row.appendChild(checkSpan);
+
+    row.addEventListener('click', function () {
+      handleToggleLabel(result.category.displayName, isApplied);
+    });
+    return row;
+  }
+
+  function buildRecentHeader() {
+    var header = document.createElement('div');
+    header.className = 'search-results-header';
+
+    var title = document.createElement('span');
+    title.textContent = t('search.recent');
+
+    var clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'link-btn';
+    clearBtn.textContent = t('search.clearHistory');
+    clearBtn.addEventListener('click', function () {
+      clearUsageHistory();
+      state.searchResults = [];
+      state.focusedResultIndex = -1;
+      renderSearchResults();
+      showStatus(t('status.historyCleared'), 'success');
+    });
+
+    header.appendChild(title);
+    header.appendChild(clearBtn);
+    return header;
+  }
+
+  function renderSearchResults() {
+    var frag = document.createDocumentFragment();
+
+    var query = state.searchQuery.trim();
+    if (!query && state.isRecentOpen && state.searchResults.length > 0) {
+      frag.appendChild(buildRecentHeader());
+      state.searchResults.forEach(function (result, index) {
+        frag.appendChild(buildSearchResultRow(result, index));
+      });
+    } else if (query) {
+      var results = state.searchResults;
+      if (state.searchFilters.length > 0) frag.appendChild(buildSearchFilterChips());
+
+      results.forEach(function (result, index) {
+        frag.appendChild(buildSearchResultRow(result, index));
+      });
+
+      // "Create new label" option
+      if (showsCreateRow()) {
+        var createRow = document.createElement('div');
+        createRow.className = 'search-result-row create-new';
+        var totalIndex = results.length;
+        createRow.setAttribute('data-index', String(totalIndex));
+        if (totalIndex === state.focusedResultIndex) createRow.classList.add('focused');
+
+        var plusIcon = document.createElement('span');
+        plusIcon.className = 'create-icon';
+        plusIcon.textContent = '+';
+
+        var createText = document.createElement('span');
+        createText.className = 'create-text';
+        createText.textContent = t('search.create', { name: query });
+
+        createRow.appendChild(plusIcon);
+        createRow.appendChild(createText);
+
+        createRow.addEventListener('click', function () {
+          openCreateDialog(query);
+        });
+
+        frag.appendChild(createRow);
+      }
     }
+
+    dom.searchResults.innerHTML = '';
+    dom.searchResults.appendChild(frag);
   }
 
-  // --- Data Loading ---
+  function handleToggleLabel(displayName, isCurrentlyApplied) {
+    // A second click on a label still being written would undo or repeat it
+    if (isLabelPending(displayName)) return;
+    var guard = itemGuard();
+    var action = isCurrentlyApplied
+      ? removeLabelFromItem(displayName)
+      : addLabelToItem(displayName);
+
+    action
+      .then(function () {
+        if (!isCurrentlyApplied) {
+          recordLabelUse(displayName);
+          learnLabelUse(displayName);
+        }
+      })
+      .then(guard)
+      .then(function () { return loadItemCategories(); })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('search', renderSearchResults);
+      })
+      .catch(function (err) {
+        if (isCancelled(err)) return;
+        showStatus(err.message || String(err), 'error');
+      });
+  }
+
+  function countItemsWithLabel(displayName) {
+    return state.selectedItems.filter(function (entry) {
+      return hasCategory(entry.categories, displayName);
+    }).length;
+  }
+
+  // 'all' | 'some' | 'none' of the target items carry the label
+  function getLabelApplyState(displayName) {
+    if (!isMultiSelect()) {
+      return hasCategory(state.itemCategories, displayName) ? 'all' : 'none';
+    }
+    var count = countItemsWithLabel(displayName);
+    if (count === 0) return 'none';
+    return count === state.selectedItems.length ? 'all' : 'some';
+  }
+
+  // Applied to every target item; a partially applied label counts as not
+  // applied, so toggling it applies it to the rest
+  function isLabelApplied(displayName) {
+    return getLabelApplyState(displayName) === 'all';
+  }
+
+  // A spinner while a write of the label is queued or running, "!" with the
+  // reason once one failed. Returns false when neither applies.
+  function renderLabelWriteState(row, checkEl, displayName) {
+    var pending = isLabelPending(displayName);
+    var error = pending ? '' : getLabelError(displayName);
+    row.classList.toggle('pending', pending);
+    row.classList.toggle('failed', !!error);
+    if (pending) {
+      checkEl.textContent = '';
+      checkEl.title = t('write.saving');
+      checkEl.classList.add('write-spinner');
+    } else if (error) {
+      checkEl.textContent = '!';
+      checkEl.title = error;
+    }
+    return pending || !!error;
+  }
+
+  function renderApplyStateCheck(el, applyState) {
+    el.classList.toggle('partial', applyState === 'some');
+    if (applyState === 'all') {
+      el.textContent = '\u2713';
+      el.title = '';
+    } else if (applyState === 'some') {
+      el.textContent = '\u2212';
+      el.title = t('write.onSome');
+    } else {
+      el.textContent = '';
+      el.title = '';
+    }
+  }
+
+  // --- Rendering: All Labels ---
+
+  function renderAllLabels() {
+    var tree = buildLabelTree(state.masterCategories);
+
+    // Visible rows in tree order, skipping children of collapsed nodes
+    var rows = [];
+    function addNode(node, depth) {
+      rows.push({ node: node, depth: depth });
+      if (node.children.length > 0 && !state.collapsedLabelPaths[node.path.toLowerCase()]) {
+        node.children.forEach(function (child) { addNode(child, depth + 1); });
+      }
+    }
+    tree.children.forEach(function (node) { addNode(node, 0); });
+    _visibleLabelNames = [];
+    rows.forEach(function (row) {
+      if (row.node.category) _visibleLabelNames.push(row.node.category.displayName);
+    });
+    if (state.isBulkMode) updateBulkBar();
+
+    if (rows.length >= VIRTUAL_MIN_ROWS) {
+      renderVirtualList(dom.allLabelsList, rows.length, ALL_LABEL_ROW_HEIGHT, function (index) {
+        return buildAllLabelRow(rows[index].node, rows[index].depth);
+      });
+    } else {
+      var frag = document.createDocumentFragment();
+      rows.forEach(function (row) { frag.appendChild(buildAllLabelRow(row.node, row.depth)); });
+      clearVirtualList(dom.allLabelsList);
+      dom.allLabelsList.appendChild(frag);
+    }
+    if (state.isAllLabelsExpanded) {
+      dom.allLabelsList.style.maxHeight = getAllLabelsHeight() + 'px';
+    }
+  }
+
+  // Expanded height of the All labels list; a long list scrolls inside a
+  // viewport of its own
+  function getAllLabelsHeight() {
+    var height = dom.allLabelsList.scrollHeight;
+    if (dom.allLabelsList.classList.contains('virtual-list')) {
+      return Math.min(height, VIRTUAL_VIEWPORT_HEIGHT);
+    }
+    return height;
+  }
+
+  function buildAllLabelRow(node, depth) {
+    var cat = node.category;
+    var hasChildren = node.children.length > 0;
+    var isCollapsed = hasChildren && !!state.collapsedLabelPaths[node.path.toLowerCase()];
+
+    var row = document.createElement('div');
+    row.className = 'all-label-row';
+    row.setAttribute('data-path', node.path);
+    row.style.paddingInlineStart = (8 + depth * 16) + 'px'; // Indents from the right in RTL
+    if (!cat) row.classList.add('placeholder');
+
+    if (state.isBulkMode && cat) {
+      var selected = isBulkSelected(cat.displayName);
+      var check = document.createElement('input');
+      check.type = 'checkbox';
+      check.className = 'bulk-check';
+      check.checked = selected;
+      check.tabIndex = -1;
+      row.classList.toggle('selected', selected);
+      row.appendChild(check);
+    }
+
+    var toggle = document.createElement('span');
+    toggle.className = 'tree-toggle';
+    if (hasChildren) {
+      toggle.textContent = '\u25B6';
+      toggle.title = t(isCollapsed ? 'allLabels.expand' : 'allLabels.collapse');
+      if (!isCollapsed) toggle.classList.add('expanded');
+      toggle.addEventListener('click', function (e) {
+        e.stopPropagation();
+        toggleLabelNode(node.path);
+      });
+    }
+    row.appendChild(toggle);
+
+    var colorDot = document.createElement('span');
+    colorDot.className = 'color-dot';
+    if (cat) {
+      colorDot.style.backgroundColor = getColorHex(cat.color);
+      if (!state.isSharedMailbox && !state.isBulkMode) {
+        colorDot.classList.add('editable');
+        colorDot.title = t('allLabels.edit');
+        colorDot.addEventListener('click', function (e) {
+          e.stopPropagation();
+          openEditDialog(cat.displayName);
+        });
+      }
+    }
+
+    var nameSpan = document.createElement('span');
+    nameSpan.className = 'all-label-name';
+    nameSpan.textContent = node.name;
+    nameSpan.title = cat ? cat.displayName : node.path;
+
+    row.appendChild(colorDot);
+    row.appendChild(nameSpan);
+
+    if (hasChildren) {
+      var countSpan = document.createElement('span');
+      countSpan.className = 'all-label-count';
+      countSpan.textContent = LabelI18n.formatNumber(node.count);
+      countSpan.title = plural('allLabels.nested', node.count);
+      row.appendChild(countSpan);
+    }
+
+    var checkSpan = document.createElement('span');
+    checkSpan.className = 'all-label-check';
+    if (!cat || !renderLabelWriteState(row, checkSpan, cat.displayName)) {
+      renderApplyStateCheck(checkSpan, cat ? getLabelApplyState(cat.displayName) : 'none');
+    }
+    row.appendChild(checkSpan);
+
+    if (!cat) {
+      // Parent that only exists as a prefix of other labels
+      row.addEventListener('click', function () { toggleLabelNode(node.path); });
+    } else if (state.isBulkMode) {
+      row.addEventListener('click', function (e) {
+        e.preventDefault(); // The checkbox follows the selection on the next render
+        handleBulkRowClick(cat.displayName, e.shiftKey);
+      });
+    } else if (!state.isReadOnly) {
+      // Delegates apply the owner's labels but cannot change the list
+      if (!state.isSharedMailbox) {
+        var renameBtn = document.createElement('button');
+        renameBtn.className = 'all-label-rename';
+        renameBtn.textContent = '\u270E';
+        renameBtn.title = t('allLabels.rename');
+        renameBtn.addEventListener('click', function (e) {
+          e.stopPropagation();
+          openRenameDialog(cat.displayName);
+        });
+        row.appendChild(renameBtn);
+
+        var mergeBtn = document.createElement('button');
+        mergeBtn.className = 'all-label-merge';
+        mergeBtn.textContent = forwardArrow();
+        mergeBtn.title = t('allLabels.merge');
+        mergeBtn.addEventListener('click', function (e) {
+          e.stopPropagation();
+          openMergeDialog([cat.displayName]);
+        });
+        row.appendChild(mergeBtn);
+
+        var deleteBtn = document.createElement('button');
+        deleteBtn.className = 'all-label-delete';
+        deleteBtn.textContent = '\u00D7';
+        deleteBtn.title = t('allLabels.delete');
+        deleteBtn.addEventListener('click', function (e) {
+          e.stopPropagation();
+          confirmDeleteLabel(cat.displayName);
+        });
+        row.appendChild(deleteBtn);
+      }
+
+      row.addEventListener('click', function () {
+        var applied = isLabelApplied(cat.displayName);
+        handleToggleLabel(cat.displayName, applied);
+      });
+    }
+
+    return row;
+  }
+
+  function toggleLabelNode(path) {
+    var key = path.toLowerCase();
+    if (state.collapsedLabelPaths[key]) {
+      delete state.collapsedLabelPaths[key];
+    } else {
+      state.collapsedLabelPaths[key] = true;
+    }
+    scheduleRender('allLabels', renderAllLabels);
+  }
+
+  function updateLabelCount() {
+    dom.labelCount.textContent = LabelI18n.formatNumber(state.masterCategories.length);
+  }
+
+  // --- Bulk actions in All labels ---
+  //
+  // Selection mode puts a checkbox on every label row. The selection is kept
+  // by name, so it survives re-renders and the virtual list; shift-click
+  // ticks the range from the last clicked row, over the rows in view.
+
+  // Message keys of each action's dialog title, button and outcome
+  var BULK_ACTIONS = {
+    apply:   { title: 'bulk.applyTitle',   button: 'bulk.apply',   done: 'bulk.applied' },
+    remove:  { title: 'bulk.removeTitle',  button: 'bulk.remove',  done: 'bulk.removed' },
+    recolor: { title: 'bulk.recolorTitle', button: 'bulk.recolor', done: 'bulk.recolored' },
+    forget:  { title: 'bulk.forgetTitle',  button: 'bulk.forget',  done: 'bulk.forgot' },
+    delete:  { title: 'bulk.deleteTitle',  button: 'bulk.delete',  done: 'bulk.deleted' }
+  };
+  var BULK_PREVIEW_NAMES = 5;
+
+  var _visibleLabelNames = [];  // Labels in All labels, in row order (set by renderAllLabels)
+
+  function isBulkSelected(displayName) {
+    return !!state.bulkSelected[displayName.toLowerCase()];
+  }
+
+  // Selected labels that still exist, in row order
+  function getBulkSelection() {
+    return state.masterCategories
+      .filter(function (cat) { return isBulkSelected(cat.displayName); })
+      .map(function (cat) { return cat.displayName; })
+      .sort(compareLabelPaths);
+  }
+
+  function toggleBulkMode() {
+    state.isBulkMode = !state.isBulkMode;
+    state.bulkSelected = {};
+    state.bulkAnchor = null;
+    dom.bulkToggle.textContent = t(state.isBulkMode ? 'bulk.done' : 'bulk.select');
+    dom.bulkBar.classList.toggle('hidden', !state.isBulkMode);
+    if (state.isBulkMode && !state.isAllLabelsExpanded) toggleAllLabels();
+    updateBulkBar();
+    scheduleRender('allLabels', renderAllLabels);
+  }
+
+  function handleBulkRowClick(displayName, extendRange) {
+    var key = displayName.toLowerCase();
+    var names = [displayName];
+    var select = !state.bulkSelected[key];
+
+    if (extendRange && state.bulkAnchor) {
+      var keys = _visibleLabelNames.map(function (n) { return n.toLowerCase(); });
+      var from = keys.indexOf(state.bulkAnchor);
+      var to = keys.indexOf(key);
+      if (from !== -1 && to !== -1) {
+        names = _visibleLabelNames.slice(Math.min(from, to), Math.max(from, to) + 1);
+        select = !!state.bulkSelected[state.bulkAnchor]; // The range follows the anchor row
+      }
+    }
+
+    names.forEach(function (name) {
+      if (select) state.bulkSelected[name.toLowerCase()] = true;
+      else delete state.bulkSelected[name.toLowerCase()];
+    });
+    state.bulkAnchor = key;
+    updateBulkBar();
+    scheduleRender('allLabels', renderAllLabels);
+  }
+
+  // Tick every label in view, or untick them all when they already are
+  function handleBulkSelectAllToggle() {
+    var allSelected = _visibleLabelNames.length > 0 && _visibleLabelNames.every(isBulkSelected);
+    _visibleLabelNames.forEach(function (name) {
+      if (allSelected) delete state.bulkSelected[name.toLowerCase()];
+      else state.bulkSelected[name.toLowerCase()] = true;
+    });
+    updateBulkBar();
+    scheduleRender('allLabels', renderAllLabels);
+  }
+
+  function updateBulkBar() {
+    var count = getBulkSelection().length;
+    var inView = _visibleLabelNames.filter(isBulkSelected).length;
+    dom.bulkCount.textContent = plural('bulk.selected', count);
+    dom.bulkSelectAll.checked = inView > 0 && inView === _visibleLabelNames.length;
+    dom.bulkSelectAll.indeterminate = inView > 0 && inView < _visibleLabelNames.length;
+    dom.bulkBar.querySelectorAll('.bulk-action').forEach(function (btn) {
+      btn.disabled = count === 0;
+    });
+  }
+
+  // “A”, “B”, “C” and 4 more
+  function quoteNames(names, max) {
+    var shown = names.slice(0, max).map(quoteName).join(t('list.separator'));
+    return names.length > max ? plural('list.more', names.length - max, { items: shown }) : shown;
+  }
+
+  function describeBulkAction(action, names) {
+    var params = {
+      labels: plural('bulk.labels', names.length),
+      names: quoteNames(names, BULK_PREVIEW_NAMES),
+      target: isMultiSelect() ? plural('bulk.emails', state.selectedItems.length) : t('bulk.thisEmail')
+    };
+    return t('bulk.confirm.' + action, params);
+  }
+
+  function openBulkDialog(action) {
+    var names = getBulkSelection();
+    if (names.length === 0) return;
+    var info = BULK_ACTIONS[action];
+    state.pendingBulk = { action: action, names: names, results: null };
+
+    dom.bulkTitle.textContent = t(info.title);
+    dom.bulkMsg.textContent = describeBulkAction(action, names);
+    dom.bulkColorPicker.classList.toggle('hidden', action !== 'recolor');
+    if (action === 'recolor') renderColorPicker(dom.bulkColorPicker, getCategoryColor(names[0]));
+    dom.bulkReport.classList.add('hidden');
+    dom.bulkReport.innerHTML = '';
+    dom.bulkCancel.classList.remove('hidden');
+    dom.bulkConfirm.disabled = false;
+    dom.bulkConfirm.textContent = t(info.button);
+    dom.bulkConfirm.className = action === 'delete' ? 'btn-danger' : 'btn-primary';
+    dom.bulkOverlay.classList.remove('hidden');
+  }
+
+  function closeBulkDialog() {
+    dom.bulkOverlay.classList.add('hidden');
+    state.pendingBulk = null;
+  }
+
+  // One label's part of a bulk action; resolves with a note when there was
+  // nothing to do
+  function runBulkStep(action, name, color) {
+    var applyState = getLabelApplyState(name);
+    if (action === 'apply') {
+      if (applyState === 'all') return Promise.resolve(t('bulk.note.alreadyApplied'));
+      return addLabelToItem(name).then(function () {
+        recordLabelUse(name);
+        learnLabelUse(name);
+      });
+    }
+    if (action === 'remove') {
+      if (applyState === 'none') return Promise.resolve(t('bulk.note.notApplied'));
+      return removeLabelFromItem(name);
+    }
+    if (action === 'recolor') {
+      var oldColor = getCategoryColor(name);
+      if (oldColor === color) return Promise.resolve(t('bulk.note.sameColor'));
+      return recolorMasterCategory(name, oldColor, color);
+    }
+    if (action === 'forget') {
+      removeOwnCategoryName(name);
+      return Promise.resolve();
+    }
+    return deleteMasterCategory(name).then(function () {
+      forgetLabelUsage(name);
+      updateLearnedModel(function (model) { LabelLearner.forgetLabel(model, name); });
+    });
+  }
+
+  function handleBulkConfirm() {
+    var bulk = state.pendingBulk;
+    if (!bulk) return;
+    if (bulk.results) {
+      closeBulkDialog(); // The report is showing
+      return;
+    }
+
+    var action = bulk.action;
+    var color = action === 'recolor'
+      ? Office.MailboxEnums.CategoryColor[getSelectedPreset(dom.bulkColorPicker)]
+      : null;
+    var guard = itemGuard();
+    // Recoloring can drop labels from items; remember where they were
+    var hadLabel = {};
+    if (action === 'recolor') {
+      bulk.names.forEach(function (name) { hadLabel[name] = getItemsWithLabel(name); });
+    }
+    // What Undo needs to bring deleted labels back
+    var snapshots = {};
+    if (action === 'delete') {
+      bulk.names.forEach(function (name) { snapshots[name] = snapshotLabel(name); });
+    }
+    var results = [];
+
+    dom.bulkColorPicker.classList.add('hidden');
+    dom.bulkCancel.classList.add('hidden');
+    dom.bulkConfirm.disabled = true;
+    dom.bulkConfirm.textContent = t('bulk.working');
+
+    bulk.names.reduce(function (chain, name) {
+      return chain.then(function () {
+        return runBulkStep(action, name, color).then(function (note) {
+          results.push({ name: name, ok: true, note: note || '' });
+        }, function (err) {
+          var reason = isCancelled(err) ? t('bulk.note.itemGone')
+            : (err && (err.reason || err.message)) || String(err || t('error.unknown'));
+          results.push({ name: name, ok: false, note: reason });
+        }).then(function () {
+          dom.bulkMsg.textContent = t('bulk.progress', {
+            title: t(BULK_ACTIONS[action].title),
+            done: LabelI18n.formatNumber(results.length),
+            total: LabelI18n.formatNumber(bulk.names.length)
+          });
+        });
+      });
+    }, Promise.resolve())
+      .then(function () {
+        if (action === 'apply' || action === 'remove') return;
+        return fetchAllApiCategories().then(function () {
+          buildMasterCategoriesFromOwn();
+          // Let Outlook's native renderer redraw the changed badges
+          // before querying item categories (prevents OlkUIKit image crash)
+          return new Promise(function (r) { setTimeout(r, 200); });
+        });
+      })
+      .then(function () {
+        if (guard.isCurrent()) return loadItemCategories();
+      })
+      .then(function () {
+        if (action !== 'recolor' || !guard.isCurrent()) return;
+        return reapplyDroppedLabels(hadLabel, results);
+      })
+      .catch(function () {}) // Per-label results are already recorded
+      .then(function () {
+        results.forEach(function (result) {
+          if (result.ok && (action === 'delete' || action === 'forget')) {
+            delete state.bulkSelected[result.name.toLowerCase()];
+          }
+        });
+        buildMasterCategoriesFromOwn();
+        updateBulkBar();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        var deleted = results.filter(function (result) { return result.ok && snapshots[result.name]; })
+          .map(function (result) { return snapshots[result.name]; });
+        var undo = deleted.length === 0 ? null : {
+          label: t('status.undo'),
+          run: function () {
+            closeBulkDialog();
+            undoDeleteLabels(deleted, guard);
+          }
+        };
+        showBulkReport(bulk, results, undo);
+      });
+  }
+
+  // Some clients drop a label from items while a recolor briefly removes the
+  // master category; put each one back where it was
+  function reapplyDroppedLabels(hadLabel, results) {
+    return results.reduce(function (chain, result) {
+      var had = hadLabel[result.name];
+      var lost = false;
+      forEachTargetItemSync(function (entry, index) {
+        if (had[index] && !hasCategory(entry.categories, result.name)) lost = true;
+      });
+      if (!result.ok || !lost) return chain;
+      return chain.then(function () {
+        return queueLabelWrite(result.name, 'addAsync', function (index) { return had[index]; })
+          .catch(function (err) {
+            result.ok = false;
+            result.note = t('bulk.note.recoloredBut', { reason: err.reason || err.message });
+          });
+      });
+    }, Promise.resolve()).then(function () { return loadItemCategories(); });
+  }
+
+  // `undo`, when given, is offered in the status bar next to the report
+  function showBulkReport(bulk, results, undo) {
+    var info = BULK_ACTIONS[bulk.action];
+    var failed = results.filter(function (r) { return !r.ok; }).length;
+    var summary = plural(info.done, results.length, { done: LabelI18n.formatNumber(results.length - failed) });
+
+    // Closed while running: the status bar carries the outcome instead
+    if (state.pendingBulk !== bulk) {
+      showStatus(summary, failed > 0 ? 'error' : 'success',
+        undo ? UNDO_STATUS_DURATION : (failed > 0 ? 8000 : 3000), undo);
+      return;
+    }
+    if (undo) showStatus(summary, failed > 0 ? 'error' : 'success', UNDO_STATUS_DURATION, undo);
+
+    bulk.results = results;
+    var frag = document.createDocumentFragment();
+    results.forEach(function (result) {
+      var row = document.createElement('div');
+      row.className = 'bulk-report-row ' + (result.ok ? 'ok' : 'failed');
+      var mark = document.createElement('span');
+      mark.className = 'bulk-report-mark';
+      mark.textContent = result.ok ? '\u2713' : '\u2717';
+      var name = document.createElement('span');
+      name.className = 'bulk-report-name';
+      name.textContent = result.name;
+      name.title = result.name;
+      row.appendChild(mark);
+      row.appendChild(name);
+      if (result.note) {
+        var note = document.createElement('span');
+        note.className = 'bulk-report-note';
+        note.textContent = result.note;
+        row.appendChild(note);
+      }
+      frag.appendChild(row);
+    });
+
+    dom.bulkMsg.textContent = failed > 0 ? plural('bulk.failed', failed, { summary: summary }) : summary;
+    dom.bulkReport.innerHTML = '';
+    dom.bulkReport.appendChild(frag);
+    dom.bulkReport.classList.remove('hidden');
+    dom.bulkConfirm.disabled = false;
+    dom.bulkConfirm.textContent = t('dialog.close');
+    dom.bulkConfirm.className = 'btn-primary';
+  }
+
+  // --- Label names ---
+  //
+  // Tidying and checking a typed name before it becomes an Outlook
+  // category, and spotting names that look like an existing one.
+
+  var MAX_LABEL_NAME_LENGTH = 255;    // Longest category name Outlook accepts
+  var NEAR_DUPLICATE_DISTANCE = 2;    // Most edits between two names that look alike
+  var NEAR_DUPLICATE_MIN_LEAF = 4;    // Shorter names are too short to call typos
+  var SIMILAR_NAME_LIMIT = 3;         // "Did you mean" suggestions when creating
+
+  // Control, zero-width and other invisible characters
+  var INVISIBLE_CHARS = /[\u0000-\u001F\u007F\u00AD\u200B-\u200F\u2060\uFEFF]/g;
+
+  // Outlook keeps an email's categories as one list separated by these
+  var LIST_SEPARATORS = /[,;]/;
+
+  // " Clients /\tAcme\u200B " -> "Clients/Acme": single spaces, no invisible
+  // characters and no stray spaces or slashes around the nesting separators
+  function normalizeLabelName(text) {
+    return normalizeLabelPath(String(text || '')
+      .replace(/\s/g, ' ')
+      .replace(INVISIBLE_CHARS, '')
+      .replace(/ {2,}/g, ' '));
+  }
+
+  // The category in the list with this name in any case, or ''
+  function findCategoryName(name, categories) {
+    var lower = name.toLowerCase();
+    for (var i = 0; i < categories.length; i++) {
+      if (categories[i].displayName.toLowerCase() === lower) return categories[i].displayName;
+    }
+    return '';
+  }
+
+  // Why a normalized name cannot be created, or '' when it can
+  function getLabelNameProblem(name) {
+    if (!name) return t('name.empty');
+    if (name.length > MAX_LABEL_NAME_LENGTH) {
+      return plural('name.tooLong', name.length, { max: LabelI18n.formatNumber(MAX_LABEL_NAME_LENGTH) });
+    }
+    if (LIST_SEPARATORS.test(name)) return t('name.separators');
+    var known = findCategoryName(name, state.masterCategories);
+    if (known) return t('name.exists', { name: known });
+    var other = findCategoryName(name, state.allApiCategories);
+    if (other) return t('name.inOutlook', { name: other });
+    return '';
+  }
+
+  // What isNearDuplicate compares, or null for names too short to compare
+  function nearDuplicateKey(name) {
+    var leaf = splitLabelPath(name).pop() || name;
+    if (leaf.length < NEAR_DUPLICATE_MIN_LEAF) return null;
+    var key = FuzzySearch.fold(name);
+    return { name: name, key: key, shape: key.replace(/\d+/g, '#') };
+  }
+
+  // Two names a typo or two apart ("Invoices", "Invoces"), or apart only in
+  // case or accents. Names that differ only in their numbers ("Reports
+  // 2023", "Reports 2024") are meant to differ. The bounded
+  // damerauLevenshtein never exceeds levenshtein and gives up early, so it
+  // rules out most pairs before the full distance is worked out.
+  function isNearDuplicate(a, b) {
+    if (a.key === b.key) return true;
+    if (a.shape === b.shape) return false;
+    var limit = Math.min(NEAR_DUPLICATE_DISTANCE, Math.floor(Math.max(a.key.length, b.key.length) / 4));
+    if (FuzzySearch.damerauLevenshtein(a.key, b.key, limit) > limit) return false;
+    return FuzzySearch.levenshtein(a.key, b.key) <= limit;
+  }
+
+  // Labels and other Outlook categories a new name looks like, closest
+  // first, labels before other categories
+  function findSimilarLabelNames(name) {
+    var target = nearDuplicateKey(name);
+    if (!target) return [];
+    var seen = {};
+    seen[name.toLowerCase()] = true;
+    var similar = [];
+    [state.masterCategories, state.allApiCategories].forEach(function (list, rank) {
+      list.forEach(function (cat) {
+        var lower = cat.displayName.toLowerCase();
+        if (seen[lower] || isOrphanLabel(cat.displayName)) return;
+        seen[lower] = true;
+        var entry = nearDuplicateKey(cat.displayName);
+        if (!entry || !isNearDuplicate(target, entry)) return;
+        similar.push({ name: cat.displayName, rank: rank, distance: FuzzySearch.levenshtein(target.key, entry.key) });
+      });
+    });
+    return similar
+      .sort(function (a, b) {
+        return a.distance - b.distance || a.rank - b.rank || compareLabelPaths(a.name, b.name);
+      })
+      .slice(0, SIMILAR_NAME_LIMIT)
+      .map(function (s) { return s.name; });
+  }
+
+  // --- Create Label Dialog ---
+
+  function openCreateDialog(prefillName) {
+    dom.newLabelName.value = prefillName || '';
+    renderColorPicker(dom.colorPicker, 'Preset7');
+    dom.createParents.checked = true;
+    updateCreateNameChecks();
+    dom.createOverlay.classList.remove('hidden');
+    dom.newLabelName.focus();
+    dom.newLabelName.select();
+  }
+
+  function closeCreateDialog() {
+    dom.createOverlay.classList.add('hidden');
+    dom.newLabelName.value = '';
+  }
+
+  // Ancestors of a new "Parent/Child" name that are not labels yet
+  function getMissingParentPaths(name) {
+    return getAncestorPaths(name).filter(function (path) {
+      return !FuzzySearch.hasExactMatch(path, state.masterCategories);
+    });
+  }
+
+  function updateCreateParentsOffer(name) {
+    var missing = getMissingParentPaths(name);
+    if (missing.length === 0) {
+      dom.createParentsRow.classList.add('hidden');
+      return;
+    }
+    dom.createParentsText.textContent = plural('create.parents', missing.length,
+      { names: missing.map(quoteName).join(t('list.separator')) });
+    dom.createParentsRow.classList.remove('hidden');
+  }
+
+  // Check the name as it is typed: why it cannot be created, how it will be
+  // stored when that differs from what was typed, and existing labels it
+  // looks like, to apply instead
+  function updateCreateNameChecks() {
+    var typed = dom.newLabelName.value.trim();
+    var name = normalizeLabelName(typed);
+    var problem = getLabelNameProblem(name);
+
+    updateCreateParentsOffer(problem ? '' : name);
+    dom.createConfirm.disabled = !!problem;
+    dom.createError.textContent = typed ? problem : '';
+    dom.createError.classList.toggle('hidden', !typed || !problem);
+    dom.createNormalized.textContent = t('create.normalized', { name: name });
+    dom.createNormalized.classList.toggle('hidden', !!problem || name === typed);
+
+    var existing = name ? findCategoryName(name, state.masterCategories) || findCategoryName(name, state.allApiCategories) : '';
+    var similar = existing ? [existing] : name && !problem ? findSimilarLabelNames(name) : [];
+    dom.createSimilarTitle.textContent = t(existing ? 'create.useExisting' : 'create.didYouMean');
+    dom.createSimilarList.innerHTML = '';
+    similar.forEach(function (similarName) {
+      var hex = getColorHex(getCategoryColor(similarName));
+      var chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'label-chip suggestion-chip';
+      chip.style.borderColor = hex;
+      chip.style.color = hex;
+      chip.title = t('create.applyInstead', { name: similarName });
+      chip.innerHTML = '<span class="suggestion-plus">+</span>' +
+        '<span class="chip-name">' + renderLabelPath(similarName, []) + '</span>';
+      chip.addEventListener('click', function () { useExistingLabel(similarName); });
+      dom.createSimilarList.appendChild(chip);
+    });
+    dom.createSimilar.classList.toggle('hidden', similar.length === 0);
+  }
+
+  // "Did you mean": apply the existing label, adding it to the list first
+  // when only Outlook has it
+  function useExistingLabel(name) {
+    closeCreateDialog();
+    dom.searchInput.value = '';
+    state.searchQuery = '';
+    dom.searchResults.innerHTML = '';
+    if (!isOwnCategory(name)) {
+      addOwnCategoryName(name);
+      buildMasterCategoriesFromOwn();
+      scheduleRender('allLabels', renderAllLabels);
+      scheduleRender('labelCount', updateLabelCount);
+    }
+    if (isLabelApplied(name)) {
+      showStatus(t('status.alreadyApplied', { name: name }), 'success');
+      return;
+    }
+    handleToggleLabel(name, false);
+  }
+
+  function renderColorPicker(container, selectedPreset) {
+    container.innerHTML = '';
+    var presets = Object.keys(CATEGORY_COLORS);
+
+    presets.forEach(function (presetKey) {
+      var info = CATEGORY_COLORS[presetKey];
+      var swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = 'color-swatch';
+      swatch.style.backgroundColor = info.hex;
+      swatch.title = getColorName(presetKey);
+      swatch.setAttribute('data-preset', presetKey);
+
+      swatch.addEventListener('click', function () {
+        container.querySelectorAll('.color-swatch').forEach(function (s) {
+          s.classList.remove('selected');
+        });
+        swatch.classList.add('selected');
+      });
+
+      container.appendChild(swatch);
+    });
+
+    var defaultSwatch = container.querySelector('[data-preset="' + selectedPreset + '"]');
+    if (defaultSwatch) defaultSwatch.classList.add('selected');
+  }
+
+  function getSelectedPreset(container) {
+    var selectedSwatch = container.querySelector('.color-swatch.selected');
+    return selectedSwatch ? selectedSwatch.getAttribute('data-preset') : 'Preset7';
+  }
+
+  function handleCreateConfirm() {
+    var name = normalizeLabelName(dom.newLabelName.value);
+    if (getLabelNameProblem(name)) {
+      updateCreateNameChecks(); // Shows why next to the name
+      dom.newLabelName.focus();
+      return;
+    }
+
+    var presetKey = getSelectedPreset(dom.colorPicker);
+    var colorEnum = Office.MailboxEnums.CategoryColor[presetKey];
+    var parentsToCreate = dom.createParents.checked ? getMissingParentPaths(name) : [];
+    var guard = itemGuard();
+
+    // Parents first, outermost first, in the same color as the new label
+    parentsToCreate.reduce(function (chain, path) {
+      return chain.then(function () {
+        if (FuzzySearch.hasExactMatch(path, state.allApiCategories)) {
+          addOwnCategoryName(path); // Exists in Outlook, just not tracked yet
+          return;
+        }
+        return addMasterCategory(path, colorEnum);
+      });
+    }, Promise.resolve())
+      .then(function () { return addMasterCategory(name, colorEnum); })
+      .then(function () {
+        recordLabelUse(name);
+        return fetchAllApiCategories();
+      })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer finish drawing the new category badge
+        // before mutating item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(guard)
+      .then(function () { return addLabelToItem(name); })
+      .then(function () { return loadItemCategories(); })
+      .then(function () {
+        closeCreateDialog();
+        dom.searchInput.value = '';
+        state.searchQuery = '';
+        dom.searchResults.innerHTML = '';
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        showStatus(t('create.createdApplied', { name: name }), 'success');
+      })
+      .catch(function (err) {
+        if (isCancelled(err)) {
+          // Created, but the email it was meant for is no longer selected
+          closeCreateDialog();
+          showStatus(t('create.created', { name: name }), 'success');
+          return;
+        }
+        if (err && err.label) {
+          // Created, but applying it failed
+          closeCreateDialog();
+          scheduleRender('allLabels', renderAllLabels);
+          scheduleRender('labelCount', updateLabelCount);
+          showStatus(t('create.createdBut', { name: name, reason: err.message }), 'error', 6000);
+          return;
+        }
+        showStatus(t('create.error', { reason: err.message || err }), 'error');
+      });
+  }
+
+  // --- Delete Label Dialog ---
+
+  function confirmDeleteLabel(displayName) {
+    state.pendingDeleteLabel = displayName;
+    var msg = t('delete.confirm', { name: displayName });
+    var children = getDescendantNames(displayName);
+    if (children.length > 0) {
+      msg += ' ' + plural('delete.keepsNested', children.length, { names: quoteNames(children, 3) });
+    }
+    dom.deleteMsg.textContent = msg;
+    dom.deleteOverlay.classList.remove('hidden');
+  }
+
+  function closeDeleteDialog() {
+    dom.deleteOverlay.classList.add('hidden');
+    state.pendingDeleteLabel = null;
+  }
+
+  function handleDeleteConfirm() {
+    var name = state.pendingDeleteLabel;
+    if (!name) return;
+
+    var deleted = snapshotLabel(name);
+    var guard = itemGuard();
+    var undo = { label: t('status.undo'), run: function () { undoDeleteLabels([deleted], guard); } };
+
+    deleteMasterCategory(name)
+      .then(function () {
+        forgetLabelUsage(name);
+        updateLearnedModel(function (model) { LabelLearner.forgetLabel(model, name); });
+        return fetchAllApiCategories();
+      })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer finish redrawing after category removal
+        // before querying item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () { return loadItemCategories(); })
+      .then(function () {
+        closeDeleteDialog();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        showStatus(t('delete.deleted', { name: name }), 'success', UNDO_STATUS_DURATION, undo);
+      })
+      .catch(function (err) {
+        closeDeleteDialog();
+        if (isCancelled(err)) {
+          showStatus(t('delete.deleted', { name: name }), 'success', UNDO_STATUS_DURATION, undo);
+          return;
+        }
+        buildMasterCategoriesFromOwn();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        showStatus(t('delete.error', { reason: msg }), 'error');
+      });
+  }
+
+  // Everything Undo needs to bring a label back after it is deleted or
+  // merged away
+  function snapshotLabel(name) {
+    var learned = loadLearnedModel().labels[name.toLowerCase()];
+    return {
+      name: name,
+      color: getCategoryColor(name),
+      aliases: getLabelAliases(name),
+      usage: getLabelUsage(name),
+      learned: learned ? JSON.parse(JSON.stringify(learned)) : null,
+      hadLabel: getItemsWithLabel(name)
+    };
+  }
+
+  // Re-create a label from snapshotLabel in its old color, with its
+  // aliases, usage and learned model
+  function restoreLabel(label) {
+    var create = FuzzySearch.hasExactMatch(label.name, state.allApiCategories)
+      ? Promise.resolve(addOwnCategoryName(label.name)) // Re-created in the meantime, or never deleted
+      : addMasterCategory(label.name, label.color);
+
+    return create.then(function () {
+      if (label.aliases.length > 0) saveLabelAliases(label.name, label.aliases);
+      if (label.usage) restoreLabelUsage(label.usage);
+      if (label.learned) {
+        updateLearnedModel(function (model) { LabelLearner.restoreLabel(model, label.learned); });
+      }
+    });
+  }
+
+  // Put each snapshotted label back on the target items that carried it
+  function reapplyLabels(labels) {
+    return labels.reduce(function (chain, label) {
+      if (label.hadLabel.indexOf(true) === -1) return chain;
+      return chain.then(function () {
+        return queueLabelWrite(label.name, 'addAsync', function (index) { return label.hadLabel[index]; });
+      });
+    }, Promise.resolve());
+  }
+
+  // Undo for a delete or a bulk delete: re-create the labels and put them
+  // back on the target items
+  function undoDeleteLabels(deleted, guard) {
+    var current = deleted[0].name; // For the error message
+
+    deleted.reduce(function (chain, label) {
+      return chain.then(function () {
+        current = label.name;
+        return restoreLabel(label);
+      });
+    }, Promise.resolve())
+      .then(function () { return fetchAllApiCategories(); })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer finish drawing the category badge
+        // before mutating item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () {
+        // Items reload on their own after a selection change
+        if (!guard.isCurrent()) return;
+        return reapplyLabels(deleted).then(function () { return loadItemCategories(); });
+      })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        showStatus(deleted.length === 1
+          ? t('delete.restored', { name: deleted[0].name })
+          : plural('bulk.restored', deleted.length), 'success');
+      })
+      .catch(function (err) {
+        buildMasterCategoriesFromOwn();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        if (isCancelled(err)) return;
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        showStatus(err && err.label ? msg : t('delete.restoreError', { name: current, reason: msg }), 'error');
+      });
+  }
+
+  // --- Rename Label Dialog ---
+
+  function openRenameDialog(displayName) {
+    state.pendingRenameLabel = displayName;
+    dom.renameMsg.textContent = t('rename.prompt', { name: displayName });
+    dom.renameLabelName.value = displayName;
+    dom.renameOverlay.classList.remove('hidden');
+    dom.renameLabelName.focus();
+    dom.renameLabelName.select();
+  }
+
+  function closeRenameDialog() {
+    dom.renameOverlay.classList.add('hidden');
+    dom.renameLabelName.value = '';
+    state.pendingRenameLabel = null;
+  }
+
+  function getCategoryColor(displayName) {
+    var lower = displayName.toLowerCase();
+    var lists = [state.allApiCategories, state.masterCategories];
+    for (var l = 0; l < lists.length; l++) {
+      for (var i = 0; i < lists[l].length; i++) {
+        if (lists[l][i].displayName.toLowerCase() === lower) return lists[l][i].color;
+      }
+    }
+    return 'Preset7';
+  }
+
+  // Whether retagMessages got to every email it went looking for. Only then
+  // can the old category go without leaving emails with a name that has no
+  // color; emails outside EWS_RETAG_FOLDERS are a known, reported gap.
+  function retagReachedAll(retag) {
+    return retag.supported && retag.failed === 0 &&
+      retag.failedFolders.length === 0 && retag.truncatedFolders.length === 0;
+  }
+
+  // Describe what a rename could not carry over, or '' if everything moved.
+  // oldDeleted is false either because the delete failed or because
+  // retagReachedAll said to keep the old category
+  function describeRenameLeftovers(oldName, retag, oldDeleted) {
+    var notes = [];
+    if (!retag.supported) {
+      notes.push(t('rename.note.unsupported', { name: oldName }));
+    } else {
+      if (retag.failed > 0) {
+        notes.push(plural('rename.note.failed', retag.failed));
+      }
+      if (retag.failedFolders.length > 0) {
+        notes.push(t('rename.note.failedFolders', { folders: LabelI18n.formatList(retag.failedFolders) }));
+      }
+      if (retag.truncatedFolders.length > 0) {
+        notes.push(plural('rename.note.truncated', EWS_MAX_ITEMS_PER_FOLDER,
+          { folders: LabelI18n.formatList(retag.truncatedFolders) }));
+      }
+      notes.push(t('rename.note.outside', {
+        folders: LabelI18n.formatList(EWS_RETAG_FOLDERS.map(getFolderName)),
+        name: oldName
+      }));
+    }
+    if (!oldDeleted) {
+      notes.push(t(retagReachedAll(retag) ? 'rename.note.notDeleted' : 'rename.note.kept', { name: oldName }));
+    }
+    return notes.join(t('list.notes'));
+  }
+
+  function handleRenameConfirm() {
+    var oldName = state.pendingRenameLabel;
+    if (!oldName) return;
+
+    var newName = dom.renameLabelName.value.trim();
+    if (!newName) {
+      showStatus(t('rename.empty'), 'error');
+      return;
+    }
+    if (newName === oldName) {
+      closeRenameDialog();
+      return;
+    }
+    if (newName.toLowerCase() === oldName.toLowerCase()) {
+      showStatus(t('rename.caseOnly'), 'error');
+      return;
+    }
+    if (FuzzySearch.hasExactMatch(newName, state.allApiCategories) ||
+        FuzzySearch.hasExactMatch(newName, state.masterCategories)) {
+      showStatus(t('rename.exists'), 'error');
+      return;
+    }
+
+    var color = getCategoryColor(oldName);
+    var guard = itemGuard();
+    var retag = null;
+    var oldDeleted = false;
+
+    closeRenameDialog();
+
+    addMasterCategory(newName, color)
+      .catch(function (err) {
+        // Roll back: the new name must not linger in the known-labels list
+        removeOwnCategoryName(newName);
+        addOwnCategoryName(oldName);
+        throw err;
+      })
+      .then(function () {
+        renameOwnCategoryName(oldName, newName);
+        renameLabelUsage(oldName, newName);
+        renameLabelInRules(oldName, newName);
+        updateLearnedModel(function (model) { LabelLearner.renameLabel(model, oldName, newName); });
+        // Let Outlook's native renderer finish drawing the new category badge
+        // before mutating item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () {
+        // The rename itself goes on if the user has moved to another email
+        if (!guard.isCurrent()) return;
+        return enqueueCategoryWrite(function () {
+          return forEachTargetItem(function (item, entry) {
+            if (!hasCategory(entry.categories, oldName)) return;
+            return writeItemCategory(item, 'addAsync', newName).then(function () {
+              return writeItemCategory(item, 'removeAsync', oldName);
+            });
+          });
+        });
+      })
+      .then(function () { return retagMessages(oldName, newName); })
+      .then(function (summary) {
+        retag = summary;
+        if (!retagReachedAll(retag)) return; // Emails left with the old name keep its color
+        return deleteMasterCategory(oldName)
+          .then(function () { oldDeleted = true; })
+          .catch(function () { oldDeleted = false; });
+      })
+      .then(function () { return fetchAllApiCategories(); })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () {
+        // Items reload on their own after a selection change
+        if (guard.isCurrent()) return loadItemCategories();
+      })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+
+        var leftovers = describeRenameLeftovers(oldName, retag, oldDeleted);
+        var renamed = retag.updated > 0
+          ? plural('rename.renamedUpdated', retag.updated, { name: newName })
+          : t('rename.renamed', { name: newName });
+        if (leftovers) {
+          showStatus(t('status.but', { done: renamed, problems: leftovers }), 'error', 8000);
+        } else {
+          showStatus(renamed, 'success');
+        }
+      })
+      .catch(function (err) {
+        buildMasterCategoriesFromOwn();
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        showStatus(t('rename.error', { reason: msg }), 'error');
+      });
+  }
+
+  // --- Merge Labels Dialog ---
+  //
+  // Merging moves everything from the source labels to the target: the
+  // selected emails, other emails EWS can reach (see retagMessages), aliases,
+  // rules, usage history and the learned model. The sources are then deleted,
+  // unless some emails may still carry them (see retagReachedAll). Undo puts
+  // all but the emails in other folders back (undoMerge).
+
+  // `target` preselects the label to merge into, when it is one of the choices
+  function openMergeDialog(sources, target) {
+    if (sources.length === 0) return;
+    var isSource = {};
+    sources.forEach(function (name) { isSource[name.toLowerCase()] = true; });
+    var targets = state.masterCategories
+      .map(function (cat) { return cat.displayName; })
+      .filter(function (name) { return !isSource[name.toLowerCase()]; })
+      .sort(compareLabelPaths);
+    if (targets.length === 0) {
+      showStatus(t('merge.noTarget'), 'error');
+      return;
+    }
+
+    state.pendingMerge = { sources: sources };
+    dom.mergeMsg.textContent = t('merge.prompt', { names: quoteNames(sources, BULK_PREVIEW_NAMES) });
+    dom.mergeTarget.innerHTML = '';
+    targets.forEach(function (name) {
+      var option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      dom.mergeTarget.appendChild(option);
+    });
+    dom.mergeTarget.value = target && targets.indexOf(target) !== -1
+      ? target
+      : suggestMergeTarget(sources, isSource) || targets[0];
+    renderMergePreview();
+    dom.mergeOverlay.classList.remove('hidden');
+    dom.mergeTarget.focus();
+  }
+
+  function closeMergeDialog() {
+    dom.mergeOverlay.classList.add('hidden');
+    state.pendingMerge = null;
+  }
+
+  // The label most like the first source, as the likely near-duplicate
+  function suggestMergeTarget(sources, isSource) {
+    var results = FuzzySearch.search(sources[0], state.searchIndex, {
+      limit: 1,
+      filter: function (cat) { return !isSource[cat.displayName.toLowerCase()]; }
+    });
+    return results.length > 0 ? results[0].category.displayName : '';
+  }
+
+  function describeMergeSource(name) {
+    var notes = [];
+    var onItems = isMultiSelect() ? countItemsWithLabel(name) : (hasCategory(state.itemCategories, name) ? 1 : 0);
+    if (onItems > 0) {
+      notes.push(isMultiSelect() ? plural('merge.note.onSelected', onItems) : t('merge.note.onThisEmail'));
+    }
+    var aliases = getLabelAliases(name).length;
+    if (aliases > 0) notes.push(plural('merge.note.aliases', aliases));
+    var rules = countRulesWithLabel(name);
+    if (rules > 0) notes.push(plural('merge.note.rules', rules));
+    var usage = getLabelUsage(name);
+    if (usage) notes.push(plural('merge.note.used', usage.c));
+    return notes.join(t('list.separator'));
+  }
+
+  function renderMergePreview() {
+    var merge = state.pendingMerge;
+    if (!merge) return;
+    var target = dom.mergeTarget.value;
+    var frag = document.createDocumentFragment();
+
+    function addLine(text, className) {
+      var li = document.createElement('li');
+      if (className) li.className = className;
+      li.textContent = text;
+      frag.appendChild(li);
+      return li;
+    }
+
+    merge.sources.forEach(function (name) {
+      var li = addLine(t('merge.line', { name: name, target: target }));
+      var notes = describeMergeSource(name);
+      if (notes) {
+        var span = document.createElement('span');
+        span.className = 'merge-notes';
+        span.textContent = notes;
+        li.appendChild(span);
+      }
+    });
+    if (canUseEws()) {
+      addLine(t('merge.scope.folders', { folders: LabelI18n.formatList(EWS_RETAG_FOLDERS.map(getFolderName)) }), 'merge-scope');
+      addLine(plural('merge.scope.deleted', merge.sources.length), 'merge-scope');
+    } else {
+      addLine(plural('merge.scope.unsupported', merge.sources.length), 'merge-scope');
+      addLine(plural('merge.scope.kept', merge.sources.length), 'merge-scope');
+    }
+
+    dom.mergePreview.innerHTML = '';
+    dom.mergePreview.appendChild(frag);
+  }
+
+  // Aliases, rules, usage history and the learned model of one label go to another
+  function mergeLabelData(source, target) {
+    var aliases = getLabelAliases(target).concat(getLabelAliases(source));
+    saveLabelAliases(target, parseAliases(aliases.join(','), target));
+    renameLabelInRules(source, target);
+    mergeLabelUsage(source, target);
+    updateLearnedModel(function (model) { LabelLearner.mergeLabel(model, source, target); });
+  }
+
+  // Resolves with { retag, deleted } for describeRenameLeftovers
+  function mergeLabel(source, target, guard) {
+    var result = { retag: null, deleted: false };
+
+    // The selected emails first, while they are still selected
+    var moveItems = enqueueCategoryWrite(function () {
+      guard();
+      return forEachTargetItem(function (item, entry) {
+        if (!hasCategory(entry.categories, source)) return;
+        var add = hasCategory(entry.categories, target)
+          ? Promise.resolve()
+          : writeItemCategory(item, 'addAsync', target);
+        return add
+          .then(function () { return writeItemCategory(item, 'removeAsync', source); })
+          .then(function (cats) { entry.categories = cats; });
+      });
+    }).catch(function (err) {
+      if (!isCancelled(err)) throw err; // Items reload on their own after a selection change
+    });
+
+    return moveItems
+      .then(function () { return retagMessages(source, target); })
+      .then(function (retag) {
+        result.retag = retag;
+        mergeLabelData(source, target);
+        if (!FuzzySearch.hasExactMatch(source, state.allApiCategories)) {
+          removeOwnCategoryName(source); // Only ever on our list
+          result.deleted = true;
+          return;
+        }
+        if (!retagReachedAll(retag)) return; // Emails left with the source keep its color
+        return deleteMasterCategory(source)
+          .then(function () { result.deleted = true; })
+          .catch(function () { result.deleted = false; });
+      })
+      .then(function () { return result; });
+  }
+
+  function handleMergeConfirm() {
+    var merge = state.pendingMerge;
+    var target = dom.mergeTarget.value;
+    if (!merge || !target) return;
+
+    var sources = merge.sources;
+    var guard = itemGuard();
+    // What Undo needs to put the labels back as they were
+    var before = { target: snapshotLabel(target), sources: [], rules: loadRules() };
+    var undo = { label: t('status.undo'), run: function () { undoMerge(before, guard, updated); } };
+    var merged = [];
+    var updated = 0;
+    var leftovers = [];
+    closeMergeDialog();
+    showStatus(t('merge.merging', { target: target }), 'success', 60000);
+
+    // A target only on our list needs its Outlook category back first
+    var ready = FuzzySearch.hasExactMatch(target, state.allApiCategories)
+      ? Promise.resolve()
+      : addMasterCategory(target, getCategoryColor(target));
+
+    ready
+      .then(function () {
+        return sources.reduce(function (chain, source) {
+          return chain.then(function () {
+            var snapshot = snapshotLabel(source);
+            return mergeLabel(source, target, guard).then(function (result) {
+              merged.push(source);
+              before.sources.push(snapshot);
+              updated += result.retag.updated;
+              var notes = describeRenameLeftovers(source, result.retag, result.deleted);
+              if (notes) leftovers.push(notes);
+            });
+          });
+        }, Promise.resolve());
+      })
+      .then(function () { return fetchAllApiCategories(); })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer finish redrawing after category removal
+        // before querying item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () {
+        if (guard.isCurrent()) return loadItemCategories();
+      })
+      .then(function () {
+        merged.forEach(function (name) { delete state.bulkSelected[name.toLowerCase()]; });
+        if (state.isBulkMode) updateBulkBar();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+
+        var params = { names: quoteNames(merged, BULK_PREVIEW_NAMES), target: target };
+        var msg = updated > 0 ? plural('merge.mergedUpdated', updated, params) : t('merge.merged', params);
+        if (leftovers.length > 0) {
+          msg = t('status.but', { done: msg, problems: leftovers.join(t('list.notes')) });
+        }
+        showStatus(msg, leftovers.length > 0 ? 'error' : 'success', UNDO_STATUS_DURATION, undo);
+      })
+      .catch(function (err) {
+        buildMasterCategoriesFromOwn();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        if (merged.length > 0) {
+          showStatus(t('merge.errorAfter', { reason: msg, names: quoteNames(merged, BULK_PREVIEW_NAMES) }),
+            'error', UNDO_STATUS_DURATION, undo);
+        } else {
+          showStatus(t('merge.error', { reason: msg }), 'error', 8000);
+        }
+      });
+  }
+
+  // Undo for a merge: bring back the sources with their own data, put the
+  // target's aliases, usage, learned model and the rules back as they were,
+  // and move the target items back. Emails the retag reached in other
+  // folders keep the target; `updated` counts them.
+  function undoMerge(before, guard, updated) {
+    var target = before.target;
+    var names = before.sources.map(function (label) { return label.name; });
+    // Target items that only got the target from the merge
+    var moved = target.hadLabel.map(function (had, index) {
+      return !had && before.sources.some(function (label) { return label.hadLabel[index]; });
+    });
+
+    before.sources.reduce(function (chain, label) {
+      return chain.then(function () { return restoreLabel(label); });
+    }, Promise.resolve())
+      .then(function () {
+        saveLabelAliases(target.name, target.aliases);
+        if (target.usage) restoreLabelUsage(target.usage);
+        else forgetLabelUsage(target.name);
+        updateLearnedModel(function (model) {
+          LabelLearner.forgetLabel(model, target.name);
+          if (target.learned) LabelLearner.restoreLabel(model, target.learned);
+        });
+        saveRules(before.rules);
+        return fetchAllApiCategories();
+      })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer finish drawing the category badges
+        // before mutating item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () {
+        // Items reload on their own after a selection change
+        if (!guard.isCurrent()) return;
+        return reapplyLabels(before.sources)
+          .then(function () {
+            if (moved.indexOf(true) === -1) return;
+            return queueLabelWrite(target.name, 'removeAsync', function (index) { return moved[index]; });
+          })
+          .then(function () { return loadItemCategories(); });
+      })
+      .then(function () {
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        var params = { names: quoteNames(names, BULK_PREVIEW_NAMES), target: target.name };
+        if (updated > 0) showStatus(plural('merge.undoneKept', updated, params), 'success', 8000);
+        else showStatus(t('merge.undone', params), 'success');
+      })
+      .catch(function (err) {
+        buildMasterCategoriesFromOwn();
+        scheduleRender('applied', renderAppliedLabels);
+        scheduleRender('allLabels', renderAllLabels);
+        scheduleRender('labelCount', updateLabelCount);
+        scheduleRender('search', renderSearchResults);
+        if (isCancelled(err)) return;
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        showStatus(err && err.label ? msg : t('merge.undoError', { reason: msg }), 'error');
+      });
+  }
+
+  // --- Label Health ---
+  //
+  // Problems with the label list, each shown next to the fix that clears
+  // it: known labels Outlook no longer has, Outlook categories that differ
+  // only in case, labels spelled almost alike and labels never applied.
+
+  // Lowercased name -> the Outlook categories spelled that way, when there are several
+  function findCaseDuplicates() {
+    var byKey = {};
+    state.allApiCategories.forEach(function (cat) {
+      var k = cat.displayName.toLowerCase();
+      var variants = byKey[k] = byKey[k] || [];
+      if (variants.indexOf(cat.displayName) === -1) variants.push(cat.displayName); // Same name in two accounts
+    });
+    return Object.keys(byKey)
+      .filter(function (k) { return byKey[k].length > 1; })
+      .sort()
+      .map(function (k) { return byKey[k].sort(); });
+  }
+
+  // Candidates for findNearDuplicates without comparing every pair. Each
+  // name is cut into three pieces; two edits leave at least one of them
+  // whole in the other name: the first at its start, the last at its end,
+  // or the middle within two places of where it was. Calls visit(i, j) for
+  // entries that share such a piece, the shorter (or earlier) one first.
+  function forEachNearCandidate(entries, visit) {
+    // Keys of the pieces of a name `length` long, looked up in `text`; with
+    // `shifted`, also where edits before the middle could have moved it
+    function pieceKeys(text, length, shifted) {
+      var size = Math.floor(length / 3);
+      var keys = [
+        'h' + length + ':' + text.substr(0, size),
+        't' + length + ':' + text.substr(text.length - (length - 2 * size))
+      ];
+      var range = shifted ? NEAR_DUPLICATE_DISTANCE : 0;
+      for (var pos = size - range; pos <= size + range; pos++) {
+        if (pos >= 0 && pos + size <= text.length) keys.push('m' + length + ':' + text.substr(pos, size));
+      }
+      return keys;
+    }
+
+    var index = {};
+    entries.forEach(function (entry, i) {
+      pieceKeys(entry.key, entry.key.length, false).forEach(function (k) {
+        (index[k] = index[k] || []).push(i);
+      });
+    });
+
+    entries.forEach(function (entry, j) {
+      var seen = {};
+      var length = entry.key.length;
+      for (var other = Math.max(3, length - NEAR_DUPLICATE_DISTANCE); other <= length; other++) {
+        pieceKeys(entry.key, other, true).forEach(function (k) {
+          (index[k] || []).forEach(function (i) {
+            if (seen[i] || i === j || (entries[i].key.length === length && i > j)) return;
+            seen[i] = true;
+            visit(i, j);
+          });
+        });
+      }
+    });
+  }
+
+  // Pairs of known labels that look like duplicates (isNearDuplicate)
+  function findNearDuplicates() {
+    var entries = state.masterCategories
+      .map(function (cat) { return nearDuplicateKey(cat.displayName); })
+      .filter(Boolean);
+
+    var pairs = [];
+    forEachNearCandidate(entries, function (i, j) {
+      if (isNearDuplicate(entries[i], entries[j])) {
+        pairs.push([entries[i].name, entries[j].name].sort(compareLabelPaths));
+      }
+    });
+    return pairs.sort(function (p, q) { return compareLabelPaths(p[0], q[0]); });
+  }
+
+  // Known labels with no sign of ever being used: nothing in the usage
+  // history or the learned model, not on the target items and not in a
+  // rule. Both stores only see labels applied in this add-in, and the
+  // history keeps the most recent USAGE_HISTORY_LIMIT labels, so this is a
+  // hint rather than proof. Parents of nested labels are skipped; they
+  // often exist only to group their children.
+  function findUnusedLabels() {
+    var used = {};
+    Object.keys(loadUsageHistory().items).forEach(function (k) { used[k] = true; });
+    Object.keys(loadLearnedModel().labels).forEach(function (k) { used[k] = true; });
+    loadRules().forEach(function (rule) {
+      rule.labels.forEach(function (name) { used[name.toLowerCase()] = true; });
+    });
+    state.masterCategories.forEach(function (cat) {
+      getAncestorPaths(cat.displayName).forEach(function (path) { used[path.toLowerCase()] = true; });
+    });
+
+    return state.masterCategories
+      .map(function (cat) { return cat.displayName; })
+      .filter(function (name) {
+        return !used[name.toLowerCase()] && !isOrphanLabel(name) && getLabelApplyState(name) === 'none';
+      });
+  }
+
+  function findLabelHealthIssues() {
+    return {
+      orphans: state.masterCategories
+        .map(function (cat) { return cat.displayName; })
+        .filter(isOrphanLabel),
+      caseDuplicates: findCaseDuplicates(),
+      nearDuplicates: findNearDuplicates(),
+      unused: findUnusedLabels()
+    };
+  }
+
+  function openHealthDialog() {
+    renderHealthList();
+    dom.healthOverlay.classList.remove('hidden');
+  }
+
+  function closeHealthDialog() {
+    dom.healthOverlay.classList.add('hidden');
+  }
+
+  function renderHealthList() {
+    var issues = findLabelHealthIssues();
+    var count = issues.orphans.length + issues.caseDuplicates.length +
+      issues.nearDuplicates.length + issues.unused.length;
+
+    dom.healthList.innerHTML = '';
+    dom.healthSummary.textContent = plural('health.summary', count);
+    dom.healthSummary.classList.toggle('hidden', count === 0);
+    if (count === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = t('health.none');
+      dom.healthList.appendChild(empty);
+      return;
+    }
+
+    var frag = document.createDocumentFragment();
+
+    addHealthGroup(frag, t('health.orphans'), t('health.orphansHint'),
+      issues.orphans.map(function (name) {
+        return {
+          text: quoteName(name),
+          fixes: [
+            { label: t('health.recreate'), run: function () { return recreateMissingLabel(name); } },
+            { label: t('health.forget'), run: function () { return forgetHealthLabel(name); } }
+          ]
+        };
+      }));
+
+    addHealthGroup(frag, t('health.caseDuplicates'), t('health.caseDuplicatesHint'),
+      issues.caseDuplicates.map(function (variants) {
+        return {
+          text: quoteNames(variants, variants.length),
+          fixes: variants.map(function (kept) {
+            return {
+              label: t('health.keep', { name: kept }),
+              run: function () { return keepCaseVariant(kept, variants, itemGuard()); }
+            };
+          })
+        };
+      }));
+
+    addHealthGroup(frag, t('health.nearDuplicates'), t('health.nearDuplicatesHint'),
+      issues.nearDuplicates.map(function (pair) {
+        return {
+          text: quoteNames(pair, 2),
+          fixes: [{ label: t('health.merge'), run: function () { openHealthMerge(pair); } }]
+        };
+      }));
+
+    addHealthGroup(frag, t('health.unused'),
+      t(isMultiSelect() ? 'health.unusedHintMulti' : 'health.unusedHint'),
+      issues.unused.map(function (name) {
+        return {
+          text: quoteName(name),
+          fixes: [
+            { label: t('health.forget'), run: function () { return forgetHealthLabel(name); } },
+            { label: t('health.delete'), danger: true, run: function () {
+              closeHealthDialog();
+              confirmDeleteLabel(name);
+            } }
+          ]
+        };
+      }),
+      { label: t('health.selectAll'), run: function () { selectLabelsInBulkMode(issues.unused); } });
+
+    dom.healthList.appendChild(frag);
+  }
+
+  // rows: [{ text, fixes: [{ label, danger?, run }] }]. A fix that returns a
+  // promise changes labels; the list is checked again once it settles.
+  // `action` is an optional { label, run } for the whole group.
+  function addHealthGroup(frag, title, hint, rows, action) {
+    if (rows.length === 0) return;
+
+    var header = document.createElement('div');
+    header.className = 'health-group';
+    var titleEl = document.createElement('span');
+    titleEl.className = 'health-group-title';
+    titleEl.textContent = t('group.title', { title: title, count: LabelI18n.formatNumber(rows.length) });
+    header.appendChild(titleEl);
+    if (action) {
+      var actionBtn = document.createElement('button');
+      actionBtn.type = 'button';
+      actionBtn.className = 'link-btn';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', action.run);
+      header.appendChild(actionBtn);
+    }
+    frag.appendChild(header);
+
+    var hintEl = document.createElement('p');
+    hintEl.className = 'health-hint';
+    hintEl.textContent = hint;
+    frag.appendChild(hintEl);
+
+    rows.forEach(function (issue) {
+      var row = document.createElement('div');
+      row.className = 'health-row';
+      var names = document.createElement('span');
+      names.className = 'health-names';
+      names.textContent = issue.text;
+      row.appendChild(names);
+
+      var fixes = document.createElement('span');
+      fixes.className = 'health-fixes';
+      issue.fixes.forEach(function (fix) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'link-btn' + (fix.danger ? ' danger' : '');
+        btn.textContent = fix.label;
+        btn.addEventListener('click', function () {
+          var work = fix.run();
+          if (work) runHealthFix(row, work);
+        });
+        fixes.appendChild(btn);
+      });
+      row.appendChild(fixes);
+      frag.appendChild(row);
+    });
+  }
+
+  // work resolves with the message to show once the fix is done
+  function runHealthFix(row, work) {
+    var guard = itemGuard();
+    row.classList.add('busy');
+
+    function refreshViews() {
+      scheduleRender('applied', renderAppliedLabels);
+      scheduleRender('allLabels', renderAllLabels);
+      scheduleRender('labelCount', updateLabelCount);
+      scheduleRender('search', renderSearchResults);
+      if (!dom.healthOverlay.classList.contains('hidden')) renderHealthList();
+    }
+
+    var message;
+    work
+      .then(function (msg) {
+        message = msg;
+        return fetchAllApiCategories();
+      })
+      .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer finish redrawing after category changes
+        // before querying item categories (prevents OlkUIKit image crash)
+        return new Promise(function (r) { setTimeout(r, 200); });
+      })
+      .then(function () {
+        if (guard.isCurrent()) return loadItemCategories();
+      })
+      .then(function () {
+        refreshViews();
+        showStatus(message, 'success');
+      })
+      .catch(function (err) {
+        fetchAllApiCategories()
+          .catch(function () {})
+          .then(function () {
+            buildMasterCategoriesFromOwn();
+            refreshViews();
+          });
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        showStatus(t('health.error', { reason: msg }), 'error');
+      });
+  }
+
+  function recreateMissingLabel(name) {
+    return addMasterCategory(name, getCategoryColor(name)).then(function () {
+      return t('health.recreated', { name: name });
+    });
+  }
+
+  function forgetHealthLabel(name) {
+    removeOwnCategoryName(name);
+    return Promise.resolve(t('health.forgot', { name: name }));
+  }
+
+  /**
+   * Delete every other spelling of a case-only duplicate from Outlook,
+   * moving the target items to the kept one. Other emails keep the old
+   * spelling; retagMessages cannot tell names apart by case alone.
+   */
+  function keepCaseVariant(kept, variants, guard) {
+    var dropped = variants.filter(function (name) { return name !== kept; });
+    var wasKnown = isOwnCategory(kept);
+
+    // Remove before adding, so Outlook never sees both spellings on one email
+    var moveItems = enqueueCategoryWrite(function () {
+      guard();
+      return forEachTargetItem(function (item, entry) {
+        var carried = dropped.filter(function (name) { return hasCategory(entry.categories, name); });
+        if (carried.length === 0) return;
+        var hadKept = hasCategory(entry.categories, kept);
+        return carried.reduce(function (chain, name) {
+          return chain.then(function () { return writeItemCategory(item, 'removeAsync', name); });
+        }, Promise.resolve())
+          .then(function (cats) {
+            return hadKept ? cats : writeItemCategory(item, 'addAsync', kept);
+          })
+          .then(function (cats) { entry.categories = cats; });
+      });
+    }).catch(function (err) {
+      if (!isCancelled(err)) throw err; // Items reload on their own after a selection change
+    });
+
+    // Deleting a spelling takes the shared lowercased name off our list
+    function restoreKnown() {
+      if (wasKnown) addOwnCategoryName(kept);
+    }
 
-  function loadAllData() {
-    showView('loading');
-    checkSharedMailbox()
+    return moveItems
       .then(function () {
-        return Promise.all([loadMasterCategories(), loadItemCategories()]);
+        return dropped.reduce(function (chain, name) {
+          return chain.then(function () { return deleteMasterCategory(name); });
+        }, Promise.resolve());
       })
       .then(function () {
-        showView('main');
-        applySharedMailboxRestrictions();
-        scheduleRender('applied', renderAppliedLabels);
-        scheduleRender('allLabels', renderAllLabels);
-        scheduleRender('labelCount', updateLabelCount);
-
-        // Auto-open import on first use (user hasn't done an import yet)
-        if (!hasCompletedImport() && state.allApiCategories.length > 0 && !state.isSharedMailbox) {
-          openImportDialog();
-        }
-      })
-      .catch(function (error) {
-        showView('main');
-        showStatus('Error loading labels: ' + (error.message || error), 'error');
+        restoreKnown();
+        return t('health.kept', { name: kept });
+      }, function (err) {
+        restoreKnown();
+        throw err;
       });
   }
 
-  // --- Rendering: Applied Labels ---
+  // Merge the less used label of a look-alike pair into the other
+  function openHealthMerge(pair) {
+    var usage = pair.map(function (name) {
+      var entry = getLabelUsage(name);
+      return entry ? entry.c : 0;
+    });
+    var target = usage[1] > usage[0] ? pair[1] : pair[0];
+    var source = target === pair[0] ? pair[1] : pair[0];
+    closeHealthDialog();
+    openMergeDialog([source], target);
+  }
 
-  function renderAppliedLabels() {
-    var frag = document.createDocumentFragment();
+  function selectLabelsInBulkMode(names) {
+    closeHealthDialog();
+    if (!state.isBulkMode) toggleBulkMode();
+    names.forEach(function (name) { state.bulkSelected[name.toLowerCase()] = true; });
+    updateBulkBar();
+    scheduleRender('allLabels', renderAllLabels);
+  }
 
-    if (state.itemCategories.length === 0) {
-      dom.noLabelsMsg.classList.remove('hidden');
-    } else {
-      dom.noLabelsMsg.classList.add('hidden');
+  // --- Edit Label Color Dialog ---
 
-      state.itemCategories.forEach(function (cat) {
-        var chip = document.createElement('div');
-        chip.className = 'label-chip';
-        var hex = getColorHex(cat.color);
-        chip.style.backgroundColor = hex + '1A';
-        chip.style.borderColor = hex;
-        chip.style.color = hex;
+  function openEditDialog(displayName) {
+    state.pendingEditLabel = displayName;
+    dom.editMsg.textContent = displayName;
+    renderColorPicker(dom.editColorPicker, getCategoryColor(displayName));
+    dom.editAliases.value = getLabelAliases(displayName).join(', ');
+    dom.editOverlay.classList.remove('hidden');
+  }
 
-        var nameSpan = document.createElement('span');
-        nameSpan.className = 'chip-name';
-        nameSpan.textContent = cat.displayName;
+  function closeEditDialog() {
+    dom.editOverlay.classList.add('hidden');
+    state.pendingEditLabel = null;
+  }
 
-        chip.appendChild(nameSpan);
+  function handleEditConfirm() {
+    var name = state.pendingEditLabel;
+    if (!name) return;
 
-        if (!state.isSharedMailbox) {
-          var removeBtn = document.createElement('button');
-          removeBtn.className = 'chip-remove';
-          removeBtn.textContent = '\u00D7';
-          removeBtn.title = 'Remove ' + cat.displayName;
-          removeBtn.addEventListener('click', function () {
-            handleRemoveLabel(cat.displayName);
-          });
-          chip.appendChild(removeBtn);
-        }
+    // Aliases are ours alone; save them without touching Outlook
+    var aliases = parseAliases(dom.editAliases.value, name);
+    var aliasesChanged = aliases.join('\n') !== getLabelAliases(name).join('\n');
+    if (aliasesChanged) {
+      saveLabelAliases(name, aliases);
+      buildMasterCategoriesFromOwn();
+      scheduleRender('search', renderSearchResults);
+    }
 
-        frag.appendChild(chip);
-      });
+    var oldColor = getCategoryColor(name);
+    var newColor = Office.MailboxEnums.CategoryColor[getSelectedPreset(dom.editColorPicker)];
+    if (newColor === oldColor) {
+      closeEditDialog();
+      if (aliasesChanged) showStatus(t('edit.aliasesSaved', { name: name }), 'success');
+      return;
     }
 
-    dom.appliedList.innerHTML = '';
-    dom.appliedList.appendChild(frag);
-  }
+    var guard = itemGuard();
+    var hadLabel = getItemsWithLabel(name);
+    closeEditDialog();
 
-  function handleRemoveLabel(displayName) {
-    removeLabelFromItem(displayName)
+    recolorMasterCategory(name, oldColor, newColor)
+      .then(function () { return fetchAllApiCategories(); })
       .then(function () {
+        buildMasterCategoriesFromOwn();
+        // Let Outlook's native renderer redraw the recolored badge
+        // before querying item categories (prevents OlkUIKit image crash)
         return new Promise(function (r) { setTimeout(r, 200); });
       })
+      .then(guard)
       .then(function () { return loadItemCategories(); })
+      .then(function () {
+        // Some clients drop the name from items while the master category
+        // is briefly missing; put it back where it was
+        var lost = false;
+        forEachTargetItemSync(function (entry, index) {
+          if (hadLabel[index] && !hasCategory(entry.categories, name)) lost = true;
+        });
+        if (!lost) return;
+        return enqueueCategoryWrite(function () {
+          return forEachTargetItem(function (item, entry, index) {
+            if (!hadLabel[index] || hasCategory(entry.categories, name)) return;
+            return writeItemCategory(item, 'addAsync', name);
+          });
+        }).then(function () { return loadItemCategories(); });
+      })
       .then(function () {
         scheduleRender('applied', renderAppliedLabels);
         scheduleRender('allLabels', renderAllLabels);
         scheduleRender('search', renderSearchResults);
+        showStatus(t('edit.colorChangedTo', { name: name, color: getColorName(newColor) }), 'success');
       })
       .catch(function (err) {
-        showStatus('Error removing label: ' + (err.message || err), 'error');
+        if (isCancelled(err)) {
+          showStatus(t('edit.colorChanged', { name: name }), 'success');
+          return;
+        }
+        fetchAllApiCategories()
+          .then(function () { buildMasterCategoriesFromOwn(); })
+          .catch(function () {})
+          .then(function () {
+            scheduleRender('applied', renderAppliedLabels);
+            scheduleRender('allLabels', renderAllLabels);
+            scheduleRender('search', renderSearchResults);
+          });
+        var msg = (err && err.message) ? err.message : String(err || t('error.unknown'));
+        showStatus(t('edit.error', { reason: msg }), 'error');
       });
   }
 
-  // --- Rendering: Search Results ---
-
-  function highlightMatch(text, matchRanges) {
-    if (!matchRanges || matchRanges.length === 0) return escapeHtml(text);
-
-    var merged = FuzzySearch.mergeRanges(matchRanges);
-    var result = '';
-    var lastIdx = 0;
+  // --- Import Dialog ---
+  //
+  // Ticks say which Outlook categories are on an account's list. The account
+  // picker opens the other accounts' lists in the same dialog, and a ticked
+  // row's ⇢ menu moves the label to another account. Save writes every list
+  // that was opened or moved into, and remembers which categories the user
+  // left unticked on the lists they looked at.
 
-    for (var i = 0; i < merged.length; i++) {
-      var start = merged[i][0];
-      var end = merged[i][1];
-      result += escapeHtml(text.substring(lastIdx, start));
-      result += '<mark>' + escapeHtml(text.substring(start, end)) + '</mark>';
-      lastIdx = end;
-    }
-    result += escapeHtml(text.substring(lastIdx));
-    return result;
+  function openImportDialog() {
+    // Sort API categories alphabetically
+    state.importChoices = state.allApiCategories.slice().sort(function (a, b) {
+      return compareLabelPaths(a.displayName, b.displayName);
+    });
+    state.importSelections = {};
+    state.importTouched = {};
+    state.importNew = {};
+    (state.isSharedMailbox ? [] : loadAccounts()).forEach(loadImportSelection);
+    dom.importAccountInput.value = '';
+    dom.importAddAccountRow.classList.add('hidden');
+
+    // Show the dialog first so the list has a height to fill
+    dom.importOverlay.classList.remove('hidden');
+    showImportAccount(getMailboxEmail());
   }
 
-  function performSearch() {
-    var query = state.searchQuery;
-    state.searchResults = FuzzySearch.search(query, state.masterCategories);
-    state.focusedResultIndex = -1;
-    renderSearchResults();
+  function loadImportSelection(account) {
+    var selected = {};
+    loadOwnCategoryNames(account).forEach(function (name) { selected[name.toLowerCase()] = true; });
+    state.importSelections[account] = selected;
   }
 
-  function renderSearchResults() {
-    var frag = document.createDocumentFragment();
+  // Show an account's list, keeping the unsaved ticks of the others
+  function showImportAccount(account) {
+    if (!state.importSelections[account]) loadImportSelection(account);
+    state.importAccount = account;
+    state.importSelected = state.importSelections[account];
+    state.importTouched[account] = 'viewed';
+
+    // New: neither on the list nor ruled out at the last sync
+    state.importNew = {};
+    if (hasReviewedCategories(account)) {
+      var reviewed = {};
+      loadRuledOutNames(account).forEach(function (name) { reviewed[name.toLowerCase()] = true; });
+      state.importChoices.forEach(function (cat) {
+        var key = cat.displayName.toLowerCase();
+        if (!reviewed[key] && !state.importSelected[key]) state.importNew[key] = true;
+      });
+    }
+    renderImportAccounts();
 
-    var query = state.searchQuery.trim();
-    if (query) {
-      var results = state.searchResults;
-      var exactMatchExists = FuzzySearch.hasExactMatch(query, state.masterCategories);
+    if (state.importChoices.length === 0) {
+      clearVirtualList(dom.importList);
+      var emptyMsg = document.createElement('p');
+      emptyMsg.className = 'empty-state';
+      emptyMsg.textContent = t('import.empty');
+      dom.importList.appendChild(emptyMsg);
+      return;
+    }
 
-      results.forEach(function (result, index) {
-        var row = document.createElement('div');
-        row.className = 'search-result-row';
-        row.setAttribute('data-index', String(index));
+    dom.importList.scrollTop = 0;
+    renderImportList();
 
-        var isApplied = isLabelApplied(result.category.displayName);
-        if (isApplied) row.classList.add('already-applied');
-        if (index === state.focusedResultIndex) row.classList.add('focused');
+    // Update select-all state
+    updateSelectAllState();
+  }
 
-        var colorDot = document.createElement('span');
-        colorDot.className = 'color-dot';
-        colorDot.style.backgroundColor = getColorHex(result.category.color);
+  function renderImportAccounts() {
+    var account = state.importAccount;
+    var newCount = Object.keys(state.importNew).length;
+    dom.importHint.textContent = t(state.isSharedMailbox ? 'import.hintShared' : 'import.hint', { account: account }) +
+      (newCount > 0 ? ' ' + plural('import.hintNew', newCount) : '');
+
+    // Shared mailboxes have just the owner's list
+    dom.importAccountRow.classList.toggle('hidden', state.isSharedMailbox);
+    dom.importAccount.innerHTML = '';
+    loadAccounts().forEach(function (email) {
+      var option = document.createElement('option');
+      option.value = email;
+      option.textContent = email;
+      dom.importAccount.appendChild(option);
+    });
+    var candidates = getAccountCandidates();
+    if (candidates.length > 0) {
+      var group = document.createElement('optgroup');
+      group.label = t('import.onThisEmail');
+      candidates.forEach(function (email) {
+        var option = document.createElement('option');
+        option.value = email;
+        option.textContent = email;
+        group.appendChild(option);
+      });
+      dom.importAccount.appendChild(group);
+    }
+    var add = document.createElement('option');
+    add.value = '';
+    add.textContent = t('import.addAccount');
+    dom.importAccount.appendChild(add);
+    dom.importAccount.value = account;
+
+    // The profile's account is always known, and the pane's is in use
+    dom.importForgetAccount.classList.toggle('hidden',
+      account === getProfileEmail() || account === getMailboxEmail());
+  }
 
-        var nameSpan = document.createElement('span');
-        nameSpan.className = 'result-name';
-        nameSpan.innerHTML = highlightMatch(result.category.displayName, result.matchRanges);
+  // Checkbox state lives in state.importSelected, so rows can be rebuilt
+  // while scrolling a long list
+  function renderImportList() {
+    var choices = state.importChoices;
+    if (choices.length >= VIRTUAL_MIN_ROWS) {
+      renderVirtualList(dom.importList, choices.length, IMPORT_ROW_HEIGHT, function (index) {
+        return buildImportRow(choices[index]);
+      });
+      return;
+    }
+    clearVirtualList(dom.importList);
+    choices.forEach(function (cat) { dom.importList.appendChild(buildImportRow(cat)); });
+  }
 
-        var checkSpan = document.createElement('span');
-        checkSpan.className = 'result-check';
-        checkSpan.textContent = isApplied ? '\u2713' : '';
+  // Other accounts whose lists (as ticked so far) have the label
+  function findImportOtherAccounts(key) {
+    return Object.keys(state.importSelections).filter(function (account) {
+      return account !== state.importAccount && state.importSelections[account][key];
+    });
+  }
 
-        row.appendChild(colorDot);
-        row.appendChild(nameSpan);
-        row.appendChild(checkSpan);
+  function buildImportRow(cat) {
+    var key = cat.displayName.toLowerCase();
+    var row = document.createElement('label');
+    row.className = 'import-row';
+
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = cat.displayName;
+    checkbox.checked = !!state.importSelected[key];
+
+    var colorDot = document.createElement('span');
+    colorDot.className = 'color-dot';
+    colorDot.style.backgroundColor = getColorHex(cat.color);
+
+    var nameSpan = document.createElement('span');
+    nameSpan.className = 'import-name';
+    nameSpan.textContent = cat.displayName;
+
+    row.appendChild(checkbox);
+    row.appendChild(colorDot);
+    row.appendChild(nameSpan);
+
+    if (state.importNew[key]) {
+      var newTag = document.createElement('span');
+      newTag.className = 'import-tag new';
+      newTag.textContent = t('import.new');
+      newTag.title = t('import.newTitle');
+      row.appendChild(newTag);
+    }
 
-        row.addEventListener('click', function () {
-          handleToggleLabel(result.category.displayName, isApplied);
-        });
+    var others = findImportOtherAccounts(key);
+    if (others.length > 0) {
+      var tag = document.createElement('span');
+      tag.className = 'import-tag';
+      tag.textContent = others[0].split('@')[0] + (others.length > 1 ? ' +' + (others.length - 1) : '');
+      tag.title = t('import.otherAccounts', { accounts: LabelI18n.formatList(others) });
+      row.appendChild(tag);
+    }
 
-        frag.appendChild(row);
+    var targets = Object.keys(state.importSelections).filter(function (account) {
+      return account !== state.importAccount;
+    });
+    if (checkbox.checked && targets.length > 0) {
+      var move = document.createElement('select');
+      move.className = 'import-move';
+      move.title = t('import.move');
+      move.setAttribute('data-name', cat.displayName);
+      var placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = forwardArrow();
+      move.appendChild(placeholder);
+      targets.forEach(function (account) {
+        var option = document.createElement('option');
+        option.value = account;
+        option.textContent = t('import.moveTo', { account: account });
+        move.appendChild(option);
       });
+      row.appendChild(move);
+    }
+    return row;
+  }
 
-      // "Create new label" option
-      if (!exactMatchExists && query.length > 0) {
-        var createRow = document.createElement('div');
-        createRow.className = 'search-result-row create-new';
-        var totalIndex = results.length;
-        createRow.setAttribute('data-index', String(totalIndex));
-        if (totalIndex === state.focusedResultIndex) createRow.classList.add('focused');
-
-        var plusIcon = document.createElement('span');
-        plusIcon.className = 'create-icon';
-        plusIcon.textContent = '+';
+  function closeImportDialog() {
+    dom.importOverlay.classList.add('hidden');
+  }
 
-        var createText = document.createElement('span');
-        createText.className = 'create-text';
-        createText.textContent = 'Create \u201C' + query + '\u201D';
+  function handleImportCheckboxChange(checkbox) {
+    var key = checkbox.value.toLowerCase();
+    if (checkbox.checked) {
+      state.importSelected[key] = true;
+    } else {
+      delete state.importSelected[key];
+    }
+    // The row gains or loses its move menu
+    renderImportList();
+    updateSelectAllState();
+  }
 
-        createRow.appendChild(plusIcon);
-        createRow.appendChild(createText);
+  // Off this account's list and onto the target's, both saved with the dialog
+  function moveImportChoice(name, account) {
+    var key = name.toLowerCase();
+    delete state.importSelected[key];
+    state.importSelections[account][key] = true;
+    if (!state.importTouched[account]) state.importTouched[account] = 'moved';
+    renderImportList();
+    updateSelectAllState();
+  }
 
-        createRow.addEventListener('click', function () {
-          openCreateDialog(query);
-        });
+  function handleImportAccountChange() {
+    var account = dom.importAccount.value;
+    if (!account) {
+      dom.importAccount.value = state.importAccount;
+      dom.importAddAccountRow.classList.remove('hidden');
+      dom.importAccountInput.focus();
+      return;
+    }
+    rememberAccount(account); // A candidate from getAccountCandidates
+    showImportAccount(account);
+  }
 
-        frag.appendChild(createRow);
-      }
+  function handleAddAccount() {
+    var email = dom.importAccountInput.value.trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      dom.importAccountInput.focus();
+      return;
     }
+    rememberAccount(email);
+    dom.importAccountInput.value = '';
+    dom.importAddAccountRow.classList.add('hidden');
+    showImportAccount(email);
+  }
 
-    dom.searchResults.innerHTML = '';
-    dom.searchResults.appendChild(frag);
+  function handleForgetAccount() {
+    var account = state.importAccount;
+    forgetAccount(account);
+    delete state.importSelections[account];
+    delete state.importTouched[account];
+    showImportAccount(getMailboxEmail());
+    renderMailboxName();
   }
 
-  function handleToggleLabel(displayName, isCurrentlyApplied) {
-    var action = isCurrentlyApplied
-      ? removeLabelFromItem(displayName)
-      : addLabelToItem(displayName);
+  function updateSelectAllState() {
+    var allChecked = state.importChoices.every(function (cat) {
+      return state.importSelected[cat.displayName.toLowerCase()];
+    });
+    dom.importSelectAll.checked = allChecked && state.importChoices.length > 0;
+  }
 
-    action
-      .then(function () {
-        // Let Outlook's native renderer settle after category mutation
-        return new Promise(function (r) { setTimeout(r, 200); });
-      })
-      .then(function () { return loadItemCategories(); })
-      .then(function () {
-        scheduleRender('applied', renderAppliedLabels);
-        scheduleRender('allLabels', renderAllLabels);
-        scheduleRender('search', renderSearchResults);
-      })
-      .catch(function (err) {
-        showStatus('Error: ' + (err.message || err), 'error');
+  function handleSelectAllToggle() {
+    var checked = dom.importSelectAll.checked;
+    Object.keys(state.importSelected).forEach(function (key) { delete state.importSelected[key]; });
+    if (checked) {
+      state.importChoices.forEach(function (cat) {
+        state.importSelected[cat.displayName.toLowerCase()] = true;
       });
+    }
+    renderImportList();
   }
 
-  function isLabelApplied(displayName) {
-    for (var i = 0; i < state.itemCategories.length; i++) {
-      if (state.itemCategories[i].displayName === displayName) return true;
-    }
-    return false;
+  function handleImportConfirm() {
+    var shown = {};
+    state.importChoices.forEach(function (cat) { shown[cat.displayName.toLowerCase()] = true; });
+    var savedCount = 0;
+
+    Object.keys(state.importTouched).forEach(function (account) {
+      var selected = state.importSelections[account];
+      var names = [];
+      var ruledOut = [];
+      state.importChoices.forEach(function (cat) {
+        (selected[cat.displayName.toLowerCase()] ? names : ruledOut).push(cat.displayName);
+      });
+      if (account === state.importAccount) savedCount = names.length;
+      // Labels Outlook no longer has stay listed, for Label health to sort out
+      loadOwnCategoryNames(account).forEach(function (name) {
+        if (!shown[name.toLowerCase()]) names.push(name);
+      });
+      LabelStore.setNames(getStorageKey(account), names);
+      if (state.importTouched[account] === 'viewed') {
+        LabelStore.setNames(getRuledOutKey(account), ruledOut);
+        markImportDone(account, true);
+      }
+    });
+    buildMasterCategoriesFromOwn();
+
+    closeImportDialog();
+    renderMailboxName();
+    renderSyncBadge();
+    scheduleRender('allLabels', renderAllLabels);
+    scheduleRender('labelCount', updateLabelCount);
+    scheduleRender('search', renderSearchResults);
+    var others = Object.keys(state.importTouched).length - 1;
+    var saved = plural('import.saved', savedCount, { account: state.importAccount });
+    showStatus(others > 0 ? plural('import.savedOthers', others, { saved: saved }) : saved, 'success');
   }
 
-  // --- Rendering: All Labels ---
+  // --- Export / Import label file ---
+  //
+  // A versioned JSON document with one entry per label, plus the mailbox's
+  // rules. Hierarchy travels in the names ("Clients/Acme"), exactly as
+  // Outlook stores it.
+
+  var EXPORT_FORMAT = 'outlook-labels';
+  var EXPORT_VERSION = 1;
+
+  function buildExportDocument() {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      labels: state.masterCategories.map(function (cat) {
+        return { name: cat.displayName, color: cat.color };
+      }),
+      rules: loadRules()
+    };
+  }
 
-  function renderAllLabels() {
-    var frag = document.createDocumentFragment();
+  // Browsers save an <a download> link as a file; the web views of desktop
+  // and mobile Outlook may ignore it without an error
+  function canDownloadFiles() {
+    var diagnostics = Office.context.diagnostics;
+    if (diagnostics && diagnostics.platform && diagnostics.platform !== Office.PlatformType.OfficeOnline) {
+      return false;
+    }
+    return typeof Blob === 'function' && !!window.URL && typeof URL.createObjectURL === 'function' &&
+      'download' in document.createElement('a');
+  }
 
-    state.masterCategories.forEach(function (cat) {
-      var row = document.createElement('div');
-      row.className = 'all-label-row';
+  // Saves the export as a file where the client can, else shows it to copy
+  function handleExport() {
+    var doc = buildExportDocument();
+    if (doc.labels.length === 0 && doc.rules.length === 0) {
+      showStatus(t('export.empty'), 'error');
+      return;
+    }
+    var json = JSON.stringify(doc, null, 2);
+    var file = 'labels-' + new Date().toISOString().slice(0, 10) + '.json';
+    if (!canDownloadFiles()) {
+      openExportDialog(json, file);
+      return;
+    }
+    try {
+      var url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      var link = document.createElement('a');
+      link.href = url;
+      link.download = file;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+    } catch (e) {
+      openExportDialog(json, file);
+      return;
+    }
+    var msg = plural('export.exported', doc.labels.length);
+    if (doc.rules.length > 0) msg = plural('export.exportedRules', doc.rules.length, { labels: msg });
+    showStatus(msg, 'success');
+  }
 
-      var colorDot = document.createElement('span');
-      colorDot.className = 'color-dot';
-      colorDot.style.backgroundColor = getColorHex(cat.color);
+  function openExportDialog(json, file) {
+    state.exportFile = file;
+    dom.exportHint.textContent = t('export.manual', { file: file });
+    dom.exportText.value = json;
+    dom.exportOverlay.classList.remove('hidden');
+    dom.exportText.focus();
+    dom.exportText.select();
+  }
 
-      var nameSpan = document.createElement('span');
-      nameSpan.className = 'all-label-name';
-      nameSpan.textContent = cat.displayName;
+  function closeExportDialog() {
+    dom.exportOverlay.classList.add('hidden');
+    dom.exportText.value = '';
+  }
 
-      var checkSpan = document.createElement('span');
-      checkSpan.className = 'all-label-check';
-      checkSpan.textContent = isLabelApplied(cat.displayName) ? '\u2713' : '';
+  // The text stays selected, so it can still be copied by hand
+  function handleExportCopy() {
+    dom.exportText.focus();
+    dom.exportText.select();
+    var copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } catch (e) { /* Not allowed here */ }
+    var copy = copied || !navigator.clipboard
+      ? Promise.resolve(copied)
+      : navigator.clipboard.writeText(dom.exportText.value)
+        .then(function () { return true; }, function () { return false; });
+    copy.then(function (done) {
+      if (done) showStatus(t('export.copied', { file: state.exportFile }), 'success', 6000);
+      else showStatus(t('export.copyError'), 'error');
+    });
+  }
 
-      row.appendChild(colorDot);
-      row.appendChild(nameSpan);
-      row.appendChild(checkSpan);
+  // Returns { labels, rules } of an export document, or throws a user-facing error
+  function parseExportDocument(text) {
+    var doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      throw { message: t('fileImport.notJson') };
+    }
+    if (!doc || doc.format !== EXPORT_FORMAT || !Array.isArray(doc.labels)) {
+      throw { message: t('fileImport.notExport') };
+    }
+    if (typeof doc.version !== 'number' || doc.version > EXPORT_VERSION) {
+      throw { message: t('fileImport.newerVersion') };
+    }
 
-      if (!state.isSharedMailbox) {
-        var deleteBtn = document.createElement('button');
-        deleteBtn.className = 'all-label-delete';
-        deleteBtn.textContent = '\u00D7';
-        deleteBtn.title = 'Delete label';
-        deleteBtn.addEventListener('click', function (e) {
-          e.stopPropagation();
-          confirmDeleteLabel(cat.displayName);
-        });
-        row.appendChild(deleteBtn);
+    var seen = {};
+    var labels = [];
+    doc.labels.forEach(function (entry) {
+      // Categories keep their literal names, so "Clients /Acme" stays as it
+      // was exported; diffImportedLabels also matches it by path
+      var name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+      if (!normalizeLabelPath(name) || seen[name.toLowerCase()]) return;
+      seen[name.toLowerCase()] = true;
+      labels.push({ name: name, color: CATEGORY_COLORS[entry.color] ? entry.color : 'Preset7' });
+    });
+    var rules = (Array.isArray(doc.rules) ? doc.rules : []).map(LabelRules.normalize).filter(Boolean);
+    return { labels: labels, rules: rules };
+  }
 
-        row.addEventListener('click', function () {
-          var applied = isLabelApplied(cat.displayName);
-          handleToggleLabel(cat.displayName, applied);
-        });
-      }
+  // Sort each imported label against the mailbox's master list, and keep
+  // the rules this mailbox does not have yet
+  function diffImportedLabels(imported) {
+    var labels = imported.labels;
+    var apiMap = {};
+    var pathMap = {};
+    state.allApiCategories.forEach(function (cat) {
+      apiMap[cat.displayName.toLowerCase()] = cat;
+      var path = normalizeLabelPath(cat.displayName).toLowerCase();
+      if (!pathMap[path]) pathMap[path] = cat;
+    });
 
-      frag.appendChild(row);
+    var diff = { added: [], recolored: [], present: [] };
+    var matched = {};
+    labels.forEach(function (label) {
+      // The same name, else one on the same path ("Clients /Acme", "Clients/Acme")
+      var existing = apiMap[label.name.toLowerCase()] ||
+        pathMap[normalizeLabelPath(label.name).toLowerCase()];
+      // Each category, or each path for new ones, is listed once
+      var key = existing ? existing.displayName.toLowerCase() : '/' + normalizeLabelPath(label.name).toLowerCase();
+      if (matched[key]) return;
+      matched[key] = true;
+      if (!existing) {
+        diff.added.push(label);
+      } else if (existing.color !== label.color) {
+        diff.recolored.push({ name: existing.displayName, color: label.color, oldColor: existing.color });
+      } else {
+        diff.present.push({ name: existing.displayName, color: existing.color });
+      }
+    });
+    ['added', 'recolored', 'present'].forEach(function (group) {
+      diff[group].sort(function (a, b) { return compareLabelPaths(a.name, b.name); });
     });
 
-    dom.allLabelsList.innerHTML = '';
-    dom.allLabelsList.appendChild(frag);
+    var existingRules = loadRules();
+    diff.rules = imported.rules.filter(function (rule) {
+      return !existingRules.some(function (other) { return LabelRules.isSameRule(rule, other); });
+    });
+    return diff;
   }
 
-  function updateLabelCount() {
-    dom.labelCount.textContent = String(state.masterCategories.length);
+  function importLabelFile(file) {
+    var reader = new FileReader();
+    reader.onload = function () {
+      try {
+        var imported = parseExportDocument(String(reader.result));
+        if (imported.labels.length === 0 && imported.rules.length === 0) {
+          showStatus(t('fileImport.noLabels'), 'error');
+          return;
+        }
+        openFileImportDialog(diffImportedLabels(imported));
+      } catch (err) {
+        showStatus(t('fileImport.error', { reason: err.message || err }), 'error');
+      }
+    };
+    reader.onerror = function () {
+      showStatus(t('fileImport.error', { reason: t('fileImport.unreadable') }), 'error');
+    };
+    reader.readAsText(file);
   }
 
-  // --- Create Label Dialog ---
+  function buildFileImportRow(label, checkable, checked) {
+    var row = document.createElement('label');
+    row.className = 'import-row' + (checkable ? '' : ' present');
+
+    if (checkable) {
+      var checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = label.name;
+      checkbox.checked = checked;
+      row.appendChild(checkbox);
+    }
 
-  function openCreateDialog(prefillName) {
-    dom.newLabelName.value = prefillName || '';
-    renderColorPicker();
-    dom.createOverlay.classList.remove('hidden');
-    dom.newLabelName.focus();
-    dom.newLabelName.select();
+    var colorDot = document.createElement('span');
+    colorDot.className = 'color-dot';
+    colorDot.style.backgroundColor = getColorHex(label.color);
+    row.appendChild(colorDot);
+
+    var nameSpan = document.createElement('span');
+    nameSpan.className = 'import-name';
+    nameSpan.textContent = label.name;
+    row.appendChild(nameSpan);
+
+    if (label.oldColor) {
+      var change = document.createElement('span');
+      change.className = 'import-color-change';
+      change.title = t('fileImport.colorChange', { from: getColorName(label.oldColor), to: getColorName(label.color) });
+      var oldDot = document.createElement('span');
+      oldDot.className = 'color-dot';
+      oldDot.style.backgroundColor = getColorHex(label.oldColor);
+      change.appendChild(document.createTextNode(t('fileImport.was')));
+      change.appendChild(oldDot);
+      row.appendChild(change);
+    }
+    return row;
   }
 
-  function closeCreateDialog() {
-    dom.createOverlay.classList.add('hidden');
-    dom.newLabelName.value = '';
+  function buildFileImportRuleRow(rule, index) {
+    var row = document.createElement('label');
+    row.className = 'import-row';
+
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.setAttribute('data-rule-index', String(index));
+    checkbox.checked = true;
+    row.appendChild(checkbox);
+
+    var nameSpan = document.createElement('span');
+    nameSpan.className = 'import-name';
+    nameSpan.textContent = rule.name || LabelRules.describe(rule);
+    nameSpan.title = t('rules.line', { conditions: LabelRules.describe(rule), labels: rule.labels.join(t('list.separator')) });
+    row.appendChild(nameSpan);
+    return row;
   }
 
-  function renderColorPicker() {
-    dom.colorPicker.innerHTML = '';
-    var presets = Object.keys(CATEGORY_COLORS);
+  function appendFileImportGroup(title, labels, checkable, checked) {
+    if (labels.length === 0) return;
+    var header = document.createElement('div');
+    header.className = 'file-import-group';
+    header.textContent = t('group.title', { title: title, count: LabelI18n.formatNumber(labels.length) });
+    dom.fileImportList.appendChild(header);
+    labels.forEach(function (label) {
+      dom.fileImportList.appendChild(buildFileImportRow(label, checkable, checked));
+    });
+  }
 
-    presets.forEach(function (presetKey) {
-      var info = CATEGORY_COLORS[presetKey];
-      var swatch = document.createElement('button');
-      swatch.type = 'button';
-      swatch.className = 'color-swatch';
-      swatch.style.backgroundColor = info.hex;
-      swatch.title = info.name;
-      swatch.setAttribute('data-preset', presetKey);
+  function openFileImportDialog(diff) {
+    state.pendingFileImport = diff;
+    dom.fileImportList.innerHTML = '';
+
+    var parts = [];
+    if (diff.added.length) parts.push(plural('fileImport.part.added', diff.added.length));
+    if (diff.recolored.length) parts.push(plural('fileImport.part.recolored', diff.recolored.length));
+    if (diff.present.length) parts.push(plural('fileImport.part.present', diff.present.length));
+    if (diff.rules.length) parts.push(plural('fileImport.part.rules', diff.rules.length));
+    dom.fileImportSummary.textContent = t('fileImport.summary', {
+      parts: parts.length ? parts.join(t('list.separator')) : t('fileImport.nothingNew')
+    });
 
-      swatch.addEventListener('click', function () {
-        dom.colorPicker.querySelectorAll('.color-swatch').forEach(function (s) {
-          s.classList.remove('selected');
-        });
-        swatch.classList.add('selected');
+    // New labels are what the file is for; changing existing colors is opt-in
+    appendFileImportGroup(t('fileImport.added'), diff.added, true, true);
+    appendFileImportGroup(t('fileImport.recolored'), diff.recolored, true, false);
+    appendFileImportGroup(t('fileImport.present'), diff.present, false, false);
+
+    if (diff.rules.length > 0) {
+      var header = document.createElement('div');
+      header.className = 'file-import-group';
+      header.textContent = t('group.title', { title: t('fileImport.rules'), count: LabelI18n.formatNumber(diff.rules.length) });
+      dom.fileImportList.appendChild(header);
+      diff.rules.forEach(function (rule, index) {
+        dom.fileImportList.appendChild(buildFileImportRuleRow(rule, index));
       });
+    }
 
-      dom.colorPicker.appendChild(swatch);
-    });
-
-    var defaultSwatch = dom.colorPicker.querySelector('[data-preset="Preset7"]');
-    if (defaultSwatch) defaultSwatch.classList.add('selected');
+    dom.fileImportOverlay.classList.remove('hidden');
   }
 
-  function handleCreateConfirm() {
-    var name = dom.newLabelName.value.trim();
-    if (!name) {
-      showStatus('Label name cannot be empty', 'error');
-      return;
-    }
-
-    if (FuzzySearch.hasExactMatch(name, state.masterCategories)) {
-      showStatus('A label with this name already exists', 'error');
-      return;
-    }
+  function closeFileImportDialog() {
+    dom.fileImportOverlay.classList.add('hidden');
+    state.pendingFileImport = null;
+  }
 
-    var selectedSwatch = dom.colorPicker.querySelector('.color-swatch.selected');
-    var presetKey = selectedSwatch ? selectedSwatch.getAttribute('data-preset') : 'Preset7';
-    var colorEnum = Office.MailboxEnums.CategoryColor[presetKey];
+  function handleFileImportConfirm() {
+    var diff = state.pendingFileImport;
+    if (!diff) return;
+
+    var checked = {};
+    var rulesToAdd = [];
+    dom.fileImportList.querySelectorAll('input[type="checkbox"]').forEach(function (cb) {
+      if (!cb.checked) return;
+      var ruleIndex = cb.getAttribute('data-rule-index');
+      if (ruleIndex !== null) {
+        rulesToAdd.push(diff.rules[Number(ruleIndex)]);
+      } else {
+        checked[cb.value.toLowerCase()] = true;
+      }
+    });
+    var toCreate = diff.added.filter(function (l) { return checked[l.name.toLowerCase()]; });
+    var toRecolor = diff.recolored.filter(function (l) { return checked[l.name.toLowerCase()]; });
+    var created = 0;
+    var recolored = 0;
+    var failed = [];
+    closeFileImportDialog();
+
+    // Outlook handles one master-list change at a time; parents sort first
+    var chain = toCreate.reduce(function (p, label) {
+      return p.then(function () {
+        return addMasterCategory(label.name, Office.MailboxEnums.CategoryColor[label.color])
+          .then(function () { created++; }, function () { failed.push(label.name); });
+      });
+    }, Promise.resolve());
+    chain = toRecolor.reduce(function (p, label) {
+      return p.then(function () {
+        var color = Office.MailboxEnums.CategoryColor[label.color];
+        return recolorMasterCategory(label.name, label.oldColor, color)
+          .then(function () { recolored++; }, function () { failed.push(label.name); });
+      });
+    }, chain);
 
-    addMasterCategory(name, colorEnum)
-      .then(function () { return fetchAllApiCategories(); })
+    chain
       .then(function () {
-        buildMasterCategoriesFromOwn();
-        // Let Outlook's native renderer finish drawing the new category badge
-        // before mutating item categories (prevents OlkUIKit image crash)
-        return new Promise(function (r) { setTimeout(r, 200); });
+        // Labels that already exist in Outlook only need tracking
+        diff.recolored.concat(diff.present).forEach(function (label) {
+          addOwnCategoryName(label.name);
+        });
+        if (rulesToAdd.length > 0) {
+          saveRules(loadRules().concat(rulesToAdd.map(function (rule) {
+            rule.id = LabelRules.createId();
+            return rule;
+          })));
+        }
+        markImportDone();
+        return fetchAllApiCategories();
       })
-      .then(function () { return addLabelToItem(name); })
-      .then(function () { return loadItemCategories(); })
       .then(function () {
-        closeCreateDialog();
-        dom.searchInput.value = '';
-        state.searchQuery = '';
-        dom.searchResults.innerHTML = '';
+        buildMasterCategoriesFromOwn();
         scheduleRender('applied', renderAppliedLabels);
         scheduleRender('allLabels', renderAllLabels);
         scheduleRender('labelCount', updateLabelCount);
-        showStatus('Label \u201C' + name + '\u201D created and applied', 'success');
+        scheduleRender('search', renderSearchResults);
+
+        var parts = [plural('fileImport.created', created), plural('fileImport.recoloredCount', recolored)];
+        if (rulesToAdd.length > 0) parts.push(plural('fileImport.part.rulesAdded', rulesToAdd.length));
+        var msg = t('fileImport.imported', { parts: parts.join(t('list.separator')) });
+        if (failed.length > 0) {
+          showStatus(t('fileImport.importedFailed', { done: msg, names: failed.join(t('list.separator')) }), 'error', 8000);
+        } else {
+          showStatus(msg, 'success');
+        }
       })
       .catch(function (err) {
-        showStatus('Error creating label: ' + (err.message || err), 'error');
+        showStatus(t('fileImport.error', { reason: err.message || err }), 'error');
       });
   }
 
-  // --- Delete Label Dialog ---
+  // --- Rules Editor ---
 
-  function confirmDeleteLabel(displayName) {
-    state.pendingDeleteLabel = displayName;
-    dom.deleteMsg.textContent = 'Delete \u201C' + displayName + '\u201D? This removes it from all emails.';
-    dom.deleteOverlay.classList.remove('hidden');
+  function openRulesDialog() {
+    renderRulesList();
+    showRulesPanel('list');
+    dom.rulesOverlay.classList.remove('hidden');
   }
 
-  function closeDeleteDialog() {
-    dom.deleteOverlay.classList.add('hidden');
-    state.pendingDeleteLabel = null;
+  function closeRulesDialog() {
+    dom.rulesOverlay.classList.add('hidden');
+    state.editingRuleId = null;
+    refreshRules(); // Show what the edited rules make of the open email
   }
 
-  function handleDeleteConfirm() {
-    var name = state.pendingDeleteLabel;
-    if (!name) return;
+  function showRulesPanel(panel) {
+    dom.rulesListPanel.classList.toggle('hidden', panel !== 'list');
+    dom.ruleForm.classList.toggle('hidden', panel !== 'form');
+  }
 
-    deleteMasterCategory(name)
-      .then(function () { return fetchAllApiCategories(); })
-      .then(function () {
-        buildMasterCategoriesFromOwn();
-        // Let Outlook's native renderer finish redrawing after category removal
-        // before querying item categories (prevents OlkUIKit image crash)
-        return new Promise(function (r) { setTimeout(r, 200); });
-      })
-      .then(function () { return loadItemCategories(); })
-      .then(function () {
-        closeDeleteDialog();
-        scheduleRender('applied', renderAppliedLabels);
-        scheduleRender('allLabels', renderAllLabels);
-        scheduleRender('labelCount', updateLabelCount);
-        scheduleRender('search', renderSearchResults);
-        showStatus('Label \u201C' + name + '\u201D deleted', 'success');
-      })
-      .catch(function (err) {
-        closeDeleteDialog();
-        buildMasterCategoriesFromOwn();
-        scheduleRender('applied', renderAppliedLabels);
-        scheduleRender('allLabels', renderAllLabels);
-        scheduleRender('labelCount', updateLabelCount);
-        scheduleRender('search', renderSearchResults);
-        var msg = (err && err.message) ? err.message : String(err || 'Unknown error');
-        showStatus('Error deleting label: ' + msg, 'error');
+  function renderRulesList() {
+    var rules = loadRules();
+    dom.rulesList.innerHTML = '';
+
+    if (rules.length === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = t('rules.empty');
+      dom.rulesList.appendChild(empty);
+      return;
+    }
+
+    var frag = document.createDocumentFragment();
+    rules.forEach(function (rule) {
+      var row = document.createElement('div');
+      row.className = 'rule-row';
+
+      var toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.title = t(rule.enabled ? 'rules.turnOff' : 'rules.turnOn');
+      toggle.addEventListener('change', function () {
+        updateRule(rule.id, function (r) { r.enabled = toggle.checked; });
+      });
+
+      var text = document.createElement('div');
+      text.className = 'rule-text' + (rule.enabled ? '' : ' disabled');
+      var title = document.createElement('div');
+      title.textContent = rule.name || rule.labels.join(t('list.separator'));
+      var summary = document.createElement('div');
+      summary.className = 'rule-summary';
+      summary.textContent = t(rule.mode === 'apply' ? 'rules.summaryApply' : 'rules.summarySuggest', {
+        conditions: LabelRules.describe(rule),
+        labels: rule.labels.join(t('list.separator'))
+      });
+      text.appendChild(title);
+      text.appendChild(summary);
+
+      var editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'rule-edit';
+      editBtn.textContent = '\u270E';
+      editBtn.title = t('rules.edit');
+      editBtn.addEventListener('click', function () { openRuleForm(rule); });
+
+      var deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'rule-delete';
+      deleteBtn.textContent = '\u00D7';
+      deleteBtn.title = t('rules.delete');
+      deleteBtn.addEventListener('click', function () {
+        saveRules(loadRules().filter(function (r) { return r.id !== rule.id; }));
+        renderRulesList();
+        showStatus(t('rules.deleted'), 'success');
       });
+
+      row.appendChild(toggle);
+      row.appendChild(text);
+      row.appendChild(editBtn);
+      row.appendChild(deleteBtn);
+      frag.appendChild(row);
+    });
+    dom.rulesList.appendChild(frag);
   }
 
-  // --- Import Dialog ---
+  function updateRule(id, change) {
+    var rules = loadRules();
+    rules.forEach(function (rule) {
+      if (rule.id === id) change(rule);
+    });
+    saveRules(rules);
+    renderRulesList();
+  }
 
-  function openImportDialog() {
-    dom.importList.innerHTML = '';
-    var ownNames = loadOwnCategoryNames();
-    var ownLower = ownNames.map(function (n) { return n.toLowerCase(); });
+  function openRuleForm(rule) {
+    state.editingRuleId = rule ? rule.id : null;
+    dom.ruleFormTitle.textContent = t(rule ? 'rules.edit' : 'rules.new');
+    dom.ruleName.value = rule ? rule.name : '';
+    dom.ruleFrom.value = rule ? rule.from.join(', ') : '';
+    dom.ruleRecipients.value = rule ? rule.recipients.join(', ') : '';
+    dom.ruleSubject.value = rule ? rule.subject.join(', ') : '';
+    dom.ruleAttachment.value = !rule || rule.hasAttachment === null ? '' : (rule.hasAttachment ? 'yes' : 'no');
+    dom.ruleMode.value = rule ? rule.mode : 'suggest';
+    dom.ruleError.classList.add('hidden');
+    renderRuleLabelChoices(rule ? rule.labels : []);
+    showRulesPanel('form');
+    dom.ruleName.focus();
+  }
 
-    // Sort API categories alphabetically
-    var sorted = state.allApiCategories.slice().sort(function (a, b) {
-      return a.displayName.localeCompare(b.displayName);
+  // Checklist of own labels; labels a rule names that no longer exist stay
+  // listed so saving does not drop them silently
+  function renderRuleLabelChoices(selected) {
+    var selectedLower = selected.map(function (n) { return n.toLowerCase(); });
+    var names = state.masterCategories.map(function (cat) { return cat.displayName; });
+    selected.forEach(function (name) {
+      if (!findOwnCategory(name)) names.push(name);
     });
 
-    if (sorted.length === 0) {
-      var emptyMsg = document.createElement('p');
-      emptyMsg.className = 'empty-state';
-      emptyMsg.textContent = 'No categories found in Outlook.';
-      dom.importList.appendChild(emptyMsg);
-      dom.importOverlay.classList.remove('hidden');
+    dom.ruleLabels.innerHTML = '';
+    if (names.length === 0) {
+      var empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = t('rules.noLabels');
+      dom.ruleLabels.appendChild(empty);
       return;
     }
 
-    sorted.forEach(function (cat) {
+    var frag = document.createDocumentFragment();
+    names.forEach(function (name) {
       var row = document.createElement('label');
       row.className = 'import-row';
 
       var checkbox = document.createElement('input');
       checkbox.type = 'checkbox';
-      checkbox.value = cat.displayName;
-      checkbox.checked = ownLower.indexOf(cat.displayName.toLowerCase()) !== -1;
+      checkbox.value = name;
+      checkbox.checked = selectedLower.indexOf(name.toLowerCase()) !== -1;
 
       var colorDot = document.createElement('span');
       colorDot.className = 'color-dot';
-      colorDot.style.backgroundColor = getColorHex(cat.color);
+      colorDot.style.backgroundColor = getColorHex(getCategoryColor(name));
 
       var nameSpan = document.createElement('span');
       nameSpan.className = 'import-name';
-      nameSpan.textContent = cat.displayName;
+      nameSpan.textContent = findOwnCategory(name) ? name : t('rules.missingLabel', { name: name });
 
       row.appendChild(checkbox);
       row.appendChild(colorDot);
       row.appendChild(nameSpan);
-      dom.importList.appendChild(row);
+      frag.appendChild(row);
     });
-
-    // Update select-all state
-    updateSelectAllState();
-
-    dom.importOverlay.classList.remove('hidden');
-  }
-
-  function closeImportDialog() {
-    dom.importOverlay.classList.add('hidden');
+    dom.ruleLabels.appendChild(frag);
   }
 
-  function updateSelectAllState() {
-    var checkboxes = dom.importList.querySelectorAll('input[type="checkbox"]');
-    var allChecked = true;
-    checkboxes.forEach(function (cb) {
-      if (!cb.checked) allChecked = false;
-    });
-    dom.importSelectAll.checked = allChecked && checkboxes.length > 0;
+  function showRuleError(message) {
+    dom.ruleError.textContent = message;
+    dom.ruleError.classList.remove('hidden');
   }
 
-  function handleSelectAllToggle() {
-    var checked = dom.importSelectAll.checked;
-    var checkboxes = dom.importList.querySelectorAll('input[type="checkbox"]');
-    checkboxes.forEach(function (cb) {
-      cb.checked = checked;
+  function handleRuleSave() {
+    var labels = [];
+    dom.ruleLabels.querySelectorAll('input[type="checkbox"]').forEach(function (cb) {
+      if (cb.checked) labels.push(cb.value);
     });
-  }
+    var attachment = dom.ruleAttachment.value;
+    var raw = {
+      id: state.editingRuleId || LabelRules.createId(),
+      name: dom.ruleName.value,
+      enabled: true,
+      mode: dom.ruleMode.value,
+      from: LabelRules.parseList(dom.ruleFrom.value),
+      recipients: LabelRules.parseList(dom.ruleRecipients.value),
+      subject: LabelRules.parseList(dom.ruleSubject.value),
+      hasAttachment: attachment === '' ? null : attachment === 'yes',
+      labels: labels
+    };
+    if (!raw.from.length && !raw.recipients.length && !raw.subject.length && raw.hasAttachment === null) {
+      showRuleError(t('rules.noConditions'));
+      return;
+    }
+    if (labels.length === 0) {
+      showRuleError(t('rules.noLabelsPicked'));
+      return;
+    }
 
-  function handleImportConfirm() {
-    var checkboxes = dom.importList.querySelectorAll('input[type="checkbox"]');
-    var selectedNames = [];
-    checkboxes.forEach(function (cb) {
-      if (cb.checked) {
-        selectedNames.push(cb.value);
-      }
+    var rule = LabelRules.normalize(raw);
+    var rules = loadRules();
+    var replaced = false;
+    rules = rules.map(function (r) {
+      if (r.id !== rule.id) return r;
+      replaced = true;
+      rule.enabled = r.enabled;
+      return rule;
     });
+    if (!replaced) rules.push(rule);
+    saveRules(rules);
 
-    saveOwnCategoryNames(selectedNames);
-    markImportDone();
-    buildMasterCategoriesFromOwn();
+    state.editingRuleId = null;
+    renderRulesList();
+    showRulesPanel('list');
+    showStatus(t(replaced ? 'rules.updated' : 'rules.created'), 'success');
+  }
 
-    closeImportDialog();
-    scheduleRender('allLabels', renderAllLabels);
-    scheduleRender('labelCount', updateLabelCount);
-    scheduleRender('search', renderSearchResults);
-    showStatus('Imported ' + selectedNames.length + ' label' + (selectedNames.length !== 1 ? 's' : ''), 'success');
+  function cancelRuleForm() {
+    state.editingRuleId = null;
+    showRulesPanel('list');
   }
 
   // --- Keyboard Navigation for Search ---
 
   function getTotalResultCount() {
     var count = state.searchResults.length;
-    var query = state.searchQuery.trim();
-    if (query && !FuzzySearch.hasExactMatch(query, state.masterCategories)) {
-      count++;
-    }
+    if (showsCreateRow()) count++;
     return count;
   }
 
   function handleSearchKeydown(e) {
+    if (e.key === 'Escape') {
+      dom.searchInput.value = '';
+      state.searchQuery = '';
+      state.searchFilters = [];
+      state.focusedResultIndex = -1;
+      state.isRecentOpen = false;
+      dom.searchResults.innerHTML = '';
+      dom.searchInput.blur();
+      return;
+    }
+    if (e.key === 'Backspace' && dom.searchInput.value === '') {
+      e.preventDefault();
+      removeLastAppliedLabel();
+      return;
+    }
+
     var total = getTotalResultCount();
     if (total === 0) return;
 
@@ -982,12 +5461,12 @@
         var focusedRow = dom.searchResults.querySelector('[data-index="' + state.focusedResultIndex + '"]');
         if (focusedRow) focusedRow.click();
       }
-    } else if (e.key === 'Escape') {
-      dom.searchInput.value = '';
-      state.searchQuery = '';
-      state.focusedResultIndex = -1;
-      dom.searchResults.innerHTML = '';
-      dom.searchInput.blur();
+    } else if (e.key === 'Delete' && e.shiftKey) {
+      var result = state.searchResults[state.focusedResultIndex];
+      if (result && !state.isSharedMailbox) {
+        e.preventDefault();
+        confirmDeleteLabel(result.category.displayName);
+      }
     }
   }
 
@@ -1003,12 +5482,228 @@
     }
   }
 
+  function toggleAllLabels() {
+    state.isAllLabelsExpanded = !state.isAllLabelsExpanded;
+    if (state.isAllLabelsExpanded) {
+      dom.allLabelsList.classList.remove('collapsed');
+      dom.allLabelsList.style.maxHeight = getAllLabelsHeight() + 'px';
+      dom.toggleArrow.classList.add('expanded');
+    } else {
+      dom.allLabelsList.style.maxHeight = '0';
+      dom.allLabelsList.classList.add('collapsed');
+      dom.toggleArrow.classList.remove('expanded');
+    }
+  }
+
+  function refreshAll() {
+    LabelStore.resync();
+    loadAllData();
+  }
+
+  // --- Keyboard Shortcuts ---
+
+  // Pane-wide keys, active when no dialog is open and focus is not in a text
+  // field. `writes` bindings change the category list, which only the
+  // mailbox owner can do, so they are off in shared mailboxes;
+  // `needsItem` ones are off while no email is shown. Titles and
+  // descriptions are message keys.
+  var GLOBAL_SHORTCUTS = [
+    { key: '/', description: 'shortcuts.search', needsItem: true, run: focusSearch },
+    { key: 'c', description: 'shortcuts.create', needsItem: true, writes: true, run: function () {
+      openCreateDialog(state.searchQuery.trim());
+    } },
+    { key: 'a', description: 'shortcuts.allLabels', needsItem: true, run: toggleAllLabels },
+    { key: 'r', description: 'shortcuts.refresh', run: refreshAll },
+    { key: 's', description: 'shortcuts.sync', needsItem: true, run: openImportDialog },
+    { key: '?', description: 'shortcuts.help', run: openShortcutsDialog }
+  ];
+
+  // Listed in the help overlay only; handled where they apply. `join` goes
+  // between the keys (default "+", for key combinations).
+  var LOCAL_SHORTCUTS = [
+    { title: 'shortcuts.anywhere', keys: ['1', '9'], join: '\u2013', description: 'shortcuts.recent' },
+    { title: 'shortcuts.inSearch', keys: ['\u2191', '\u2193'], join: ' ', description: 'shortcuts.move' },
+    { title: 'shortcuts.inSearch', keys: ['Enter'], description: 'shortcuts.toggle' },
+    { title: 'shortcuts.inSearch', keys: ['Shift', 'Delete'], description: 'shortcuts.delete' },
+    { title: 'shortcuts.inSearch', keys: ['Backspace'], description: 'shortcuts.removeLast' },
+    { title: 'shortcuts.inSearch', keys: ['Esc'], description: 'shortcuts.clear' },
+    { title: 'shortcuts.inDialogs', keys: ['Enter'], description: 'shortcuts.confirm' },
+    { title: 'shortcuts.inDialogs', keys: ['Esc'], description: 'shortcuts.close' }
+  ];
+
+  function applyRecentLabel(index) {
+    var cat = getRecentLabels()[index];
+    if (!cat) return;
+    if (isLabelApplied(cat.displayName)) {
+      showStatus(t('status.alreadyApplied', { name: cat.displayName }), 'success');
+      return;
+    }
+    handleToggleLabel(cat.displayName, false);
+  }
+
+  function removeLastAppliedLabel() {
+    if (state.isReadOnly || state.itemCategories.length === 0) return;
+    handleRemoveLabel(state.itemCategories[state.itemCategories.length - 1].displayName);
+  }
+
+  function focusSearch() {
+    dom.searchInput.focus();
+    dom.searchInput.select();
+  }
+
+  function isTextField(el) {
+    if (!el || !el.tagName) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.tagName === 'INPUT' && ['checkbox', 'radio', 'button'].indexOf(el.type) === -1;
+  }
+
+  function getOpenOverlay() {
+    return document.querySelector('.overlay:not(.hidden)');
+  }
+
+  function closeOverlay(overlay) {
+    var closers = {
+      'create-overlay': closeCreateDialog,
+      'delete-overlay': closeDeleteDialog,
+      'rename-overlay': closeRenameDialog,
+      'edit-overlay': closeEditDialog,
+      'bulk-overlay': closeBulkDialog,
+      'merge-overlay': closeMergeDialog,
+      'import-overlay': closeImportDialog,
+      'file-import-overlay': closeFileImportDialog,
+      'export-overlay': closeExportDialog,
+      'rules-overlay': closeRulesDialog,
+      'health-overlay': closeHealthDialog,
+      'shortcuts-overlay': closeShortcutsDialog
+    };
+    var close = closers[overlay.id];
+    if (close) close();
+  }
+
+  function isPaneActive() {
+    return !dom.currentLabels.classList.contains('hidden');
+  }
+
+  function handleGlobalKeydown(e) {
+    var overlay = getOpenOverlay();
+    if (overlay) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeOverlay(overlay);
+      } else if (e.key === 'Enter' && !isTextField(e.target) && e.target.tagName !== 'BUTTON') {
+        // Text fields and buttons handle Enter themselves
+        var confirm = Array.prototype.filter.call(
+          overlay.querySelectorAll('.btn-primary, .btn-danger'),
+          function (btn) { return !btn.closest('.hidden'); }
+        )[0];
+        if (confirm) {
+          e.preventDefault();
+          confirm.click();
+        }
+      }
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+
+    if (/^[1-9]$/.test(e.key)) {
+      if (!isPaneActive() || state.isReadOnly) return;
+      e.preventDefault();
+      applyRecentLabel(Number(e.key) - 1);
+      return;
+    }
+
+    var key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    var binding = GLOBAL_SHORTCUTS.filter(function (b) { return b.key === key; })[0];
+    if (!binding) return;
+    if (binding.needsItem && !isPaneActive()) return;
+    if (binding.writes && state.isSharedMailbox) return;
+    e.preventDefault();
+    binding.run();
+  }
+
+  function renderShortcutKeys(container, keys, join) {
+    keys.forEach(function (key, i) {
+      if (i > 0) container.appendChild(document.createTextNode(join || '+'));
+      var kbd = document.createElement('kbd');
+      kbd.textContent = key;
+      container.appendChild(kbd);
+    });
+  }
+
+  function renderShortcutsList() {
+    var rows = GLOBAL_SHORTCUTS.map(function (b) {
+      return { title: 'shortcuts.anywhere', keys: [b.key.toUpperCase()], description: b.description };
+    }).concat(LOCAL_SHORTCUTS);
+
+    var frag = document.createDocumentFragment();
+    var lastTitle = null;
+    rows.forEach(function (row) {
+      if (row.title !== lastTitle) {
+        lastTitle = row.title;
+        var group = document.createElement('div');
+        group.className = 'shortcuts-group';
+        group.textContent = t(row.title);
+        frag.appendChild(group);
+      }
+      var line = document.createElement('div');
+      line.className = 'shortcut-row';
+      var keys = document.createElement('span');
+      keys.className = 'shortcut-keys';
+      renderShortcutKeys(keys, row.keys, row.join);
+      var desc = document.createElement('span');
+      desc.className = 'shortcut-description';
+      desc.textContent = t(row.description);
+      line.appendChild(keys);
+      line.appendChild(desc);
+      frag.appendChild(line);
+    });
+
+    // What the number keys apply right now
+    var recent = getRecentLabels();
+    if (recent.length > 0) {
+      var recentGroup = document.createElement('div');
+      recentGroup.className = 'shortcuts-group';
+      recentGroup.textContent = t('shortcuts.recentLabels');
+      frag.appendChild(recentGroup);
+      recent.forEach(function (cat, i) {
+        var line = document.createElement('div');
+        line.className = 'shortcut-row';
+        var keys = document.createElement('span');
+        keys.className = 'shortcut-keys';
+        renderShortcutKeys(keys, [String(i + 1)]);
+        var desc = document.createElement('span');
+        desc.className = 'shortcut-description';
+        desc.title = cat.displayName;
+        desc.innerHTML = renderLabelPath(cat.displayName, []);
+        line.appendChild(keys);
+        line.appendChild(desc);
+        frag.appendChild(line);
+      });
+    }
+
+    dom.shortcutsList.innerHTML = '';
+    dom.shortcutsList.appendChild(frag);
+  }
+
+  function openShortcutsDialog() {
+    renderShortcutsList();
+    dom.shortcutsOverlay.classList.remove('hidden');
+    dom.shortcutsClose.focus();
+  }
+
+  function closeShortcutsDialog() {
+    dom.shortcutsOverlay.classList.add('hidden');
+  }
+
   // --- Event Binding ---
 
   function bindEvents() {
     dom.searchInput.addEventListener('input', debounce(function () {
       state.searchQuery = dom.searchInput.value;
       state.focusedResultIndex = -1;
+      // Clearing the box while it has focus brings back the Recent section
+      state.isRecentOpen = !state.searchQuery.trim() && document.activeElement === dom.searchInput;
       performSearch();
     }, 150));
 
@@ -1018,33 +5713,72 @@
       if (!dom.searchInput.contains(e.target) && !dom.searchResults.contains(e.target)) {
         dom.searchResults.innerHTML = '';
         state.focusedResultIndex = -1;
+        state.isRecentOpen = false;
       }
     });
 
     dom.searchInput.addEventListener('focus', function () {
-      if (state.searchQuery.trim()) {
-        performSearch();
-      }
+      if (!state.searchQuery.trim()) state.isRecentOpen = true;
+      performSearch();
     });
 
-    dom.toggleAllBtn.addEventListener('click', function () {
-      state.isAllLabelsExpanded = !state.isAllLabelsExpanded;
-      if (state.isAllLabelsExpanded) {
-        dom.allLabelsList.classList.remove('collapsed');
-        dom.allLabelsList.style.maxHeight = dom.allLabelsList.scrollHeight + 'px';
-        dom.toggleArrow.classList.add('expanded');
-      } else {
-        dom.allLabelsList.style.maxHeight = '0';
-        dom.allLabelsList.classList.add('collapsed');
-        dom.toggleArrow.classList.remove('expanded');
-      }
-    });
+    dom.toggleAllBtn.addEventListener('click', toggleAllLabels);
+    dom.refreshBtn.addEventListener('click', refreshAll);
+    document.addEventListener('keydown', handleGlobalKeydown);
 
-    dom.refreshBtn.addEventListener('click', function () { loadAllData(); });
+    dom.threadSuggestionsApplyAll.addEventListener('click', handleApplyAllThreadSuggestions);
 
     // Import button
     dom.importBtn.addEventListener('click', function () { openImportDialog(); });
 
+    // Export / import file
+    dom.exportBtn.addEventListener('click', handleExport);
+    dom.importFileBtn.addEventListener('click', function () {
+      dom.importFileInput.value = '';
+      dom.importFileInput.click();
+    });
+    dom.importFileInput.addEventListener('change', function () {
+      if (dom.importFileInput.files.length > 0) importLabelFile(dom.importFileInput.files[0]);
+    });
+    dom.fileImportCancel.addEventListener('click', closeFileImportDialog);
+    dom.fileImportConfirm.addEventListener('click', handleFileImportConfirm);
+    dom.fileImportOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.fileImportOverlay) closeFileImportDialog();
+    });
+    dom.exportClose.addEventListener('click', closeExportDialog);
+    dom.exportCopy.addEventListener('click', handleExportCopy);
+    dom.exportOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.exportOverlay) closeExportDialog();
+    });
+
+    // Rules
+    dom.rulesBtn.addEventListener('click', openRulesDialog);
+    dom.rulesClose.addEventListener('click', closeRulesDialog);
+    dom.rulesNew.addEventListener('click', function () { openRuleForm(null); });
+    dom.ruleCancel.addEventListener('click', cancelRuleForm);
+    dom.ruleSave.addEventListener('click', handleRuleSave);
+    dom.ruleForm.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type === 'text') handleRuleSave();
+    });
+    dom.rulesOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.rulesOverlay) closeRulesDialog();
+    });
+    dom.ruleSuggestionsApplyAll.addEventListener('click', handleApplyAllRuleSuggestions);
+    dom.learnedReset.addEventListener('click', handleResetLearned);
+
+    // Label health
+    dom.healthBtn.addEventListener('click', openHealthDialog);
+    dom.healthClose.addEventListener('click', closeHealthDialog);
+    dom.healthOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.healthOverlay) closeHealthDialog();
+    });
+
+    // Keyboard shortcuts help
+    dom.shortcutsClose.addEventListener('click', closeShortcutsDialog);
+    dom.shortcutsOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.shortcutsOverlay) closeShortcutsDialog();
+    });
+
     // Create dialog
     dom.createCancel.addEventListener('click', closeCreateDialog);
     dom.createConfirm.addEventListener('click', handleCreateConfirm);
@@ -1053,8 +5787,8 @@
     });
     dom.newLabelName.addEventListener('keydown', function (e) {
       if (e.key === 'Enter') handleCreateConfirm();
-      if (e.key === 'Escape') closeCreateDialog();
     });
+    dom.newLabelName.addEventListener('input', updateCreateNameChecks);
 
     // Delete dialog
     dom.deleteCancel.addEventListener('click', closeDeleteDialog);
@@ -1063,6 +5797,47 @@
       if (e.target === dom.deleteOverlay) closeDeleteDialog();
     });
 
+    // Rename dialog
+    dom.renameCancel.addEventListener('click', closeRenameDialog);
+    dom.renameConfirm.addEventListener('click', handleRenameConfirm);
+    dom.renameOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.renameOverlay) closeRenameDialog();
+    });
+    dom.renameLabelName.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter') handleRenameConfirm();
+    });
+
+    // Edit color dialog
+    dom.editCancel.addEventListener('click', closeEditDialog);
+    dom.editConfirm.addEventListener('click', handleEditConfirm);
+    dom.editOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.editOverlay) closeEditDialog();
+    });
+
+    // Merge dialog
+    dom.mergeCancel.addEventListener('click', closeMergeDialog);
+    dom.mergeConfirm.addEventListener('click', handleMergeConfirm);
+    dom.mergeTarget.addEventListener('change', renderMergePreview);
+    dom.mergeOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.mergeOverlay) closeMergeDialog();
+    });
+
+    // Bulk actions
+    dom.bulkToggle.addEventListener('click', toggleBulkMode);
+    dom.bulkSelectAll.addEventListener('change', handleBulkSelectAllToggle);
+    dom.bulkBar.querySelectorAll('.bulk-action').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var action = btn.getAttribute('data-action');
+        if (action === 'merge') openMergeDialog(getBulkSelection());
+        else openBulkDialog(action);
+      });
+    });
+    dom.bulkCancel.addEventListener('click', closeBulkDialog);
+    dom.bulkConfirm.addEventListener('click', handleBulkConfirm);
+    dom.bulkOverlay.addEventListener('click', function (e) {
+      if (e.target === dom.bulkOverlay) closeBulkDialog();
+    });
+
     // Import dialog
     dom.importCancel.addEventListener('click', closeImportDialog);
     dom.importConfirm.addEventListener('click', handleImportConfirm);
@@ -1071,14 +5846,43 @@
     });
     dom.importSelectAll.addEventListener('change', handleSelectAllToggle);
     dom.importList.addEventListener('change', function (e) {
-      if (e.target.type === 'checkbox') updateSelectAllState();
+      if (e.target.type === 'checkbox') handleImportCheckboxChange(e.target);
+      if (e.target.classList.contains('import-move') && e.target.value) {
+        moveImportChoice(e.target.getAttribute('data-name'), e.target.value);
+      }
+    });
+    dom.importAccount.addEventListener('change', handleImportAccountChange);
+    dom.importAccountAdd.addEventListener('click', handleAddAccount);
+    dom.importAccountInput.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        handleAddAccount();
+      }
+    });
+    dom.importForgetAccount.addEventListener('click', handleForgetAccount);
+    dom.accountSelect.addEventListener('change', function () {
+      switchAccount(dom.accountSelect.value);
     });
   }
 
+  function bindItemEvents() {
+    var mailbox = Office.context.mailbox;
+    if (!Office.EventType || typeof mailbox.addHandlerAsync !== 'function') return;
+
+    // Pinned pane: a different email (or none) was selected
+    if (Office.EventType.ItemChanged) {
+      mailbox.addHandlerAsync(Office.EventType.ItemChanged, handleItemChanged);
+    }
+    if (canUseMultiSelect() && Office.EventType.SelectedItemsChanged) {
+      mailbox.addHandlerAsync(Office.EventType.SelectedItemsChanged, handleItemChanged);
+    }
+  }
+
   // --- Initialization ---
 
   Office.onReady(function (info) {
     cacheDom();
+    applyLocale();
 
     if (info.host !== Office.HostType.Outlook) return;
 
@@ -1087,12 +5891,18 @@
       return;
     }
 
-    if (!Office.context.mailbox.item) {
-      showView('no-item');
-      return;
-    }
+    // Roaming settings save in the background; say so when that stops working
+    LabelStore.onSaveError(function (error) {
+      showStatus(t('error.syncSave', { reason: error.message || t('error.unknown') }), 'error', 6000);
+    });
+    LabelStore.shrinkValues(USAGE_KEY_PREFIX, shrinkUsageHistory);
+    LabelStore.shrinkValues(RULES_KEY_PREFIX, shrinkRules);
+    LabelStore.shrinkValues(MODEL_KEY_PREFIX, LabelLearner.shrink);
 
+    // With pinning the pane can open, or stay open, with no email selected;
+    // loadAllData shows the no-item view until ItemChanged brings one
     bindEvents();
+    bindItemEvents();
     loadAllData();
   });
 })();